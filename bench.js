@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const { parseArgs } = require('util');
+const { InteractionScript } = require('./language.js');
+const { referenceValue } = require('./differential.js');
+
+// Benchmarks: standard workloads reduced on the sync backend and on worker
+// pools of several sizes, reported as JSON so that runs can be compared
+// over time. Each workload runs once untimed (starting the pool and
+// warming up the JIT), then `repeat` times; the median run is reported,
+// with its statistics (see Statistics.summary). Results are checked
+// against Node's own answer, so a fast but wrong reducer doesn't pass.
+
+const usage = `Usage: node bench.js [options]
+
+Options:
+  --workers LIST   worker counts to compare, 0 meaning the sync backend
+                   (default 0,1,2,4)
+  --repeat N       timed runs per workload and worker count (default 3)
+  --only NAME      run only the workloads whose name contains NAME
+  -o, --out FILE   write the JSON report to FILE instead of stdout
+  -h, --help       show this help`;
+
+const FORMAT = 'ruhandl-bench';
+const VERSION = 1;
+
+const workloads = [
+  {
+    name: 'church-exponentiation',
+    // 2^12, as a numeral applied to a numeral
+    source: `const two = f => x => f(f(x));
+      const twelve = f => x => f(f(f(f(f(f(f(f(f(f(f(f(x))))))))))));
+      twelve(two)(k => k + 1)(0)`
+  },
+  {
+    name: 'tree-sum',
+    source: `function build(depth, value) {
+        return depth === 0 ? value : [build(depth - 1, 2 * value), build(depth - 1, 2 * value + 1)];
+      }
+      function sum(tree) { return typeof tree === 'number' ? tree : sum(tree[0]) + sum(tree[1]); }
+      sum(build(8, 1))`
+  },
+  {
+    name: 'insertion-sort',
+    source: `function generate(n, seed) {
+        return n === 0 ? [] : [seed % 100, ...generate(n - 1, (seed * 37 + 11) % 1009)];
+      }
+      function insert(x, xs) {
+        if (xs.length === 0) return [x];
+        const [head, ...tail] = xs;
+        return x <= head ? [x, head, ...tail] : [head, ...insert(x, tail)];
+      }
+      function sort(xs) {
+        if (xs.length === 0) return [];
+        const [head, ...tail] = xs;
+        return insert(head, sort(tail));
+      }
+      sort(generate(30, 7))`
+  }
+];
+
+const median = values => [...values].sort((a, b) => a - b)[values.length >> 1];
+
+// Runs one workload on `workers` threads (0 for the sync backend)
+async function measure(workload, workers, repeat) {
+  const script = new InteractionScript(workers === 0 ? { backend: 'sync' } : { backend: 'workers', workers });
+  const runs = [];
+  try {
+    await script.evaluate(workload.source);
+    for (let i = 0; i < repeat; i++) {
+      const { value, statistics } = await script.evaluate(workload.source);
+      runs.push({ value, statistics });
+    }
+  } finally {
+    script.close();
+  }
+
+  const expected = JSON.stringify(referenceValue(workload.source));
+  const middle = median(runs.map(run => run.statistics.wallMs));
+  const { statistics } = runs.find(run => run.statistics.wallMs === middle);
+  return {
+    workload: workload.name,
+    backend: workers === 0 ? 'sync' : 'workers',
+    workers: Math.max(workers, 1),
+    ok: runs.every(run => JSON.stringify(run.value) === expected),
+    runs: runs.length,
+    wallMs: middle,
+    minWallMs: Math.min(...runs.map(run => run.statistics.wallMs)),
+    interactions: statistics.interactions,
+    interactionsPerSecond: statistics.interactionsPerSecond,
+    allocations: statistics.allocations,
+    peakNodes: statistics.peakNodes,
+    loadBalance: statistics.loadBalance,
+    perWorker: statistics.workers,
+    rules: statistics.rules
+  };
+}
+
+async function main(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        workers: { type: 'string', default: '0,1,2,4' },
+        repeat: { type: 'string', default: '3' },
+        only: { type: 'string' },
+        out: { type: 'string', short: 'o' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage}`);
+    return 2;
+  }
+  if (values.help) {
+    console.log(usage);
+    return 0;
+  }
+  const counts = values.workers.split(',').map(Number);
+  const repeat = Number(values.repeat);
+  if (counts.some(n => !Number.isInteger(n) || n < 0) || !Number.isInteger(repeat) || repeat < 1) {
+    console.error(`--workers expects counts like 0,1,2 and --repeat a positive integer\n\n${usage}`);
+    return 2;
+  }
+  const selected = workloads.filter(workload => !values.only || workload.name.includes(values.only));
+
+  const results = [];
+  for (const workload of selected) {
+    for (const workers of counts) {
+      const result = await measure(workload, workers, repeat);
+      // Progress on stderr, so stdout stays valid JSON
+      console.error(`${workload.name} ${result.backend}${workers ? ` x${workers}` : ''}: ` +
+        `${result.wallMs.toFixed(1)} ms, ${result.interactionsPerSecond} interactions/s, ` +
+        `balance ${result.loadBalance.toFixed(2)}${result.ok ? '' : ' WRONG RESULT'}`);
+      results.push(result);
+    }
+  }
+
+  const report = {
+    format: FORMAT,
+    version: VERSION,
+    date: new Date().toISOString(),
+    node: process.version,
+    cpus: os.cpus().length,
+    results
+  };
+  const json = JSON.stringify(report, null, 2) + '\n';
+  if (values.out) {
+    fs.writeFileSync(values.out, json);
+  } else {
+    process.stdout.write(json);
+  }
+  return results.every(result => result.ok) ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { workloads, measure };
@@ -0,0 +1,183 @@
+// Book of global definitions. Each definition is a closed net template,
+// compiled once and instantiated afresh (see Net.expand) whenever a REF to
+// it meets a node that needs to look inside. Like the heap, the book lives
+// in shared memory so every worker can expand definitions; only the main
+// thread adds to it, between evaluations.
+//
+// A definition is stored as one record of 64-bit words:
+//
+//   [nodeCount, labelCount, redexCount, root, ...nodes, ...redexes]
+//
+// where nodes are NODE_SIZE words each and refer to one another by
+// template-local locations (node i is at i * NODE_SIZE), DUP/SUP labels are
+// template-local too (1..labelCount), and redexes are [neg, pos] pairs.
+
+const { NODE_SIZE, growableBuffer } = require('./heap.js');
+
+// Layout of the Int32 book control array
+const BookCtrl = {
+  COUNT: 0,   // definitions declared
+  USED: 1,    // words used in the record buffer
+  RUNTIME: 2  // one slot per RUNTIME name: the id declared under it, plus one
+};
+
+// Definitions that interaction rules fall back on, for values the rules
+// can't handle by themselves (see Net.opfallback and Net.swilam). Rules on
+// any thread find them by name through the control array, and since
+// restoring a book declares its names again, they survive being saved.
+const RUNTIME = ['$operator', '$truthy'];
+
+const UNDEFINED = -1;
+
+class Book {
+  constructor({ buffers = null } = {}) {
+    if (buffers) {
+      this.words = buffers.words;
+      this.index = buffers.index;
+      this.control = buffers.control;
+    } else {
+      this.words = growableBuffer(64 * 1024, 256 * 1024 * 1024);
+      this.index = growableBuffer(4 * 1024, 64 * 1024 * 1024);
+      this.control = new SharedArrayBuffer(4 * (BookCtrl.RUNTIME + RUNTIME.length));
+    }
+    this.wordsView = new BigInt64Array(this.words);
+    this.indexView = new Int32Array(this.index);
+    this.controlView = new Int32Array(this.control);
+    // Names are only known on the thread that declared them
+    this.names = [];
+    // Host functions (see Net.park) by id, main thread only too: nets
+    // refer to them by id, and only the main thread calls them
+    this.hosts = [];
+  }
+
+  get buffers() {
+    return { words: this.words, index: this.index, control: this.control };
+  }
+
+  get size() {
+    return Atomics.load(this.controlView, BookCtrl.COUNT);
+  }
+
+  // Reserves an id for a definition, so that definitions can refer to each
+  // other (or themselves) before they are compiled. Declaring a name again
+  // gives a new id; lookup() then finds the newest one.
+  declare(name) {
+    const id = this.size;
+    grow(this.index, 4 * (id + 1));
+    this.indexView[id] = UNDEFINED;
+    this.names[id] = name;
+    Atomics.store(this.controlView, BookCtrl.COUNT, id + 1);
+    const slot = RUNTIME.indexOf(name);
+    if (slot >= 0) Atomics.store(this.controlView, BookCtrl.RUNTIME + slot, id + 1);
+    return id;
+  }
+
+  // The id of a RUNTIME definition, or undefined if none was declared
+  runtime(name) {
+    const id = Atomics.load(this.controlView, BookCtrl.RUNTIME + RUNTIME.indexOf(name)) - 1;
+    return id < 0 ? undefined : id;
+  }
+
+  lookup(name) {
+    const id = this.names.lastIndexOf(name);
+    return id < 0 ? undefined : id;
+  }
+
+  nameOf(id) {
+    return this.names[id] || `def${id}`;
+  }
+
+  isDefined(id) {
+    return id < this.size && this.indexView[id] !== UNDEFINED;
+  }
+
+  // Nodes in definition `id`, which expanding it allocates; 0 if undefined
+  nodeCount(id) {
+    return this.isDefined(id) ? Number(this.wordsView[this.indexView[id]]) : 0;
+  }
+
+  // Registers a host function of `arity` arguments under `name`, or
+  // replaces the one already registered, keeping its id
+  defineHost(name, fn, arity = 1) {
+    if (typeof fn !== 'function') {
+      throw new TypeError(`Host ${name} must be a function`);
+    }
+    if (!Number.isInteger(arity) || arity < 0) {
+      throw new TypeError(`Host ${name} needs a whole number of arguments, got ${arity}`);
+    }
+    const id = this.hostId(name);
+    if (id !== undefined) {
+      Object.assign(this.hosts[id], { fn, arity });
+      return id;
+    }
+    this.hosts.push({ name, fn, arity });
+    return this.hosts.length - 1;
+  }
+
+  hostId(name) {
+    const id = this.hosts.findIndex(host => host.name === name);
+    return id < 0 ? undefined : id;
+  }
+
+  host(id) {
+    const host = this.hosts[id];
+    if (!host) throw new Error(`Unknown host function ${id}`);
+    return host;
+  }
+
+  hostName(id) {
+    return this.hosts[id] ? this.hosts[id].name : `host${id}`;
+  }
+
+  // Stores the template of a declared definition
+  define(id, { nodes, labels, root, redexes }) {
+    if (nodes.length % NODE_SIZE !== 0) {
+      throw new Error(`Definition ${this.nameOf(id)} has a partial node`);
+    }
+    const record = [
+      BigInt(nodes.length / NODE_SIZE), BigInt(labels), BigInt(redexes.length), root,
+      ...nodes,
+      ...redexes.flat()
+    ];
+    const offset = Atomics.load(this.controlView, BookCtrl.USED);
+    grow(this.words, 8 * (offset + record.length));
+    this.wordsView.set(record, offset);
+    this.indexView[id] = offset;
+    Atomics.store(this.controlView, BookCtrl.USED, offset + record.length);
+  }
+
+  // The template of a definition: node words (a view, not a copy), label
+  // count, root term and redexes, all still packed
+  read(id) {
+    const offset = id < this.size ? this.indexView[id] : UNDEFINED;
+    if (offset === UNDEFINED) {
+      throw new Error(`Undefined reference to ${this.nameOf(id)}`);
+    }
+    const view = this.wordsView;
+    const nodeCount = Number(view[offset]);
+    const redexCount = Number(view[offset + 2]);
+    const nodesStart = offset + 4;
+    const redexesStart = nodesStart + nodeCount * NODE_SIZE;
+    const redexes = [];
+    for (let i = 0; i < redexCount; i++) {
+      redexes.push([view[redexesStart + 2 * i], view[redexesStart + 2 * i + 1]]);
+    }
+    return {
+      nodes: view.subarray(nodesStart, redexesStart),
+      labels: Number(view[offset + 1]),
+      root: view[offset + 3],
+      redexes
+    };
+  }
+}
+
+// Grows a growable SharedArrayBuffer to at least `bytes`
+function grow(buffer, bytes) {
+  if (buffer.byteLength >= bytes) return;
+  if (bytes > buffer.maxByteLength) {
+    throw new Error(`Out of memory: book needs ${bytes} bytes, ceiling is ${buffer.maxByteLength}`);
+  }
+  buffer.grow(Math.min(buffer.maxByteLength, Math.max(bytes, 2 * buffer.byteLength)));
+}
+
+module.exports = { Book, BookCtrl, RUNTIME };
@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { InteractionScript, CompileError } = require('./language.js');
+const { ResourceLimitError, ROOT } = require('./evaluator.js');
+const { formatValue } = require('./readback.js');
+const { startRepl, formatStatistics } = require('./repl.js');
+const {
+  TraceRecorder, TraceReplay, loadTrace, parseTrace, formatEvent, encodeEvent
+} = require('./trace.js');
+const { framesFromNet, framesFromTrace, renderHtml } = require('./visualizer.js');
+
+const usage = `Usage: ruhandl <command> <file> [options]
+
+Commands:
+  run <file>       compile and reduce a program, then print its result
+  compile <file>   print the compiled net without reducing it
+  resume <snap>    carry on reducing a snapshot saved with --snapshot
+  dot <file>       write the compiled net as Graphviz DOT
+  replay <trace>   step through a trace recorded with --trace
+  html <file>      write an offline HTML page stepping through the reduction
+                   of a program or a recorded trace
+  repl             start an interactive session (the default)
+
+Options:
+  --workers N           number of worker threads (default: one per CPU)
+  --backend B           reduce on worker threads ('workers', the default) or
+                        on the main thread ('sync')
+  --encoding E          number encoding: native (default) or church
+  --max-steps N         abort after N interactions (html: record at most N)
+  --max-nodes N         abort once the heap holds more than N nodes
+  --timeout MS          abort after MS milliseconds of reduction
+  --optimize            optimize the compiled net before reducing it
+  --stats               print reduction statistics (and, with --optimize,
+                        what the optimizer did)
+  --debug               check the net's invariants after compiling and
+                        reducing (and, with --backend sync, after every
+                        interaction)
+  --json                print machine-readable JSON
+  --trace FILE          record every interaction of 'run' to FILE
+  --snapshot FILE       save the net to FILE: the compiled one for 'compile',
+                        the one a limit stopped for 'run' and 'resume'
+  -o, --out FILE        write output to FILE instead of stdout
+  -h, --help            show this help`;
+
+// Process exit codes, one per way a run can fail
+const ExitCodes = {
+  OK: 0,
+  USAGE: 2,     // bad arguments or unreadable source file
+  COMPILE: 3,   // syntax error or unsupported construct
+  RUNTIME: 4,   // reduction or readback failed
+  LIMIT: 5      // aborted by --max-steps, --max-nodes or --timeout
+};
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        workers: { type: 'string' },
+        backend: { type: 'string', default: 'workers' },
+        encoding: { type: 'string', default: 'native' },
+        'max-steps': { type: 'string' },
+        'max-nodes': { type: 'string' },
+        timeout: { type: 'string' },
+        optimize: { type: 'boolean', default: false },
+        stats: { type: 'boolean', default: false },
+        debug: { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        out: { type: 'string', short: 'o' },
+        trace: { type: 'string' },
+        snapshot: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const [command = 'repl', ...files] = positionals;
+  if (!['run', 'compile', 'resume', 'dot', 'replay', 'html', 'repl'].includes(command)) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+  const [file, ...extra] = command === 'repl' ? [null, ...files] : files;
+  if (file === undefined) throw new UsageError(`Missing file for '${command}'`);
+  if (extra.length) throw new UsageError(`Unexpected argument: ${extra[0]}`);
+
+  return {
+    command,
+    file,
+    workers: positiveInteger(values.workers, '--workers'),
+    backend: values.backend,
+    maxSteps: positiveInteger(values['max-steps'], '--max-steps'),
+    maxNodes: positiveInteger(values['max-nodes'], '--max-nodes'),
+    timeoutMs: positiveInteger(values.timeout, '--timeout'),
+    encoding: values.encoding,
+    optimize: values.optimize,
+    stats: values.stats,
+    debug: values.debug,
+    json: values.json,
+    out: values.out,
+    trace: values.trace,
+    snapshot: values.snapshot
+  };
+}
+
+function positiveInteger(text, flag) {
+  if (text === undefined) return undefined;
+  const n = Number(text);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new UsageError(`${flag} expects a positive integer, got '${text}'`);
+  }
+  return n;
+}
+
+// Strips readback terms so results serialize cleanly
+function plainValue({ kind, value }) {
+  return {
+    kind,
+    value: kind === 'list' || kind === 'pair' ? value.map(plainValue) : value
+  };
+}
+
+function output(options, text) {
+  if (options.out) {
+    fs.writeFileSync(options.out, text);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+function isTrace(text) {
+  try {
+    parseTrace(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Replays a trace file, printing each interaction and the final net
+function replay(options) {
+  const replayer = new TraceReplay(loadTrace(options.file));
+  const lines = [];
+  let event;
+  while ((event = replayer.step())) {
+    lines.push(options.json ? JSON.stringify(encodeEvent(event)) : formatEvent(event, replayer.net));
+  }
+  if (!options.json) {
+    lines.push(replayer.net.toText().trimEnd());
+    if (options.stats) lines.push(`Statistics:\n${formatStatistics(replayer.net.getStatistics())}`);
+  }
+  output(options, lines.join('\n') + '\n');
+  return ExitCodes.OK;
+}
+
+async function main(argv) {
+  let options;
+  let source;
+  let script;
+  try {
+    options = parseCommandLine(argv);
+    if (options.help) {
+      console.log(usage);
+      return ExitCodes.OK;
+    }
+    if (options.command === 'repl') {
+      await startRepl({
+        encoding: options.encoding,
+        backend: options.backend,
+        workers: options.workers,
+        debug: options.debug,
+        optimize: options.optimize,
+        maxInteractions: options.maxSteps,
+        maxNodes: options.maxNodes,
+        timeoutMs: options.timeoutMs
+      });
+      return ExitCodes.OK;
+    }
+    if (options.command === 'replay') {
+      return replay(options);
+    }
+    const scriptOptions = {
+      encoding: options.encoding,
+      backend: options.backend,
+      workers: options.workers,
+      debug: options.debug,
+      optimize: options.optimize
+    };
+    if (options.command === 'resume') {
+      script = InteractionScript.restore(fs.readFileSync(options.file), scriptOptions);
+    } else {
+      source = fs.readFileSync(options.file, 'utf8');
+      if (options.command === 'html' && isTrace(source)) {
+        const frames = framesFromTrace(parseTrace(source), { maxSteps: options.maxSteps });
+        output(options, renderHtml(frames, { title: path.basename(options.file) }));
+        return ExitCodes.OK;
+      }
+      script = new InteractionScript(scriptOptions);
+    }
+  } catch (error) {
+    console.error(`ruhandl: ${error.message}`);
+    if (error instanceof UsageError) console.error(`\n${usage}`);
+    return ExitCodes.USAGE;
+  }
+
+  const { compiler } = script;
+  let root;
+  const printWarnings = () => {
+    for (const warning of compiler.warnings) {
+      console.error(warning.render(source, options.file));
+    }
+  };
+  try {
+    // A snapshot carries on from wherever its net was saved
+    root = source === undefined ? ROOT : compiler.compile(source);
+  } catch (error) {
+    if (!(error instanceof CompileError)) throw error;
+    printWarnings();
+    if (options.json) {
+      output(options, JSON.stringify({
+        error: { name: error.name, message: error.message, diagnostics: error.diagnostics }
+      }) + '\n');
+    }
+    console.error(error.format(options.file));
+    return ExitCodes.COMPILE;
+  }
+  printWarnings();
+
+  if (options.command === 'compile') {
+    if (options.snapshot) fs.writeFileSync(options.snapshot, compiler.snapshot());
+    const net = compiler.evaluator.net.toText();
+    output(options, options.json ? JSON.stringify({ net }) + '\n' : net);
+    return ExitCodes.OK;
+  }
+  if (options.command === 'html') {
+    const frames = framesFromNet(compiler.evaluator.net, { maxSteps: options.maxSteps });
+    output(options, renderHtml(frames, { title: path.basename(options.file) }));
+    return ExitCodes.OK;
+  }
+  if (options.command === 'dot') {
+    const dot = compiler.evaluator.visualize();
+    output(options, options.json ? JSON.stringify({ dot }) + '\n' : dot);
+    return ExitCodes.OK;
+  }
+
+  let result;
+  const recorder = options.trace && new TraceRecorder(compiler.evaluator.net);
+  try {
+    const stats = await compiler.evaluate({
+      maxInteractions: options.maxSteps,
+      maxNodes: options.maxNodes,
+      timeoutMs: options.timeoutMs,
+      trace: recorder && recorder.record
+    });
+    if (recorder) recorder.save(options.trace);
+    result = script.extractResult(root, stats);
+  } catch (error) {
+    // A trace is most useful when something went wrong
+    if (recorder) recorder.save(options.trace);
+    const limited = error instanceof ResourceLimitError;
+    // A stopped run can be resumed from its snapshot, given more room
+    if (limited && options.snapshot) fs.writeFileSync(options.snapshot, compiler.snapshot());
+    if (options.json) {
+      output(options, JSON.stringify({
+        error: { name: error.name, message: error.message },
+        statistics: limited ? error.statistics : undefined
+      }) + '\n');
+    }
+    console.error(`${options.file}: ${error.message}`);
+    if (limited && options.stats && !options.json) {
+      console.error(`Statistics:\n${formatStatistics(error.statistics)}`);
+    }
+    return limited ? ExitCodes.LIMIT : ExitCodes.RUNTIME;
+  }
+
+  if (options.json) {
+    output(options, JSON.stringify({
+      ...plainValue(result),
+      statistics: options.stats ? result.statistics : undefined,
+      optimization: options.stats && result.optimization ? result.optimization : undefined
+    }) + '\n');
+  } else {
+    let text = formatValue(result) + '\n';
+    if (options.stats) text += `Statistics:\n${formatStatistics(result.statistics)}\n`;
+    if (options.stats && result.optimization) {
+      text += `Optimizer:\n${formatStatistics(result.optimization)}\n`;
+    }
+    output(options, text);
+  }
+  return ExitCodes.OK;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, ExitCodes };
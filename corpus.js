@@ -0,0 +1,186 @@
+// Programs for differential testing (see differential.js): each one is
+// plain JavaScript within the subset the compiler supports, so Node's own
+// answer is the expected result. Church-encoded values are turned into
+// native ones at the end, since functions can't be compared. Both sides
+// have a log() that returns its argument, and its calls must agree too.
+
+const church = `
+  const zero = f => x => x;
+  const succ = n => f => x => f(n(f)(x));
+  const add = m => n => f => x => m(f)(n(f)(x));
+  const mul = m => n => f => m(n(f));
+  const toNumber = n => n(k => k + 1)(0);
+  const one = succ(zero);
+  const two = succ(one);
+  const three = add(two)(one);
+`;
+
+const booleans = `
+  const T = a => b => a;
+  const F = a => b => b;
+  const and = p => q => p(q)(p);
+  const or = p => q => p(p)(q);
+  const not = p => p(F)(T);
+  const toBool = p => p(true)(false);
+`;
+
+const lists = `
+  function rest([h, ...t]) { return t; }
+  function map(f, xs) { return xs.length === 0 ? [] : [f(xs[0]), ...map(f, rest(xs))]; }
+  function filter(p, xs) {
+    if (xs.length === 0) return [];
+    const [h, ...t] = xs;
+    return p(h) ? [h, ...filter(p, t)] : filter(p, t);
+  }
+  function fold(f, acc, xs) {
+    if (xs.length === 0) return acc;
+    const [h, ...t] = xs;
+    return fold(f, f(acc, h), t);
+  }
+`;
+
+// Too big to inline (see optimizer.js)
+const big = 'const big = a => [a, a, a, a, a, a, a, a, a, a, a, a];';
+
+// Calls the host on the way down, so that its calls show whether it ran
+const countdown = 'function countdown(n) { return n === 0 ? 0 : log(n) + countdown(n - 1); }';
+
+const corpus = [
+  // Church arithmetic
+  { name: 'church addition', source: `${church} toNumber(add(three)(two))` },
+  { name: 'church multiplication', source: `${church} toNumber(mul(three)(three))` },
+  {
+    name: 'church exponentiation',
+    source: 'const two = f => x => f(f(x)); const three = f => x => f(f(f(x))); ' +
+      'const exp = m => n => n(m); exp(two)(three)(k => k + 1)(0)'
+  },
+  {
+    name: 'church predecessor',
+    source: `${church} const pred = n => f => x => n(g => h => h(g(f)))(u => x)(u => u);
+      [toNumber(pred(three)), toNumber(pred(zero))]`
+  },
+  {
+    name: 'church zero test',
+    source: `${church} const isZero = n => n(x => false)(true); [isZero(zero), isZero(two)]`
+  },
+  { name: 'church numeral applied to itself', source: 'const two = f => x => f(f(x)); two(two)(k => k * 3)(1)' },
+  {
+    name: 'computed numerals applied to each other',
+    source: `${church} const exp = m => n => n(m);
+      [two(two)(k => k + 1)(0), toNumber(three(two)), toNumber(exp(two)(three))]`
+  },
+
+  // Booleans
+  {
+    name: 'church booleans',
+    source: `${booleans} [toBool(and(T)(F)), toBool(or(F)(T)), toBool(not(F)), toBool(and(T)(not(F)))]`
+  },
+  { name: 'native booleans', source: '[1 < 2 && 3 >= 3, !(2 === 2) || 5 !== 5, true ? false : true]' },
+  { name: 'conditional chain', source: 'const x = 7; x < 5 ? "small" : x < 10 ? "medium" : "large"' },
+
+  // Higher-order functions
+  {
+    name: 'composition',
+    source: 'const compose = f => g => x => f(g(x)); const twice = f => x => f(f(x)); ' +
+      'twice(compose(x => x + 1)(x => x * 2))(3)'
+  },
+  { name: 'currying', source: 'const add3 = a => b => c => a + b + c; const add1 = add3(1); [add1(2)(3), add1(10)(20)]' },
+  { name: 'closures', source: 'const counter = n => k => n + k; const from5 = counter(5); [from5(1), from5(2), counter(0)(0)]' },
+  { name: 'map', source: `${lists} map(x => x * x, [1, 2, 3, 4])` },
+  { name: 'filter', source: `${lists} filter(x => x % 2 === 0, [1, 2, 3, 4, 5, 6])` },
+  { name: 'fold', source: `${lists} fold((a, b) => a + b, 0, map(x => x * 10, [1, 2, 3]))` },
+
+  // Recursion
+  { name: 'factorial', source: 'function fact(n) { return n === 0 ? 1 : n * fact(n - 1); } fact(7)' },
+  { name: 'fibonacci', source: 'function fib(n) { if (n < 2) return n; return fib(n - 1) + fib(n - 2); } fib(12)' },
+  { name: 'gcd', source: 'function gcd(a, b) { return b === 0 ? a : gcd(b, a % b); } [gcd(48, 18), gcd(17, 5)]' },
+  { name: 'ackermann', source: `function ack(m, n) {
+      if (m === 0) return n + 1;
+      if (n === 0) return ack(m - 1, 1);
+      return ack(m - 1, ack(m, n - 1));
+    }
+    ack(2, 3)` },
+  {
+    name: 'mutual recursion',
+    source: 'function isEven(n) { return n === 0 ? true : isOdd(n - 1); } ' +
+      'function isOdd(n) { return n === 0 ? false : isEven(n - 1); } [isEven(10), isOdd(7), isEven(3)]'
+  },
+  {
+    name: 'default parameters',
+    source: `const area = (w, h = w + 1) => w * h;
+    function greet(name, greeting = 'hi') { return greeting + ' ' + name; }
+    const hello = greet;
+    const first = (a, b) => a;
+    const missing = x => x === undefined;
+    [area(2), area(2, 5), area(3, undefined), greet('net'), hello('wire', 'bye'), first(7), missing(), missing(0)]`
+  },
+  {
+    name: 'extra arguments',
+    source: `const add = (a, b) => a + b;
+    const none = () => 4;
+    function first(a) { return a; }
+    [add(1, 2, 3), none(5), first(6, 7, log(8)), add(first(1, 2), 3, [4])]`
+  },
+  {
+    name: 'switch',
+    source: `function name(n) {
+      switch (n) {
+        case 0: return 'zero';
+        case 1: return 'one';
+        default: return 'many';
+      }
+    }
+    [name(0), name(1), name(5)]`
+  },
+
+  // Strings and objects
+  { name: 'strings', source: "const greet = name => 'hello, ' + name; [greet('net'), `${1 + 2} items`, 'abc'.length]" },
+  { name: 'string comparison', source: "['apple' < 'banana', 'net' === 'net', 'a' + 'b' !== 'ab']" },
+  {
+    name: 'strings through variables',
+    source: `const join = (a, b) => a + b;
+    const same = (a, b) => a === b;
+    const words = { first: 'inter', second: 'action' };
+    [join('x', 'y'), words.first + words.second, same('ab', 'ab'), same('ab', 1), -'3', join('1.5', 1) * 2]`
+  },
+  {
+    name: 'empty strings are falsy',
+    source: `const label = s => { if (s) return s; return 'none'; };
+    const empty = '';
+    [label(''), label('net'), empty || 5, !empty, empty ? 1 : 2, [empty, empty && 3]]`
+  },
+  {
+    name: 'other values as strings',
+    source: `const wrap = s => '<' + s;
+    ['x' + [1, 2], \`a\${[1, 2]}b\`, wrap([1]), 'a' + null, 'a' + { x: 1 }, \`\${null}\`, \`\${[]}\`, [1, 2] + 1,
+      '' + [[1, [2]], 's', null, undefined, true, { a: 1 }]]`
+  },
+  { name: 'functions in data', source: "const inc = n => n + 1; const box = { f: inc, name: 'inc' }; [box, [inc, 'x'], box.f(1)]" },
+  { name: 'objects', source: 'const p = { x: 3, y: 4 }; const { x, y } = p; ({ norm: x * x + y * y, pair: [p.x, p.y] })' },
+  { name: 'numbers', source: '[7 % 3, -7 % 3, 2 - 9, 1 / 4, 12 & 10, 1 << 4]' },
+
+  // Optimizer: each runs optimized, and must show the rewrites in
+  // `optimizes` (counts in the optimizer's report) without the net growing
+  { name: 'inlining', source: 'const first = a => b => a; first(1)(2)', optimizes: ['inlined'] },
+  { name: 'inlining that would grow the net', source: 'const twice = f => x => f(f(x)); twice(twice)', optimizes: [] },
+  {
+    name: 'eta reduction',
+    source: `${big} const wrapped = x => big(x); wrapped`,
+    optimizes: ['etaReduced']
+  },
+  {
+    name: 'dead bindings',
+    source: `${big} function keep(x) { const unused = big(x); return x; } keep(3)`,
+    optimizes: ['deadRemoved']
+  },
+  { name: 'sharing', source: '[a => b => a, a => b => a]', optimizes: ['shared'] },
+  { name: 'dead calls that call hosts', source: `${countdown} countdown(3); 2`, optimizes: [] },
+  { name: 'dead constants that call hosts', source: `${countdown} const unused = countdown(3); 2`, optimizes: [] },
+  {
+    name: 'dead calls of parameters',
+    source: 'function apply(k, x) { const unused = k(x); return x; } apply(log, 5)',
+    optimizes: []
+  }
+];
+
+module.exports = corpus;
@@ -0,0 +1,100 @@
+// Compiler diagnostics: errors and warnings pinned to a source range, and
+// their rendering as code frames:
+//
+//   prog.js:3:11: error: Undefined variable: tow
+//       3 | const x = tow(1);
+//         |           ^^^
+//     hint: did you mean 'two'?
+
+class Diagnostic {
+  // `loc` is an acorn location ({ start, end } with 1-based lines and
+  // 0-based columns); it may be missing for code the compiler made up
+  constructor(severity, message, loc, hint) {
+    this.severity = severity;
+    this.message = message;
+    if (loc) {
+      this.line = loc.start.line;
+      this.column = loc.start.column;
+      this.endLine = loc.end.line;
+      this.endColumn = loc.end.column;
+    }
+    if (hint) this.hint = hint;
+  }
+
+  // One-line summary, e.g. "3:11: Undefined variable: tow (did you mean 'two'?)"
+  toString() {
+    const where = this.line === undefined ? '' : `${this.line}:${this.column + 1}: `;
+    const hint = this.hint ? ` (${this.hint})` : '';
+    return `${where}${this.message}${hint}`;
+  }
+
+  // Full report with a code frame; `file` prefixes the location
+  render(source, file) {
+    const where = [file, this.line, this.line === undefined ? undefined : this.column + 1]
+      .filter(part => part !== undefined).join(':');
+    const lines = [`${where ? `${where}: ` : ''}${this.severity}: ${this.message}`];
+    if (source !== undefined && this.line !== undefined) {
+      const text = source.split('\n')[this.line - 1] || '';
+      const end = this.endLine === this.line ? this.endColumn : text.length;
+      const width = Math.max(1, end - this.column);
+      const gutter = String(this.line).length;
+      lines.push(`  ${' '.repeat(gutter)} |`);
+      lines.push(`  ${this.line} | ${text}`);
+      lines.push(`  ${' '.repeat(gutter)} | ${' '.repeat(this.column)}${'^'.repeat(width)}`);
+    }
+    if (this.hint) lines.push(`  hint: ${this.hint}`);
+    return lines.join('\n');
+  }
+}
+
+// Carries one or more error diagnostics. The compiler throws it for a single
+// problem, keeps going, and throws one with everything it found at the end.
+class CompileError extends Error {
+  constructor(diagnostics, source, options) {
+    super(diagnostics.map(diagnostic => diagnostic.toString()).join('\n'), options);
+    this.name = 'CompileError';
+    this.diagnostics = diagnostics;
+    this.source = source;
+  }
+
+  // Every diagnostic with its code frame
+  format(file) {
+    return this.diagnostics.map(diagnostic => diagnostic.render(this.source, file)).join('\n\n');
+  }
+}
+
+// Edit distance counting swapped neighbours as one edit, since that is the
+// most common typo in a name
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => i === 0 ? j : j === 0 ? i : 0));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// The candidate closest to `name`, if it is close enough to be a typo
+function suggest(name, candidates) {
+  let best = null;
+  let bestDistance = Math.max(1, Math.floor(name.length / 3)) + 1;
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+module.exports = { Diagnostic, CompileError, suggest };
@@ -0,0 +1,852 @@
+#!/usr/bin/env node
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Readable, PassThrough } = require('stream');
+const vm = require('vm');
+const { parseArgs } = require('util');
+const { InteractionScript, Compiler, CompileError } = require('./language.js');
+const { Net, ResourceLimitError, Tags, ROOT } = require('./evaluator.js');
+const { NODE_SIZE } = require('./heap.js');
+const { readback, decode, formatValue, formatPlain, FunctionValue } = require('./readback.js');
+const { TraceRecorder, TraceReplay, parseTrace } = require('./trace.js');
+const { InvalidNetError } = require('./validate.js');
+const { formatStatistics, Session, startRepl } = require('./repl.js');
+const { ExitCodes } = require('./cli.js');
+const corpus = require('./corpus.js');
+
+// Differential testing. Source programs are plain JavaScript, so Node can
+// run them too: check() evaluates a program both as an interaction net
+// and in a fresh vm context, and compares the decoded result with Node's.
+// Run as a script, it runs the targeted checks (see Checks), then checks
+// the corpus (see corpus.js) and a batch of random programs (see
+// ProgramGenerator), printing every mismatch with the program, both values
+// and the reduction statistics. Corpus programs that name rewrites in
+// `optimizes` run optimized, and also fail if the optimizer's report
+// doesn't show them.
+
+const usage = `Usage: node differential.js [options]
+
+Options:
+  --count N        random programs to check (default 200)
+  --seed S         seed of the first one; the rest follow (default 1)
+  --backend B      'sync' (the default) or 'workers'
+  --workers N      number of worker threads for --backend workers
+  --optimize       optimize the compiled nets first (see optimizer.js), and
+                   check that the optimizer never made one bigger
+  --show           print every program checked, not just mismatches
+  -h, --help       show this help`;
+
+// Per program, so a rule that loops or blows up fails instead of hanging
+const Limits = { maxInteractions: 2000000, maxNodes: 4000000, timeoutMs: 20000 };
+
+// Decoded kinds a function can come back as: the readback guesses Church
+// numerals, booleans, lists and pairs from their shape
+const FunctionKinds = ['function', 'number', 'boolean', 'list', 'pair'];
+
+// A host function programs can call on either side: it records what it
+// is called with (in `calls`) and returns it
+const logInto = calls => value => {
+  calls.push(value);
+  return value;
+};
+
+// Node's answer: the completion value of the program as a script, with
+// the values log() was called with going into `calls`
+function referenceValue(source, calls = []) {
+  const context = Object.assign(Object.create(null), { log: logInto(calls) });
+  return vm.runInNewContext(source, context, { timeout: 5000 });
+}
+
+// Numbers in the net are 32-bit: integers are exact, floats only agree to
+// single precision
+function sameNumber(expected, actual) {
+  if (Object.is(expected, actual) || expected === actual) return true;
+  if (Number.isNaN(expected)) return Number.isNaN(actual);
+  return Math.abs(expected - actual) <= 1e-6 * Math.max(Math.abs(expected), Math.abs(actual));
+}
+
+// Where a decoded plain value (see scottValue) differs from Node's, or
+// null if it doesn't. Functions inside data decode to a FunctionValue, or
+// to whatever Church value they look like, so they match anything but
+// strings and data.
+function plainDifference(expected, actual, path) {
+  const differs = what => `${path}: expected ${what}, got ${formatPlain(actual)}`;
+  if (typeof expected === 'function') {
+    return typeof actual === 'string' || (actual && typeof actual === 'object' &&
+      !(actual instanceof FunctionValue)) ? differs('a function') : null;
+  }
+  if (expected === null || expected === undefined) {
+    // Both compile to the eraser
+    return actual === null || actual === undefined ? null : differs(String(expected));
+  }
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual)) return differs('an array');
+    if (actual.length !== expected.length) return differs(`${expected.length} elements`);
+    for (let i = 0; i < expected.length; i++) {
+      const difference = plainDifference(expected[i], actual[i], `${path}[${i}]`);
+      if (difference) return difference;
+    }
+    return null;
+  }
+  if (typeof expected === 'object') {
+    if (!actual || typeof actual !== 'object' || Array.isArray(actual)) return differs('an object');
+    const keys = Object.keys(expected).sort();
+    if (keys.join() !== Object.keys(actual).sort().join()) return differs(`keys ${keys.join(', ')}`);
+    for (const key of keys) {
+      const difference = plainDifference(expected[key], actual[key], `${path}.${key}`);
+      if (difference) return difference;
+    }
+    return null;
+  }
+  if (typeof expected === 'number') {
+    return typeof actual === 'number' && sameNumber(expected, actual) ? null : differs(String(expected));
+  }
+  return expected === actual ? null : differs(formatPlain(expected));
+}
+
+// How a decoded result differs from Node's value, or null if it doesn't
+function difference(expected, { kind, value }) {
+  if (typeof expected === 'function') {
+    return FunctionKinds.includes(kind) ? null : `result: expected a function, got ${kind}`;
+  }
+  if (FunctionKinds.includes(kind) && kind !== 'number' && kind !== 'boolean') {
+    return `result: expected ${formatPlain(expected)}, got ${kind} ${formatValue({ kind, value })}`;
+  }
+  return plainDifference(expected, value, 'result');
+}
+
+// How the calls of log() differ from Node's, or null if they don't
+function callsDifference(expected, actual) {
+  if (actual.length !== expected.length) {
+    return `log: expected ${expected.length} calls, got ${actual.length}`;
+  }
+  for (let i = 0; i < expected.length; i++) {
+    const difference = plainDifference(expected[i], actual[i], `log call ${i + 1}`);
+    if (difference) return difference;
+  }
+  return null;
+}
+
+// How the optimizer's report (see Optimizer.emptyReport) falls short, or
+// null if it doesn't: the net mustn't have grown, and each rewrite named in
+// `rewrites` must have happened
+function optimizerDifference(report, rewrites = []) {
+  if (report.after > report.before) {
+    return `optimizer: the net grew from ${report.before} to ${report.after} nodes`;
+  }
+  const missing = rewrites.filter(rewrite => !report[rewrite]);
+  return missing.length ? `optimizer: nothing ${missing.join(', ')}` : null;
+}
+
+// Runs `source` in Node and as a net, on a fresh runtime built from
+// `options` (see InteractionScript). Resolves to { source, expected,
+// actual, statistics, mismatch }, where `mismatch` says what went wrong,
+// or is null if both agree on the result and the calls of log().
+async function check(source, options = {}) {
+  const outcome = { source, expected: undefined, actual: null, statistics: null, mismatch: null };
+  const expectedCalls = [];
+  try {
+    outcome.expected = referenceValue(source, expectedCalls);
+  } catch (error) {
+    outcome.mismatch = `Node failed: ${error.message}`;
+    return outcome;
+  }
+  const script = new InteractionScript(options);
+  const calls = [];
+  script.defineHost('log', logInto(calls));
+  try {
+    const result = await script.evaluate(source, Limits);
+    outcome.actual = result;
+    outcome.statistics = result.statistics;
+    outcome.mismatch = difference(outcome.expected, result) || callsDifference(expectedCalls, calls);
+  } catch (error) {
+    outcome.statistics = error.statistics || null;
+    outcome.mismatch = `Net failed: ${error.message}`;
+  } finally {
+    script.close();
+  }
+  return outcome;
+}
+
+function formatOutcome({ name, source, expected, actual, statistics, mismatch }) {
+  const lines = [`${mismatch ? 'MISMATCH' : 'ok'} ${name}${mismatch ? `: ${mismatch}` : ''}`];
+  lines.push(...source.trim().split('\n').map(line => `  | ${line}`));
+  lines.push(`  expected: ${typeof expected === 'function' ? 'a function' : formatPlain(expected)}`);
+  if (actual) lines.push(`  actual:   ${formatValue(actual)}`);
+  if (statistics) lines.push(`  statistics:\n${formatStatistics(statistics).replace(/^/gm, '  ')}`);
+  return lines.join('\n');
+}
+
+// Mulberry32: small, seedable, and the same everywhere
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = state + 0x6d2b79f5 >>> 0;
+    let t = state;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+const Words = ['net', 'node', 'wire', 'port', 'redex', ''];
+
+// Random programs in the subset compileNode supports, typed so that each
+// runs in Node without errors: small integers only (no division, and small
+// factors, so nothing to round) and in-range array indices. &&, || and !
+// take numbers and strings as well as booleans, and strings also come in
+// through parameters, where only the net can tell they are strings. A
+// program declares a few constants and maybe a recursive function, then
+// computes a number, boolean, string, array or object from them.
+class ProgramGenerator {
+  constructor(seed) {
+    this.seed = seed;
+    this.random = seededRandom(seed);
+    this.names = 0;
+  }
+
+  below(n) {
+    return Math.floor(this.random() * n);
+  }
+
+  pick(list) {
+    return list[this.below(list.length)];
+  }
+
+  fresh(prefix = 'v') {
+    return `${prefix}${this.names++}`;
+  }
+
+  program() {
+    const scope = [];
+    const lines = [];
+    if (this.below(2)) lines.push(this.recursiveFunction(scope));
+    for (let count = this.below(5); count > 0; count--) {
+      lines.push(this.declaration(scope));
+    }
+    // Parenthesized, as a statement starting with { would be a block
+    const type = this.pick(['number', 'boolean', 'string', 'array', 'object']);
+    lines.push(`(${this.expression(type, scope, 3)})`);
+    return lines.join('\n');
+  }
+
+  // function r0(n) { if (n <= 0) return base; return r0(n - 1) op step; }
+  recursiveFunction(scope) {
+    const name = this.fresh('r');
+    const inner = [{ name: 'n', type: 'number' }];
+    const base = this.expression('number', inner, 1);
+    const step = this.expression('number', inner, 1);
+    scope.push({ name, type: 'recursive' });
+    const body = this.below(2) ?
+      `if (n <= 0) return ${base}; return ${name}(n - 1) ${this.pick(['+', '-'])} ${step};` :
+      `return n <= 0 ? ${base} : ${name}(n - 1) ${this.pick(['+', '-'])} ${step};`;
+    return `function ${name}(n) { ${body} }`;
+  }
+
+  declaration(scope) {
+    const type = this.pick(['number', 'number', 'boolean', 'string', 'array', 'object', 'function']);
+    if (type === 'object' && this.below(3) === 0) {
+      // Destructuring binds its fields, numbers here
+      const fields = [this.expression('number', scope, 1), this.expression('number', scope, 1)];
+      const value = `{ a: ${fields[0]}, b: ${fields[1]} }`;
+      const [a, b] = [this.fresh(), this.fresh()];
+      scope.push({ name: a, type: 'number' }, { name: b, type: 'number' });
+      return `const { a: ${a}, b: ${b} } = ${value};`;
+    }
+    const name = this.fresh();
+    if (type === 'array') {
+      const { text, length } = this.array(scope, 2);
+      scope.push({ name, type, length });
+      return `const ${name} = ${text};`;
+    }
+    const value = type === 'function' ? this.lambda(scope) : this.expression(type, scope, 2);
+    scope.push({ name, type });
+    return `const ${name} = ${value};`;
+  }
+
+  // A number → number arrow function, as text
+  lambda(scope) {
+    const param = this.fresh('x');
+    return `${param} => ${this.expression('number', [...scope, { name: param, type: 'number' }], 2)}`;
+  }
+
+  // An array of numbers, as { text, length }
+  array(scope, depth) {
+    const arrays = scope.filter(binding => binding.type === 'array');
+    if (arrays.length && this.below(3) === 0) {
+      const { name, length } = this.pick(arrays);
+      const extra = this.expression('number', scope, depth - 1);
+      return this.below(2) ?
+        { text: `[...${name}, ${extra}]`, length: length + 1 } :
+        { text: `[${extra}, ...${name}]`, length: length + 1 };
+    }
+    const elements = Array.from({ length: this.below(4) }, () => this.expression('number', scope, depth - 1));
+    return { text: `[${elements.join(', ')}]`, length: elements.length };
+  }
+
+  expression(type, scope, depth) {
+    const variables = scope.filter(binding => binding.type === type);
+    if (depth <= 0 || this.below(4) === 0) {
+      if (variables.length && this.below(2)) return this.pick(variables).name;
+      return this.leaf(type);
+    }
+    const generate = {
+      number: () => this.number(scope, depth),
+      boolean: () => this.boolean(scope, depth),
+      string: () => this.string(scope, depth),
+      array: () => this.array(scope, depth).text,
+      object: () => `{ a: ${this.expression('number', scope, depth - 1)}, ` +
+        `b: ${this.expression(this.pick(['number', 'boolean', 'string']), scope, depth - 1)} }`
+    }[type];
+    return generate();
+  }
+
+  leaf(type) {
+    switch (type) {
+      case 'number':
+        return String(this.below(10));
+      case 'boolean':
+        return this.pick(['true', 'false']);
+      case 'string':
+        return `'${this.pick(Words)}'`;
+      case 'array':
+        return '[]';
+      default:
+        return `{ a: ${this.below(10)}, b: ${this.below(10)} }`;
+    }
+  }
+
+  number(scope, depth) {
+    const sub = type => this.expression(type, scope, depth - 1);
+    const of = type => scope.filter(binding => binding.type === type);
+    const choices = [
+      () => `(${sub('number')} ${this.pick(['+', '-'])} ${sub('number')})`,
+      () => `(${sub('number')} * ${this.below(4)})`,
+      () => `(${sub('number')} % ${1 + this.below(5)})`,
+      () => `(${sub('number')} ${this.pick(['&&', '||'])} ${sub('number')})`,
+      () => `-${this.below(10)}`,
+      () => `(${sub(this.pick(['boolean', 'number', 'string']))} ? ${sub('number')} : ${sub('number')})`,
+      () => this.through('number', scope, depth),
+      () => {
+        const param = this.fresh('x');
+        const body = this.expression('number', [...scope, { name: param, type: 'number' }], depth - 1);
+        return `(${param} => ${body})(${sub('number')})`;
+      },
+      () => `(${this.string(scope, depth - 1)}).length`
+    ];
+    if (of('function').length) choices.push(() => `${this.pick(of('function')).name}(${sub('number')})`);
+    if (of('recursive').length) choices.push(() => `${this.pick(of('recursive')).name}(${this.below(6)})`);
+    const arrays = of('array');
+    if (arrays.length) {
+      choices.push(() => `${this.pick(arrays).name}.length`);
+      const filled = arrays.filter(binding => binding.length > 0);
+      if (filled.length) {
+        choices.push(() => {
+          const { name, length } = this.pick(filled);
+          return `${name}[${this.below(length)}]`;
+        });
+      }
+    }
+    if (of('object').length) choices.push(() => `${this.pick(of('object')).name}.a`);
+    return this.pick(choices)();
+  }
+
+  boolean(scope, depth) {
+    const sub = type => this.expression(type, scope, depth - 1);
+    return this.pick([
+      () => `(${sub('number')} ${this.pick(['<', '>', '<=', '>=', '===', '!=='])} ${sub('number')})`,
+      () => `!(${sub(this.pick(['boolean', 'number', 'string']))})`,
+      () => `(${sub('boolean')} ${this.pick(['&&', '||'])} ${sub('boolean')})`,
+      () => `(${sub('string')} ${this.pick(['<', '===', '!=='])} ${this.leaf('string')})`,
+      () => `(${sub('boolean')} ? ${sub('boolean')} : ${sub('boolean')})`,
+      () => this.through('boolean', scope, depth)
+    ])();
+  }
+
+  string(scope, depth) {
+    const sub = type => this.expression(type, scope, depth - 1);
+    return this.pick([
+      () => `(${sub('string')} + ${sub('string')})`,
+      () => `(${sub('string')} + ${sub(this.pick(['number', 'boolean']))})`,
+      () => `\`${this.pick(Words)}\${${sub('number')}}\``,
+      () => `(${sub(this.pick(['boolean', 'string']))} ? ${sub('string')} : ${sub('string')})`,
+      () => `(${sub('string')} ${this.pick(['&&', '||'])} ${sub('string')})`,
+      () => this.through('string', scope, depth)
+    ])();
+  }
+
+  // A `type` computed in a function from a string it is passed, as
+  // (s0 => body)(string): the body uses s0 directly
+  through(type, scope, depth) {
+    const param = this.fresh('s');
+    const sub = type => this.expression(type, [...scope, { name: param, type: 'string' }], depth - 1);
+    const body = this.pick({
+      number: [
+        () => `${param}.length`,
+        () => `(${param} + ${sub('number')}).length`,
+        () => `(${param} ? ${sub('number')} : ${sub('number')})`
+      ],
+      boolean: [
+        () => `(${param} ${this.pick(['<', '>=', '===', '!=='])} ${sub('string')})`,
+        () => `!${param}`
+      ],
+      string: [
+        () => `(${param} + ${sub(this.pick(['string', 'number', 'boolean']))})`,
+        () => `(${sub('string')} + ${param})`,
+        () => `(${param} ${this.pick(['&&', '||'])} ${sub('string')})`,
+        () => `(${param} ? ${sub('string')} : ${param})`
+      ]
+    }[type]);
+    return `(${param} => ${body()})(${this.expression('string', scope, depth - 1)})`;
+  }
+}
+
+// Targeted tests of what comparing results can't pin down on its own,
+// one per feature. Each check throws (an AssertionError, mostly) if
+// something is wrong.
+
+// [rule, net, its normal form]: the net's redex must reduce by the rule
+const RuleCases = [
+  ['APP-LAM', '@root = a & (#1 a) ~ (b b)', '@root = #1'],
+  ['APP-SUP', '@root = a & (#3 a) ~ {1 (b b) (c c)}', '@root = {1 #3 #3}'],
+  ['APP-NUL', '@root = a & (#1 a) ~ *', '@root = *'],
+  ['APP-REF', '@id = (a a) @root = b & (#4 b) ~ @id', '@root = #4\n@id = (a a)'],
+  ['DUP-LAM', '@root = {9 a b} & {1 a b} ~ (c c)', '@root = {9 (a a) (b b)}'],
+  ['DUP-SUP', '@root = {9 a b} & {1 a b} ~ {1 #1 #2}', '@root = {9 #1 #2}'],
+  ['DUP-SUP', '@root = {9 a b} & {1 a b} ~ {2 #1 #2}', '@root = {9 {2 #1 #2} {2 #1 #2}}'],
+  ['DUP-NUL', '@root = {9 a b} & {1 a b} ~ *', '@root = {9 * *}'],
+  ['DUP-NUM', '@root = {9 a b} & {1 a b} ~ #5', '@root = {9 #5 #5}'],
+  ['DUP-REF', '@id = (a a) @root = {9 a b} & {1 a b} ~ @id', '@root = {9 @id @id}\n@id = (a a)'],
+  ['ERA-LAM', '@root = #1 & * ~ (a a)', '@root = #1'],
+  ['ERA-SUP', '@root = #1 & * ~ {1 #1 #2}', '@root = #1'],
+  ['ERA-NUL', '@root = #1 & * ~ *', '@root = #1'],
+  ['ERA-NUM', '@root = #1 & * ~ #2', '@root = #1'],
+  ['ERA-REF', '@id = (a a) @root = #1 & * ~ @id', '@root = #1\n@id = (a a)'],
+  ['OP2-NUM', '@root = a & <- #2 a> ~ #3', '@root = #1'],
+  ['OP1-NUM', '@root = a & <#3 - a> ~ #1', '@root = #2'],
+  ['OP2-SUP', '@root = a & <+ #1 a> ~ {1 #1 #2}', '@root = {1 #2 #3}'],
+  ['OP2-NUL', '@root = a & <+ #1 a> ~ *', '@root = *'],
+  // Switches apply their branches to a Church boolean: these pick #1 or #2
+  ['SWI-NUM', '@root = a & ?(((#1 (#2 r)) r) a) ~ #0', '@root = #2'],
+  ['SWI-NUM', '@root = a & ?(((#1 (#2 r)) r) a) ~ #7', '@root = #1'],
+  ['SWI-NUL', '@root = a & ?(((#1 (#2 r)) r) a) ~ *', '@root = #2'],
+  ['SWI-LAM', '@root = a & ?(((#1 (#2 r)) r) a) ~ (b b)', '@root = #1'],
+  ['SWI-SUP', '@root = a & ?(((#1 (#2 r)) r) a) ~ {1 #0 #1}', '@root = {1 #2 #1}'],
+  ['SWI-LAM', '@root = a & ?#(((#1 (#2 r)) r) a) ~ (b b)', '@root = #2'],
+  ['SWI-NUM', '@root = a & ?=(((#1 (#2 r)) r) a) ~ #0', '@root = #1'],
+  ['SWI-NUL', '@root = a & ?=(((#1 (#2 r)) r) a) ~ *', '@root = #2']
+];
+
+// Programs the checks below run, with their results
+const Fib = {
+  source: 'function fib(n) { if (n < 2) return n; return fib(n - 1) + fib(n - 2); } fib(12)',
+  value: 144
+};
+const Pairs = {
+  source: "const p = { x: 3, y: 'net' }; [p.x * 2, p.y + '!', [1, 2].length]",
+  value: [6, 'net!', 2]
+};
+// Keeps a few hundred nodes live, so that small heaps and queues grow
+const Growing = {
+  source: 'function range(n) { return n === 0 ? [] : [n, ...range(n - 1)]; } ' +
+    'function fib(n) { return n < 2 ? n : fib(n - 1) + fib(n - 2); } [fib(10), range(300).length]',
+  value: [55, 300]
+};
+
+// The decoded value of the net at `loc`
+const valueAt = (compiler, loc = ROOT) =>
+  decode(readback(compiler.evaluator.net, loc), compiler.shapes).value;
+
+const Checks = {
+  'redex queue': async () => {
+    // Both backends make the same interactions, each worker's counted once,
+    // from deques that start out too small for the program
+    const runs = [];
+    for (const backend of ['sync', 'workers']) {
+      const compiler = new Compiler({ backend, workers: 2, queueCapacity: 4 });
+      try {
+        compiler.compile(Growing.source);
+        const statistics = await compiler.evaluate();
+        assert.deepStrictEqual(valueAt(compiler), Growing.value);
+        const counted = statistics.workers.reduce((sum, worker) => sum + worker.interactions, 0);
+        assert.strictEqual(counted, statistics.interactions, `${backend} workers add up`);
+        runs.push({ statistics, capacity: compiler.evaluator.net.queue.capacity });
+      } finally {
+        compiler.evaluator.close();
+      }
+    }
+    const [sync, workers] = runs;
+    assert.strictEqual(workers.statistics.interactions, sync.statistics.interactions);
+    assert.strictEqual(workers.statistics.workers.length, 2);
+    assert.ok(sync.capacity > 4, 'a full deque grows');
+  },
+
+  heap: async () => {
+    // A heap that starts at one page grows as far as the program needs,
+    // reusing the nodes interactions free along the way
+    for (const backend of ['sync', 'workers']) {
+      const compiler = new Compiler({ backend, workers: 2, heapSize: 4096 });
+      try {
+        compiler.compile(Growing.source);
+        const heap = compiler.evaluator.net.heap;
+        const capacity = heap.capacity;
+        const statistics = await compiler.evaluate();
+        assert.deepStrictEqual(valueAt(compiler), Growing.value);
+        assert.ok(heap.capacity > capacity && heap.capacity <= heap.maxCapacity, `the ${backend} heap grows`);
+        assert.ok(heap.nextLoc / NODE_SIZE < statistics.allocations,
+          `the ${backend} heap reuses freed nodes`);
+      } finally {
+        compiler.evaluator.close();
+      }
+    }
+  },
+
+  'rule table': async () => {
+    for (const [rule, text, normal] of RuleCases) {
+      const net = Net.fromText(text);
+      const rules = [];
+      net.trace(event => rules.push(event.rule));
+      net.evaluate();
+      assert.strictEqual(rules[0], rule, `${text} reduces by ${rules[0]}`);
+      assert.strictEqual(net.toText().trim(), normal, `${text} reduces to ${normal}`);
+    }
+    const stuck = Net.fromText('@root = a & (#1 a) ~ #2');
+    assert.throws(() => stuck.evaluate(), /No interaction rule for APP-NUM/);
+  },
+
+  'text format': async () => {
+    for (const { source, value } of [Fib, Pairs]) {
+      const compiler = new Compiler({ backend: 'sync' });
+      compiler.compile(source);
+      const text = compiler.evaluator.net.toText();
+      const parsed = Net.fromText(text);
+      assert.strictEqual(parsed.toText(), text, 'printing a parsed net gives the same text');
+      parsed.evaluate();
+      assert.deepStrictEqual(decode(readback(parsed, ROOT), compiler.shapes).value, value);
+    }
+    assert.throws(() => Net.fromText('@root = (a b)'), /variable 'a' must appear once in each polarity/);
+    assert.throws(() => Net.fromText('@root = @missing'), /missing/);
+  },
+
+  'command line': async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ruhandl-'));
+    const file = (name, source) => {
+      fs.writeFileSync(path.join(dir, name), source);
+      return path.join(dir, name);
+    };
+    const cli = (...args) => spawnSync(process.execPath,
+      [path.join(__dirname, 'cli.js'), ...args, '--backend', 'sync'], { encoding: 'utf8' });
+    try {
+      const ok = cli('run', file('ok.js', Fib.source));
+      assert.strictEqual(ok.status, ExitCodes.OK, ok.stderr);
+      assert.strictEqual(ok.stdout.trim(), String(Fib.value));
+      const json = cli('run', file('pairs.js', Pairs.source), '--json');
+      assert.deepStrictEqual(JSON.parse(json.stdout).value, Pairs.value);
+      // Each way of failing has its own exit code
+      const spin = file('spin.js', 'function spin(n) { return spin(n + 1); } spin(0)');
+      for (const [args, code] of [
+        [['run', path.join(dir, 'missing.js')], ExitCodes.USAGE],
+        [['frobnicate'], ExitCodes.USAGE],
+        [['run', file('syntax.js', 'const = 1')], ExitCodes.COMPILE],
+        [['run', file('undefined.js', 'missing + 1')], ExitCodes.COMPILE],
+        [['run', file('stuck.js', '(1)(2)')], ExitCodes.RUNTIME],
+        [['run', spin, '--max-steps', '100'], ExitCodes.LIMIT],
+        [['run', spin, '--timeout', '50'], ExitCodes.LIMIT]
+      ]) {
+        assert.strictEqual(cli(...args).status, code, `ruhandl ${args.join(' ')} exits with ${code}`);
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  },
+
+  repl: async () => {
+    // Top-level names, and what they hold, carry over from input to input,
+    // even past an input a limit stopped
+    const session = new Session({ backend: 'sync', maxInteractions: 10000 });
+    try {
+      assert.strictEqual(await session.run('const base = 10;'), null);
+      assert.strictEqual(await session.run('function add(x) { return base + x; }'), null);
+      assert.strictEqual((await session.run('add(5)')).value, 15);
+      await assert.rejects(session.run('function spin(n) { return spin(n + 1); } spin(0)'),
+        { limit: 'maxInteractions' });
+      assert.strictEqual((await session.run('const more = add(add(1)); more * 2')).value, 42);
+      assert.strictEqual((await session.run('more')).value, 21);
+      assert.match(await session.command(':stats'), /Last evaluation:[^]*interactions/);
+      assert.strictEqual(await session.command(':reset'), 'Session reset');
+      await assert.rejects(session.run('add(1)'), /Undefined variable: add/);
+    } finally {
+      session.close();
+    }
+
+    // Incomplete input continues on the next line
+    const output = new PassThrough();
+    let printed = '';
+    output.on('data', chunk => printed += chunk);
+    const lines = ['function sq(x) {\n', '  return x * x;\n', '}\n', 'sq(4)\n', ':quit\n', 'sq(5)\n'];
+    await startRepl({ backend: 'sync' }, { input: Readable.from(lines), output });
+    assert.match(printed, /^ruhandl> (\.\.\. +){2}ruhandl> 16\nruhandl> $/);
+  },
+
+  diagnostics: async () => {
+    // One compile reports every problem, each where it is in the source
+    const compiler = new Compiler({ backend: 'sync' });
+    const source = 'const two = 2;\nconst x = tow(1);\nclass A {}\nx + y';
+    try {
+      assert.throws(() => compiler.compile(source), error => {
+        assert.ok(error instanceof CompileError);
+        assert.deepStrictEqual(error.diagnostics.map(String), [
+          "2:11: Undefined variable: tow (did you mean 'two'?)",
+          '3:1: Unsupported node type: ClassDeclaration',
+          "4:5: Undefined variable: y (did you mean 'x'?)"
+        ]);
+        assert.strictEqual(error.format('prog.js').split('\n\n')[0], [
+          'prog.js:2:11: error: Undefined variable: tow',
+          '    |',
+          '  2 | const x = tow(1);',
+          '    |           ^^^',
+          "  hint: did you mean 'two'?"
+        ].join('\n'));
+        return true;
+      });
+      assert.throws(() => compiler.compile('1 +'), /1:4: Unexpected token/);
+
+      // Ignored statements only warn
+      compiler.compile('function f(x) { 1; return x; } f(1)');
+      assert.deepStrictEqual(compiler.warnings.map(({ line, column }) => [line, column]), [[1, 16]]);
+      assert.match(String(compiler.warnings[0]), /Statement is ignored/);
+    } finally {
+      compiler.evaluator.close();
+    }
+  },
+
+  'tracing and replay': async () => {
+    const compiler = new Compiler({ backend: 'sync' });
+    compiler.compile(Pairs.source);
+    const net = compiler.evaluator.net;
+    const recorder = new TraceRecorder(net);
+    const statistics = await compiler.evaluate({ trace: recorder.record });
+    const replay = new TraceReplay(parseTrace(recorder.toString()));
+    while (replay.step());
+    assert.strictEqual(replay.events.length, statistics.interactions);
+    assert.strictEqual(replay.net.toText(), net.toText(), 'the replay ends on the same net');
+    assert.deepStrictEqual(valueAt(compiler), Pairs.value);
+
+    // Stepping by hand stops at breakpoints
+    compiler.compile(Fib.source);
+    net.addBreakpoint({ rule: 'OP2-NUM' });
+    const stop = net.runUntil();
+    assert.strictEqual(stop && stop.rule, 'OP2-NUM');
+    net.removeBreakpoint(stop.breakpoint);
+    assert.strictEqual(net.runUntil(), null);
+    assert.strictEqual(valueAt(compiler), Fib.value);
+  },
+
+  'host calls': async () => {
+    const calls = [];
+    const script = new InteractionScript({ backend: 'sync' });
+    script.defineHost('log', value => {
+      calls.push(value);
+      return value;
+    });
+    script.defineHost('pair', (a, b) => [a, b === undefined ? 'none' : b], { arity: 2 });
+    try {
+      // In the order JS makes them: operands left to right, and earlier
+      // statements' calls first
+      assert.strictEqual((await script.evaluate('log(1) + log(2)')).value, 3);
+      assert.deepStrictEqual(calls.splice(0), [1, 2]);
+      assert.deepStrictEqual((await script.evaluate('log(1); const x = log(2); [log(3), x]')).value, [3, 2]);
+      assert.deepStrictEqual(calls.splice(0), [1, 2, 3]);
+      // Calls made inside functions run in walk order, so only check
+      // that both are made
+      const source = 'function f(x) { return log(x); } const a = f(1); [f(2), a]';
+      assert.deepStrictEqual((await script.evaluate(source)).value, [2, 1]);
+      assert.deepStrictEqual(calls.splice(0).sort(), [1, 2]);
+      // Calls whose arguments hold other calls' results come after those
+      assert.deepStrictEqual((await script.evaluate('log([log(1), 2])')).value, [1, 2]);
+      assert.deepStrictEqual(calls.splice(0), [1, [1, 2]]);
+      assert.deepStrictEqual((await script.evaluate('log({ a: log(1) })')).value, { a: 1 });
+      assert.deepStrictEqual(calls.splice(0), [1, { a: 1 }]);
+      await script.evaluate('function g(x) { return log([x, log(2)]); } g(1)');
+      assert.deepStrictEqual(calls.splice(0), [2, [1, 2]]);
+      await script.evaluate('[log(1), log([log(2)]), log(3)]');
+      assert.deepStrictEqual(calls.splice(0), [1, 2, [2], 3]);
+      const paired = await script.evaluate("[pair(1, 'b'), pair(2)]");
+      assert.deepStrictEqual(paired.value, [[1, 'b'], [2, 'none']]);
+    } finally {
+      script.close();
+    }
+    // An input with no result still makes its calls
+    const session = new Session({ backend: 'sync' });
+    session.compiler.defineHost('log', value => {
+      calls.push(value);
+      return value;
+    });
+    try {
+      assert.strictEqual(await session.run('const a = log(1);'), null);
+      assert.deepStrictEqual((await session.run('a + 1')).value, 2);
+      assert.deepStrictEqual(calls.splice(0), [1]);
+    } finally {
+      session.close();
+    }
+    assert.throws(() => script.defineHost('bad', () => 0, { arity: -1 }), /whole number of arguments/);
+  },
+
+  'resource limits': async () => {
+    const spin = 'function spin(n) { return spin(n + 1); } spin(0)';
+    const grow = 'function grow(n) { return [n, ...grow(n + 1)]; } grow(0)';
+    // Each limit stops the program with partial statistics, and the
+    // runtime takes the next program as usual
+    const stops = async (options, source, limits, limit) => {
+      const script = new InteractionScript(options);
+      try {
+        const error = await script.evaluate(source, limits).then(() => null, error => error);
+        assert.ok(error instanceof ResourceLimitError, `${limit} stops ${source}: ${error}`);
+        assert.strictEqual(error.limit, limit);
+        assert.ok(error.statistics.wallMs > 0, `${limit} comes with statistics`);
+        assert.strictEqual((await script.evaluate(Fib.source)).value, Fib.value);
+      } finally {
+        script.close();
+      }
+    };
+    const aborted = new AbortController();
+    aborted.abort();
+    const later = new AbortController();
+    setTimeout(() => later.abort(), 50);
+    for (const backend of ['sync', 'workers']) {
+      const options = { backend, workers: 2 };
+      await stops(options, spin, { maxInteractions: 1000 }, 'maxInteractions');
+      await stops(options, grow, { maxNodes: 1000 }, 'maxNodes');
+      await stops(options, spin, { timeoutMs: 50 }, 'timeoutMs');
+      await stops({ ...options, maxHeapSize: 1 << 20 }, grow, {}, 'maxHeapSize');
+    }
+    await stops({ backend: 'sync' }, spin, { signal: later.signal }, 'signal');
+    const script = new InteractionScript({ backend: 'sync' });
+    await assert.rejects(script.evaluate(spin, { signal: aborted.signal }), { limit: 'signal' });
+    script.close();
+  },
+
+  validator: async () => {
+    const compiler = new Compiler({ backend: 'sync', debug: true });
+    compiler.compile(Pairs.source);
+    const net = compiler.evaluator.net;
+    assert.deepStrictEqual(net.validate(), []);
+    await compiler.evaluate();
+    assert.deepStrictEqual(net.validate(), []);
+
+    const broken = (text, change, problem) => {
+      const net = Net.fromText(text);
+      change(net);
+      assert.match(net.validate().map(({ message }) => message).join('\n'), problem, `${text}: ${problem}`);
+      assert.throws(() => net.assertValid('in a test'), InvalidNetError);
+    };
+    broken('@root = (a a)', net => net.createLam(), /unreachable from the root/);
+    broken('@root = (a a)', net => net.set(ROOT, [Tags.APP, net.get(ROOT)[1]]), /root: APP points at LAM/);
+    broken('@root = (a a)', net => net.set(net.get(ROOT)[1] + 2n, [Tags.NUM, 0n]), /has 0 VARs/);
+    const relabel = net => net.set(net.get(ROOT)[1], [Tags.SUP, 99n]);
+    broken('@root = {1 #1 #2}', relabel, /label 99 was never handed out/);
+  },
+
+  snapshots: async () => {
+    const script = new InteractionScript({ backend: 'sync' });
+    await assert.rejects(script.evaluate(Fib.source, { maxInteractions: 100 }), ResourceLimitError);
+    const snapshot = script.snapshot();
+    const sync = InteractionScript.restore(snapshot, { backend: 'sync' });
+    const workers = InteractionScript.restore(snapshot, { backend: 'workers', workers: 2 });
+    try {
+      assert.strictEqual((await sync.resume()).value, Fib.value);
+      assert.strictEqual((await workers.resume()).value, Fib.value);
+      assert.strictEqual((await script.resume()).value, Fib.value);
+    } finally {
+      [script, sync, workers].forEach(runtime => runtime.close());
+    }
+    assert.throws(() => Net.restore(Buffer.from('not a snapshot')), /snapshot/);
+  }
+};
+
+// Runs every check, resolving to the names of those that failed along with
+// why
+async function runChecks() {
+  const failures = [];
+  for (const [name, check] of Object.entries(Checks)) {
+    try {
+      await check();
+    } catch (error) {
+      failures.push({ name, message: error.message });
+    }
+  }
+  return failures;
+}
+
+async function main(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        count: { type: 'string', default: '200' },
+        seed: { type: 'string', default: '1' },
+        backend: { type: 'string', default: 'sync' },
+        workers: { type: 'string' },
+        optimize: { type: 'boolean', default: false },
+        show: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage}`);
+    return 2;
+  }
+  if (values.help) {
+    console.log(usage);
+    return 0;
+  }
+  const count = Number(values.count);
+  const seed = Number(values.seed);
+  if (!Number.isInteger(count) || count < 0 || !Number.isInteger(seed)) {
+    console.error(`--count and --seed expect integers\n\n${usage}`);
+    return 2;
+  }
+  const options = {
+    backend: values.backend,
+    workers: values.workers === undefined ? undefined : Number(values.workers),
+    optimize: values.optimize
+  };
+
+  const programs = [
+    ...corpus,
+    ...Array.from({ length: count }, (_, i) => ({
+      name: `random program (seed ${seed + i})`,
+      source: new ProgramGenerator(seed + i).program()
+    }))
+  ];
+  const failures = await runChecks();
+  for (const { name, message } of failures) console.log(`FAILED ${name}: ${message}\n`);
+
+  let mismatches = 0;
+  for (const { name, source, optimizes } of programs) {
+    const outcome = await check(source, optimizes ? { ...options, optimize: true } : options);
+    const report = outcome.actual && outcome.actual.optimization;
+    if (!outcome.mismatch && report) outcome.mismatch = optimizerDifference(report, optimizes);
+    if (outcome.mismatch) mismatches++;
+    if (outcome.mismatch || values.show) console.log(`${formatOutcome({ name, ...outcome })}\n`);
+  }
+  const checks = Object.keys(Checks).length;
+  console.log(`${programs.length} programs (${corpus.length} from the corpus, ${count} random), ` +
+    `${mismatches} mismatch${mismatches === 1 ? '' : 'es'}; ` +
+    `${checks} checks, ${failures.length} failed`);
+  return mismatches || failures.length ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  check, difference, optimizerDifference, formatOutcome, ProgramGenerator, referenceValue, Checks, runChecks
+};
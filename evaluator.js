@@ -1,5 +1,13 @@
-const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { Worker } = require('worker_threads');
+const path = require('path');
 const os = require('os');
+const { RedexQueue, Halt } = require('./queue.js');
+const { Heap, Header, NODE_SIZE } = require('./heap.js');
+const { Book } = require('./book.js');
+const { Statistics, Counter } = require('./stats.js');
+
+// Port of the reserved node 0 that receives a compiled program's result
+const ROOT = 1n;
 
 // Constants for term tags
 const Tags = {
@@ -11,35 +19,273 @@ const Tags = {
   APP: 5n, // Negative constructor (application)
   SUP: 6n, // Positive duplicator
   DUP: 7n, // Negative duplicator
+  NUM: 8n, // Positive native number (unboxed in the target field)
+  OP2: 9n, // Negative operator waiting for its first operand
+  REF: 10n, // Positive reference to a book definition (id in the target)
+  OP1: 11n, // Negative operator holding its first operand
+  SWI: 13n, // Negative switch: applies its branches to the condition's truthiness
+  HOST: 15n, // Negative call of a host function (id in the header) on its argument
+};
+
+// A HOST header holds the host function's id in its low bits and the
+// call's place in the program above them (see createHost)
+const HOST_ID_BITS = 24n;
+const HOST_ID_MASK = (1n << HOST_ID_BITS) - 1n;
+
+// Negative tags are odd, positive ones even
+const isNegative = (tag) => (tag & 1n) === 1n;
+
+// Native numbers live in the 56-bit target: a kind above 32 value bits
+const NumKind = {
+  I32: 0n, // signed 32-bit integer
+  F32: 1n, // 32-bit float
+  BOOL: 2n // comparison result, 0 or 1
+};
+
+const f32 = new Float32Array(1);
+const f32Bits = new Int32Array(f32.buffer);
+
+function numKindOf(value) {
+  if (typeof value === 'boolean') return NumKind.BOOL;
+  if (Number.isInteger(value) && value >= -0x80000000 && value <= 0x7fffffff) {
+    return NumKind.I32;
+  }
+  // Anything else, including integers that overflow 32 bits, is a float
+  return NumKind.F32;
+}
+
+function packNum(value, kind = numKindOf(value)) {
+  switch (kind) {
+    case NumKind.BOOL:
+      return [Tags.NUM, NumKind.BOOL << 32n | (value ? 1n : 0n)];
+    case NumKind.I32:
+      return [Tags.NUM, NumKind.I32 << 32n | BigInt(value >>> 0)];
+    default:
+      f32[0] = value;
+      return [Tags.NUM, NumKind.F32 << 32n | BigInt(f32Bits[0] >>> 0)];
+  }
+}
+
+function unpackNum(target) {
+  const kind = target >> 32n;
+  const bits = Number(target & 0xffffffffn) | 0;
+  switch (kind) {
+    case NumKind.I32:
+      return bits;
+    case NumKind.F32:
+      f32Bits[0] = bits;
+      return f32[0];
+    case NumKind.BOOL:
+      return bits !== 0;
+    default:
+      throw new Error(`Invalid number kind: ${kind}`);
+  }
+}
+
+// What a SWI node (kind in its header) tests its condition for
+const SwiKind = {
+  TRUTHY: 0n, // JS truthiness
+  NUMBER: 1n, // typeof x === 'number'
+  DEFINED: 2n // x !== undefined
+};
+
+// Structured data is num-scott encoded: a value is λk.k #tag field1 ...,
+// the native tag telling its constructor apart. Arrays are lists of nil
+// (no fields) and cons (head and tail); a string has one field, the list
+// of its UTF-16 code units as native numbers; every distinct set of object
+// keys gets a shape tag of its own, numbered from FIRST_SHAPE in the order
+// the compiler meets them.
+const DataTags = { NIL: 0, CONS: 1, STRING: 2, FIRST_SHAPE: 3 };
+
+// Operators of OP2/OP1 nodes; the code is stored in the node header
+const Ops = ['+', '-', '*', '/', '%', '<', '>', '<=', '>=', '===', '!==',
+  '&', '|', '^', '<<', '>>'];
+
+function applyOp(op, a, b) {
+  switch (op) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return a / b;
+    case '%': return a % b;
+    case '<': return a < b;
+    case '>': return a > b;
+    case '<=': return a <= b;
+    case '>=': return a >= b;
+    case '===': return a === b;
+    case '!==': return a !== b;
+    case '&': return a & b;
+    case '|': return a | b;
+    case '^': return a ^ b;
+    case '<<': return a << b;
+    case '>>': return a >> b;
+    default:
+      throw new Error(`Unknown operator: ${op}`);
+  }
+}
+
+// Thrown when reduction is stopped by a resource limit or cancelled.
+// `limit` names the option that stopped it and `statistics` covers the work
+// done up to that point; the net is left as it was when it stopped.
+class ResourceLimitError extends Error {
+  constructor(limit, { maxInteractions, maxNodes, timeoutMs }, statistics) {
+    const messages = {
+      maxInteractions: `Exceeded ${maxInteractions} interactions`,
+      maxNodes: `Exceeded ${maxNodes} nodes`,
+      maxHeapSize: 'Ran out of heap: the net would outgrow maxHeapSize',
+      timeoutMs: `Timed out after ${timeoutMs} ms`,
+      signal: 'Evaluation aborted'
+    };
+    super(messages[limit]);
+    this.name = 'ResourceLimitError';
+    this.limit = limit;
+    this.statistics = statistics;
+  }
+}
+
+// Nodes an interaction allocates at most, other than an expansion's
+const RULE_NODES = 8;
+
+// The limit behind each way a queue can be halted early
+const HaltLimits = {
+  [Halt.LIMIT]: 'maxInteractions',
+  [Halt.MEMORY]: 'maxNodes',
+  [Halt.TIMEOUT]: 'timeoutMs',
+  [Halt.ABORTED]: 'signal',
+  [Halt.HEAP]: 'maxHeapSize'
 };
 
 class Net {
-  constructor() {
-    // Using BigInt64Array for 64-bit integers
-    this.terms = new SharedArrayBuffer(1024 * 1024 * 8); // 8MB initial size
-    this.termsView = new BigInt64Array(this.terms);
-    this.nextLoc = 0;
-    this.redexQueue = [];
-    this.statistics = {
-      betaReductions: 0,
-      duplications: 0,
-      erasures: 0,
-      annihilations: 0
+  constructor({
+    maxWorkers = 1,
+    queueCapacity,
+    heapSize,
+    maxHeapSize,
+    book = null,
+    shared = null,
+    workerId = 0
+  } = {}) {
+    this.workerId = workerId;
+    if (shared) {
+      // Attach to a net created on another thread
+      this.heap = new Heap({ buffers: shared.heap });
+      this.queue = new RedexQueue({ buffers: shared.queue });
+      this.book = new Book({ buffers: shared.book });
+      this.stats = new Statistics({ buffer: shared.stats });
+    } else {
+      this.heap = new Heap({ maxWorkers, initialSize: heapSize, maxSize: maxHeapSize });
+      this.queue = new RedexQueue({ deques: maxWorkers, capacity: queueCapacity });
+      this.book = book || new Book();
+      this.stats = new Statistics({ workers: maxWorkers });
+    }
+    // Using BigInt64Array for 64-bit integers; grows along with the heap
+    this.terms = this.heap.terms;
+    this.termsView = this.heap.view;
+    if (!shared) {
+      this.set(ROOT, [Tags.SUB, 0n]);
+    }
+    // Host calls parked for the main thread, as [HOST, argument] redexes
+    // (see park())
+    this.hostCalls = [];
+    // Tracing (see trace()): the listener, the breakpoints runUntil() stops
+    // at, and the nodes allocated and freed by the interaction in progress
+    this.tracer = null;
+    this.breakpoints = [];
+    this.changes = null;
+    this.replayAllocs = null;
+    // Debug mode: validate after every interaction (see assertValid), which
+    // only makes sense while a single thread reduces the net
+    this.debug = false;
+  }
+
+  // Empties the net: every node freed, no redexes or host calls left and
+  // nothing at the root. Labels, the book and the statistics carry on.
+  // Only valid while no worker is running.
+  clear() {
+    this.heap.clear();
+    this.queue.clear();
+    this.hostCalls = [];
+    this.set(ROOT, [Tags.SUB, 0n]);
+  }
+
+  // Forgets the redexes and host calls a stopped reduction left, so that
+  // the next evaluation doesn't carry on with it; whatever they would have
+  // reduced stays as it is. Only valid while no worker is running.
+  abandon() {
+    this.queue.clear();
+    this.hostCalls = [];
+  }
+
+  // The nodes as they are now, for rollback() to return to (the redex
+  // queue and host calls aren't part of it). Only valid while no worker is
+  // running.
+  checkpoint() {
+    return this.heap.checkpoint();
+  }
+
+  rollback(checkpoint) {
+    this.heap.rollback(checkpoint);
+  }
+
+  // Buffers a worker needs to reduce this same net
+  get shared() {
+    return {
+      heap: this.heap.buffers,
+      queue: this.queue.buffers,
+      book: this.book.buffers,
+      stats: this.stats.buffer
     };
   }
 
-  // Allocates space for a new node with given number of ports
-  alloc(ports) {
-    const loc = this.nextLoc;
-    this.nextLoc += ports;
-    return BigInt(loc);
+  get nextLoc() {
+    return this.heap.nextLoc;
+  }
+
+  // Hands out `count` consecutive DUP/SUP labels no node uses yet, returning
+  // the first one
+  freshLabel(count = 1) {
+    return this.heap.freshLabels(count);
+  }
+
+  // Allocates a node. Every node occupies NODE_SIZE words (header plus two
+  // ports) regardless of `ports`, so that freed slots can be recycled.
+  alloc(ports = NODE_SIZE) {
+    if (ports > NODE_SIZE) {
+      throw new Error(`Cannot allocate ${ports} ports (node size is ${NODE_SIZE})`);
+    }
+    let loc;
+    if (this.replayAllocs) {
+      // Replaying a trace: reuse the locations the recorded run got
+      loc = this.heap.allocAt(this.replayAllocs.shift());
+    } else {
+      loc = this.heap.alloc(this.workerId);
+    }
+    if (this.changes) this.changes.allocated.push(loc);
+    this.stats.add(this.workerId, Counter.ALLOCATIONS);
+    return loc;
+  }
+
+  // Marks a node as consumed by an interaction
+  consume(loc) {
+    this.heap.consume(loc);
+  }
+
+  // Empties an aux port of a consumed node for good, returning its term
+  claim(loc) {
+    const term = this.take(loc);
+    const freed = this.heap.release(this.workerId, loc);
+    if (freed !== null) {
+      this.stats.add(this.workerId, Counter.FREES);
+      if (this.changes) this.changes.freed.push(freed);
+    }
+    return term;
   }
 
   toBigInt(value) {
     return typeof value === 'bigint' ? value : BigInt(value);
   }
 
-  // Fixed atomic swap operation for BigInt
+  // Atomically exchanges the term at location, returning the previous one
   swap(loc, newValue) {
     let packedValue;
     if (typeof newValue === 'bigint') {
@@ -50,202 +296,759 @@ class Net {
       throw new Error('Invalid value type for swap');
     }
     
-    const oldValue = Atomics.compareExchange(
-      this.termsView,
-      Number(loc),
-      this.termsView[Number(loc)],
-      packedValue
-    );
+    const oldValue = Atomics.exchange(this.termsView, Number(loc), packedValue);
     return this.unpackTerm(oldValue);
   }
 
   // Sets a value at location
   set(loc, term) {
     const packed = this.packTerm(term);
-    this.termsView[Number(loc)] = packed;
+    Atomics.store(this.termsView, Number(loc), packed);
   }
 
   // Gets a term at location
   get(loc) {
-    return this.unpackTerm(this.termsView[Number(loc)]);
+    return this.unpackTerm(Atomics.load(this.termsView, Number(loc)));
+  }
+
+  // Empties a location, returning the term it held
+  take(loc) {
+    return this.swap(loc, 0n);
+  }
+
+  // Checks the invariants listed in validate.js, returning the problems
+  // found as { loc, message } objects. Only meaningful while no worker is
+  // reducing the net. Pass `compiling` for a definition's net, whose REFs
+  // may point at definitions not compiled yet.
+  validate({ compiling = false } = {}) {
+    const { validateNet } = require('./validate.js');
+    return validateNet(this, { compiling });
+  }
+
+  // Throws an InvalidNetError listing what validate() found, if anything;
+  // `when` completes its message ("Invalid net after compiling: ...")
+  assertValid(when, options) {
+    const problems = this.validate(options);
+    if (problems.length) {
+      const { InvalidNetError } = require('./validate.js');
+      throw new InvalidNetError(problems, when);
+    }
+  }
+
+  // A binary image of the net (see snapshot.js), with `meta` stored
+  // alongside; only valid while no worker is reducing it
+  snapshot(meta = null) {
+    const { writeSnapshot } = require('./snapshot.js');
+    return writeSnapshot(this, meta);
+  }
+
+  // The net saved by snapshot(), ready to be reduced further; `options`
+  // go to the constructor
+  static restore(buffer, options = {}) {
+    const { readSnapshot } = require('./snapshot.js');
+    return readSnapshot(buffer, options).net;
+  }
+
+  // Prints the net in the textual format described in text.js
+  toText() {
+    const { NetPrinter } = require('./text.js');
+    return new NetPrinter(this).print();
+  }
+
+  // Builds a net from the textual format; `options` go to the constructor
+  static fromText(text, options) {
+    const { NetParser } = require('./text.js');
+    return new NetParser(new Net(options), text).parse();
   }
 
   // Visualization methods
-  visualize() {
-    let dot = 'digraph G {\n';
-    const visited = new Set();
-
-    const visualizeNode = (loc) => {
-      if (visited.has(loc)) return;
-      visited.add(loc);
-
-      const [tag, target] = this.get(loc);
-      const nodeLabel = this.getTagName(tag);
-      
-      dot += `  node${loc} [label="${nodeLabel}"];\n`;
-      
-      // Add edges for ports
-      if (tag !== Tags.VAR && tag !== Tags.SUB) {
-        for (let i = 1; i <= this.getPortCount(tag); i++) {
-          const portLoc = loc + i;
-          const [portTag, portTarget] = this.get(portLoc);
-          dot += `  node${loc} -> node${portTarget} [label="port${i}"];\n`;
-          visualizeNode(portTarget);
-        }
+
+  // Everything reachable from the root port and the pending redexes, as
+  // { nodes, edges, redexes }. Edges run from a node to what sits in its aux
+  // ports; wires between two aux ports are drawn once, from their positive
+  // end. Node ids are derived from heap locations (or, for leaves, from the
+  // slot holding them), so they stay put while the net is reduced.
+  graph() {
+    const nodes = [{ id: 'root', tag: 'ROOT', label: 'root' }];
+    const edges = [];
+    const redexes = [];
+    const seen = new Set();
+
+    // Returns the id of the tree whose principal port is `term`; `at`
+    // names the place a leaf sits in
+    const tree = (term, at) => {
+      const [tag, target] = term;
+      if (tag === Tags.NUL || tag === Tags.ERA || tag === Tags.NUM || tag === Tags.REF) {
+        const label = tag === Tags.NUM ? `#${unpackNum(target)}` :
+          tag === Tags.REF ? `@${this.book.nameOf(Number(target))}` : '*';
+        nodes.push({ id: at, tag: this.getTagName(tag), label });
+        return at;
+      }
+      const id = `n${target}`;
+      if (seen.has(target)) return id;
+      seen.add(target);
+      const [, info] = this.get(target);
+      let label = this.getTagName(tag);
+      if (tag === Tags.DUP || tag === Tags.SUP) label += ` ${info}`;
+      if (tag === Tags.OP2 || tag === Tags.OP1) label += ` ${Ops[Number(info)]}`;
+      if (tag === Tags.HOST) label += ` ${this.book.hostName(this.hostOf(target))}`;
+      nodes.push({ id, tag: this.getTagName(tag), label });
+      for (let port = 1n; port < BigInt(NODE_SIZE); port++) {
+        const to = end(target + port);
+        if (to) edges.push({ from: id, to: to.id, label: String(port), wire: to.wire });
       }
+      return id;
     };
 
-    // Start visualization from root
-    visualizeNode(0);
-    dot += '}\n';
-    return dot;
+    // What an aux port is connected to, or null if the other end draws it
+    const end = (slot) => {
+      const term = this.get(slot);
+      if (term[0] === Tags.SUB) return null;
+      if (term[0] !== Tags.VAR) return { id: tree(term, `s${slot}`), wire: false };
+      const far = this.get(term[1]);
+      if (far[0] !== Tags.SUB && !isNegative(far[0])) {
+        return { id: tree(far, `s${term[1]}`), wire: false }; // pending substitution
+      }
+      const owner = term[1] - term[1] % BigInt(NODE_SIZE);
+      if (owner === 0n) return { id: 'root', wire: true };
+      return { id: tree([this.get(owner)[0], owner]), wire: true };
+    };
+
+    const root = end(ROOT);
+    if (root) edges.push({ from: 'root', to: root.id, label: '', wire: root.wire });
+    // Parked host calls are pending redexes too
+    const parked = this.hostCalls.map(call => call.map(term => this.packTerm(term)));
+    [...this.queue.list(), ...parked].forEach(([neg, pos], i) => {
+      redexes.push({
+        neg: tree(this.unpackTerm(neg), `r${i}n`),
+        pos: tree(this.unpackTerm(pos), `r${i}p`),
+        key: `${neg}:${pos}`
+      });
+    });
+    return { nodes, edges, redexes };
   }
 
-  // Construction methods
-  createLam(variable, body) {
+  // Graphviz DOT of graph(): wires are dashed, redexes bold
+  visualize() {
+    const { nodes, edges, redexes } = this.graph();
+    const lines = ['digraph G {'];
+    for (const node of nodes) {
+      if (node.id === 'root') {
+        lines.push('  root [shape=point];');
+      } else {
+        const leaf = ['NUM', 'REF', 'NUL', 'ERA'].includes(node.tag);
+        lines.push(`  ${node.id} [label="${node.label}"${leaf ? ', shape=plaintext' : ''}];`);
+      }
+    }
+    for (const edge of edges) {
+      const attributes = [];
+      if (edge.label) attributes.push(`label="${edge.label}"`);
+      if (edge.wire) attributes.push('style=dashed');
+      lines.push(`  ${edge.from} -> ${edge.to}${attributes.length ? ` [${attributes.join(', ')}]` : ''};`);
+    }
+    for (const redex of redexes) {
+      lines.push(`  ${redex.neg} -> ${redex.pos} [dir=none, style=bold, label="~"];`);
+    }
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  // Construction methods. Nodes are built with their negative ports empty
+  // (SUB); positive ports take a term now or are filled in with set() later.
+
+  // λx.body: port 1 binds x (VAR(lamLoc + 1n) is an occurrence of x),
+  // port 2 holds the body
+  createLam(body) {
     const lamLoc = this.alloc(3);
     this.set(lamLoc, [Tags.LAM, lamLoc]);
-    this.set(lamLoc + 1n, [Tags.SUB, variable]);
-    this.set(lamLoc + 2n, [Tags.VAR, body]);
+    this.set(lamLoc + 1n, [Tags.SUB, 0n]);
+    if (body) this.set(lamLoc + 2n, body);
     return lamLoc;
   }
 
-  createApp(arg, ret) {
+  // (f arg): linked to f through its principal port, result at VAR(appLoc + 2n)
+  createApp(arg) {
     const appLoc = this.alloc(3);
     this.set(appLoc, [Tags.APP, appLoc]);
-    this.set(appLoc + 1n, [Tags.VAR, arg]);
-    this.set(appLoc + 2n, [Tags.SUB, ret]);
+    if (arg) this.set(appLoc + 1n, arg);
+    this.set(appLoc + 2n, [Tags.SUB, 0n]);
     return appLoc;
   }
 
-  createDup(port1, port2) {
+  // Duplicator of `label`: both copies are read from its negative ports
+  createDup(label) {
     const dupLoc = this.alloc(3);
-    this.set(dupLoc, [Tags.DUP, dupLoc]);
-    this.set(dupLoc + 1, [Tags.SUB, port1]);
-    this.set(dupLoc + 2, [Tags.SUB, port2]);
+    this.set(dupLoc, [Tags.DUP, label]);
+    this.set(dupLoc + 1n, [Tags.SUB, 0n]);
+    this.set(dupLoc + 2n, [Tags.SUB, 0n]);
     return dupLoc;
   }
 
-  createSup(port1, port2) {
+  // Superposition of `label` over two positive terms
+  createSup(label, tm1, tm2) {
     const supLoc = this.alloc(3);
-    this.set(supLoc, [Tags.SUP, supLoc]);
-    this.set(supLoc + 1, [Tags.VAR, port1]);
-    this.set(supLoc + 2, [Tags.VAR, port2]);
+    this.set(supLoc, [Tags.SUP, label]);
+    if (tm1) this.set(supLoc + 1n, tm1);
+    if (tm2) this.set(supLoc + 2n, tm2);
     return supLoc;
   }
 
-  // Core evaluation methods (enhanced)
-  move(negLoc, posTerm) {
-    const maxRecursionDepth = 1000; // Prevent infinite recursion
-    return this._moveWithDepth(negLoc, posTerm, 0, maxRecursionDepth);
+  labelOf(loc) {
+    return this.get(loc)[1];
   }
 
-  _moveWithDepth(negLoc, posTerm, depth, maxDepth) {
-    if (depth >= maxDepth) {
-      throw new Error('Maximum recursion depth exceeded in move operation');
+  // Binary operator `op`: linked to its first operand through the principal
+  // port, takes the second operand now, result at VAR(opLoc + 2n)
+  createOp2(op, right) {
+    const code = Ops.indexOf(op);
+    if (code < 0) {
+      throw new Error(`Unsupported operator: ${op}`);
     }
+    const opLoc = this.alloc(3);
+    this.set(opLoc, [Tags.OP2, BigInt(code)]);
+    if (right) this.set(opLoc + 1n, right);
+    this.set(opLoc + 2n, [Tags.SUB, 0n]);
+    return opLoc;
+  }
 
-    const packed = this.packTerm(posTerm);
-    const neg = this.swap(this.toBigInt(negLoc), packed);
-    
-    if (neg[0] !== Tags.SUB) {
-      return this._linkWithDepth(neg, posTerm, depth + 1, maxDepth);
-    }
+  // Host call: linked to its argument through the principal port, result
+  // at VAR(hostLoc + 2n); port 1 is unused. `order` ranks the calls
+  // compiled straight into a program, outside any function, in the order
+  // JS makes them (see Compiler.runHostCalls); other calls have 0.
+  createHost(id, order = 0) {
+    const hostLoc = this.alloc(3);
+    this.set(hostLoc, [Tags.HOST, BigInt(order) << HOST_ID_BITS | BigInt(id)]);
+    this.set(hostLoc + 1n, [Tags.NUL, 0n]);
+    this.set(hostLoc + 2n, [Tags.SUB, 0n]);
+    return hostLoc;
   }
 
-  link(neg, pos) {
-    const maxRecursionDepth = 1000;
-    return this._linkWithDepth(neg, pos, 0, maxRecursionDepth);
+  hostOf(loc) {
+    return Number(this.get(loc)[1] & HOST_ID_MASK);
+  }
+
+  hostOrder(loc) {
+    return Number(this.get(loc)[1] >> HOST_ID_BITS);
+  }
+
+  opOf(loc) {
+    return Ops[Number(this.get(loc)[1])];
+  }
+
+  swiKind(loc) {
+    return this.get(loc)[1];
   }
 
-  _linkWithDepth(neg, pos, depth, maxDepth) {
-    if (depth >= maxDepth) {
-      throw new Error('Maximum recursion depth exceeded in link operation');
+  // Switch: linked to a condition through its principal port, takes the
+  // branches now (a function of a Church boolean), result at VAR(swiLoc + 2n)
+  createSwi(branches, kind = SwiKind.TRUTHY) {
+    const swiLoc = this.alloc(3);
+    this.set(swiLoc, [Tags.SWI, kind]);
+    if (branches) this.set(swiLoc + 1n, branches);
+    this.set(swiLoc + 2n, [Tags.SUB, 0n]);
+    return swiLoc;
+  }
+
+  // λk.k a1 ... an, with `fields` the a's: how data is encoded (see
+  // DataTags)
+  createData(fields) {
+    const lamLoc = this.createLam();
+    let fn = [Tags.VAR, lamLoc + 1n];
+    for (const field of fields) {
+      const appLoc = this.createApp(field);
+      this.link([Tags.APP, appLoc], fn);
+      fn = [Tags.VAR, appLoc + 2n];
+    }
+    this.set(lamLoc + 2n, fn);
+    return lamLoc;
+  }
+
+  // The applications of the lambda at `lamLoc` if it is shaped like data,
+  // λk.k a1 ... an: its variable used once, applied to the a's, giving the
+  // body. Null for any other lambda.
+  spine(lamLoc) {
+    const apps = [];
+    let [tag, target] = this.get(lamLoc + 1n);
+    while (tag === Tags.APP) {
+      apps.push(target);
+      [tag, target] = this.get(target + 2n);
     }
+    const [bodyTag, body] = this.get(lamLoc + 2n);
+    return apps.length && tag === Tags.SUB && bodyTag === Tags.VAR &&
+      body === apps[apps.length - 1] + 2n ? apps : null;
+  }
+
+  // The tag of the data the lambda at `lamLoc` encodes, or null if it isn't
+  // data with a native tag
+  dataTag(lamLoc) {
+    const spine = this.spine(lamLoc);
+    const [tag, target] = spine ? this.get(spine[0] + 1n) : [null];
+    return tag === Tags.NUM ? unpackNum(target) : null;
+  }
 
-    const [negTag, negTarget] = neg;
-    const [posTag, posTarget] = pos;
+  // Book definitions (see book.js)
 
-    if (posTag === Tags.VAR) {
-      const negVar = this.swap(posTarget, this.packTerm(neg));
-      if (negVar[0] !== Tags.SUB) {
-        return this._moveWithDepth(posTarget, negVar, depth + 1, maxDepth);
+  // This net, built on its own to hold one definition, as a book template:
+  // live nodes renumbered from 0, labels as they are (so counted from 1),
+  // and `root`, the definition's value, in template terms
+  template(root) {
+    const locs = new Map();
+    for (let loc = NODE_SIZE; loc < this.nextLoc; loc += NODE_SIZE) {
+      if (this.get(loc)[0] !== Header.FREE) {
+        locs.set(BigInt(loc), BigInt(locs.size * NODE_SIZE));
       }
-    } else {
-      this.pushRedex(neg, pos);
+    }
+    const size = BigInt(NODE_SIZE);
+    const relocate = slot => locs.get(slot - slot % size) + slot % size;
+    const nodes = [];
+    for (const loc of locs.keys()) {
+      nodes.push(this.relocateHeader(this.termsView[Number(loc)], relocate, 0n));
+      for (let port = 1n; port < size; port++) {
+        nodes.push(this.relocatePort(this.termsView[Number(loc + port)], relocate));
+      }
+    }
+    return {
+      nodes,
+      labels: this.heap.nextLabel - 1,
+      root: this.relocatePort(this.packTerm(root), relocate),
+      redexes: this.queue.list().map(redex => redex.map(term => this.relocatePort(term, relocate)))
+    };
+  }
+
+  // Instantiates definition `id`: allocates a copy of its nodes, gives it
+  // labels of its own (so that copies never annihilate each other's
+  // duplicators), queues its redexes and returns its root term
+  expand(id) {
+    const { nodes, labels, root, redexes } = this.book.read(id);
+    const size = BigInt(NODE_SIZE);
+    const locs = [];
+    for (let i = 0; i < nodes.length; i += NODE_SIZE) {
+      locs.push(this.alloc());
+    }
+    const relocate = slot => locs[Number(slot / size)] + slot % size;
+    const shift = labels ? this.freshLabel(labels) - 1n : 0n;
+    locs.forEach((loc, i) => {
+      const word = i * NODE_SIZE;
+      const view = this.termsView;
+      Atomics.store(view, Number(loc), this.relocateHeader(nodes[word], relocate, shift));
+      for (let port = 1; port < NODE_SIZE; port++) {
+        Atomics.store(view, Number(loc) + port, this.relocatePort(nodes[word + port], relocate));
+      }
+    });
+    for (const [neg, pos] of redexes) {
+      this.queue.push(this.workerId, this.relocatePort(neg, relocate), this.relocatePort(pos, relocate));
+    }
+    return this.unpackTerm(this.relocatePort(root, relocate));
+  }
+
+  // Moves a packed node header: LAM/APP point at their own node, DUP/SUP
+  // labels are shifted by `shift`, anything else stays as it is
+  relocateHeader(word, relocate, shift) {
+    const [tag, target] = this.unpackTerm(word);
+    if (tag === Tags.LAM || tag === Tags.APP) return this.packTerm([tag, relocate(target)]);
+    if (tag === Tags.DUP || tag === Tags.SUP) return this.packTerm([tag, target + shift]);
+    return word;
+  }
+
+  // Moves a packed port or redex term: variables and nodes point elsewhere,
+  // leaves (and empty ports) stay as they are
+  relocatePort(word, relocate) {
+    if (word === 0n) return word;
+    const [tag, target] = this.unpackTerm(word);
+    if (tag === Tags.VAR || this.getPortCount(tag) > 0n) {
+      return this.packTerm([tag, relocate(target)]);
+    }
+    return word;
+  }
+
+  // Core evaluation methods
+  move(negLoc, posTerm) {
+    // Whoever arrives second at a wire finishes the connection
+    const neg = this.swap(this.toBigInt(negLoc), posTerm);
+    if (neg[0] !== Tags.SUB) {
+      this.claim(negLoc);
+      this.link(neg, posTerm);
     }
   }
 
+  link(neg, pos) {
+    // Follow variables (a loop, as substitution chains can grow long):
+    // either park `neg` there or meet the substitution
+    while (pos[0] === Tags.VAR) {
+      const posTarget = pos[1];
+      const far = this.swap(posTarget, neg);
+      if (far[0] === Tags.SUB) return;
+      this.claim(posTarget);
+      pos = far;
+    }
+    this.pushRedex(neg, pos);
+  }
+
+  // Interaction rules. Each one consumes the nodes of its redex: aux ports
+  // are claimed when read and released by move() or the variable they feed.
+
+  // APP-LAM: beta reduction
   applam(negLoc, posLoc) {
-    const argLoc = this.toBigInt(negLoc) + 1n;
-    const retLoc = this.toBigInt(negLoc) + 2n;
-    const varLoc = this.toBigInt(posLoc) + 1n;
-    const bodLoc = this.toBigInt(posLoc) + 2n;
+    const argLoc = negLoc + 1n;
+    const retLoc = negLoc + 2n;
+    const varLoc = posLoc + 1n;
+    const bodLoc = posLoc + 2n;
 
-    const argVal = this.swap(argLoc, 0n);
-    const bodVal = this.swap(bodLoc, 0n);
+    this.consume(negLoc);
+    this.consume(posLoc);
+    const argVal = this.claim(argLoc);
+    const bodVal = this.claim(bodLoc);
 
     this.move(varLoc, argVal);
     this.move(retLoc, bodVal);
-    this.statistics.betaReductions++;
+    this.count(Counter.BETA_REDUCTIONS);
   }
 
+  // APP-SUP: apply both sides to copies of the argument
+  appsup(negLoc, posLoc) {
+    const label = this.labelOf(posLoc);
+    this.consume(negLoc);
+    this.consume(posLoc);
+    const argVal = this.claim(negLoc + 1n);
+    const tm1Val = this.claim(posLoc + 1n);
+    const tm2Val = this.claim(posLoc + 2n);
+
+    const dupLoc = this.createDup(label);
+    const ap1Loc = this.createApp([Tags.VAR, dupLoc + 1n]);
+    const ap2Loc = this.createApp([Tags.VAR, dupLoc + 2n]);
+    const supLoc = this.createSup(label,
+      [Tags.VAR, ap1Loc + 2n],
+      [Tags.VAR, ap2Loc + 2n]);
+
+    this.move(negLoc + 2n, [Tags.SUP, supLoc]);
+    this.link([Tags.DUP, dupLoc], argVal);
+    this.link([Tags.APP, ap1Loc], tm1Val);
+    this.link([Tags.APP, ap2Loc], tm2Val);
+    this.count(Counter.COMMUTATIONS);
+  }
+
+  // APP-NUL: applying an erased function erases the argument and the result
+  appnul(negLoc, posLoc) {
+    this.consume(negLoc);
+    const argVal = this.claim(negLoc + 1n);
+    this.link([Tags.ERA, 0n], argVal);
+    this.move(negLoc + 2n, [Tags.NUL, 0n]);
+    this.count(Counter.ERASURES);
+  }
 
+  // DUP-LAM: copy the lambda; its variable becomes a superposition of the
+  // copies' variables and its body gets duplicated under the same label.
+  // Data is copied whole instead (see dupdata).
   duplam(negLoc, posLoc) {
-    const dp1Loc = negLoc + 1;
-    const dp2Loc = negLoc + 2;
-    const varLoc = posLoc + 1;
-    const bodLoc = posLoc + 2;
-
-    const bodVal = this.unpackTerm(this.swap(bodLoc, 0n));
-
-    const co1Loc = this.alloc(3);
-    const co2Loc = this.alloc(3);
-    const du1Loc = this.alloc(3);
-    const du2Loc = this.alloc(3);
-
-    this.set(co1Loc + 1, [Tags.SUB, co1Loc + 1]);
-    this.set(co1Loc + 2, [Tags.VAR, du2Loc + 1]);
-    this.set(co2Loc + 1, [Tags.SUB, co2Loc + 1]);
-    this.set(co2Loc + 2, [Tags.VAR, du2Loc + 2]);
-    this.set(du1Loc + 1, [Tags.VAR, co1Loc + 1]);
-    this.set(du1Loc + 2, [Tags.VAR, co2Loc + 1]);
-    this.set(du2_loc + 1, [Tags.SUB, du2Loc + 1]);
-    this.set(du2_loc + 2, [Tags.SUB, du2Loc + 2]);
+    const spine = this.spine(posLoc);
+    if (spine) return this.dupdata(negLoc, posLoc, spine);
+    const dp1Loc = negLoc + 1n;
+    const dp2Loc = negLoc + 2n;
+    const varLoc = posLoc + 1n;
+    const bodLoc = posLoc + 2n;
+    const label = this.labelOf(negLoc);
+
+    this.consume(negLoc);
+    this.consume(posLoc);
+    const bodVal = this.claim(bodLoc);
+
+    const duLoc = this.createDup(label);
+    const co1Loc = this.createLam([Tags.VAR, duLoc + 1n]);
+    const co2Loc = this.createLam([Tags.VAR, duLoc + 2n]);
+    const suLoc = this.createSup(label,
+      [Tags.VAR, co1Loc + 1n],
+      [Tags.VAR, co2Loc + 1n]);
 
     this.move(dp1Loc, [Tags.LAM, co1Loc]);
     this.move(dp2Loc, [Tags.LAM, co2Loc]);
-    this.move(varLoc, [Tags.SUP, du1Loc]);
-    this.link([Tags.DUP, du2Loc], bodVal);
-    this.statistics.duplications++;
+    this.move(varLoc, [Tags.SUP, suLoc]);
+    this.link([Tags.DUP, duLoc], bodVal);
+    this.count(Counter.DUPLICATIONS);
+  }
+
+  // DUP-LAM on data, λk.k a1 ... an: build both copies of the constructor
+  // at once, duplicating its fields under the DUP's label, which is where
+  // copying it a node at a time ends up too. Copies of data are then data
+  // as soon as they exist, for the rules that look inside (see swilam).
+  dupdata(negLoc, posLoc, spine) {
+    const label = this.labelOf(negLoc);
+    this.consume(negLoc);
+    this.consume(posLoc);
+    this.claim(posLoc + 1n);
+    this.claim(posLoc + 2n);
+    const copies = [[], []];
+    for (const appLoc of spine) {
+      this.consume(appLoc);
+      this.claim(appLoc + 2n);
+      const field = this.claim(appLoc + 1n);
+      if (field[0] === Tags.NUM || field[0] === Tags.REF || field[0] === Tags.NUL) {
+        // What DUP-NUM and DUP-NUL would give
+        copies.forEach(fields => fields.push(field));
+        continue;
+      }
+      const dupLoc = this.createDup(label);
+      copies[0].push([Tags.VAR, dupLoc + 1n]);
+      copies[1].push([Tags.VAR, dupLoc + 2n]);
+      this.link([Tags.DUP, dupLoc], field);
+    }
+    const [co1Loc, co2Loc] = copies.map(fields => this.createData(fields));
+
+    this.move(negLoc + 1n, [Tags.LAM, co1Loc]);
+    this.move(negLoc + 2n, [Tags.LAM, co2Loc]);
+    this.count(Counter.DUPLICATIONS);
   }
 
-  // New interaction rules
+  // DUP-SUP: annihilate when labels match, commute otherwise
+  dupsup(negLoc, posLoc) {
+    const dupLabel = this.labelOf(negLoc);
+    const supLabel = this.labelOf(posLoc);
+    this.consume(negLoc);
+    this.consume(posLoc);
+    const tm1Val = this.claim(posLoc + 1n);
+    const tm2Val = this.claim(posLoc + 2n);
+
+    if (dupLabel === supLabel) {
+      this.move(negLoc + 1n, tm1Val);
+      this.move(negLoc + 2n, tm2Val);
+      this.count(Counter.ANNIHILATIONS);
+      return;
+    }
+
+    const du1Loc = this.createDup(dupLabel);
+    const du2Loc = this.createDup(dupLabel);
+    const su1Loc = this.createSup(supLabel,
+      [Tags.VAR, du1Loc + 1n],
+      [Tags.VAR, du2Loc + 1n]);
+    const su2Loc = this.createSup(supLabel,
+      [Tags.VAR, du1Loc + 2n],
+      [Tags.VAR, du2Loc + 2n]);
+
+    this.move(negLoc + 1n, [Tags.SUP, su1Loc]);
+    this.move(negLoc + 2n, [Tags.SUP, su2Loc]);
+    this.link([Tags.DUP, du1Loc], tm1Val);
+    this.link([Tags.DUP, du2Loc], tm2Val);
+    this.count(Counter.COMMUTATIONS);
+  }
+
+  // DUP-NUL: both copies of an erased value are erased. (ERA and DUP are
+  // both negative, so they never meet; this is their polarized counterpart.)
+  dupnul(negLoc, posLoc) {
+    this.consume(negLoc);
+    this.move(negLoc + 1n, [Tags.NUL, 0n]);
+    this.move(negLoc + 2n, [Tags.NUL, 0n]);
+    this.count(Counter.ERASURES);
+  }
+
+  // DUP-NUM / DUP-REF: numbers are copied by value, and references as they
+  // are, each copy expanding on its own later
+  dupnum(negLoc, posLoc, num) {
+    this.consume(negLoc);
+    this.move(negLoc + 1n, num);
+    this.move(negLoc + 2n, num);
+    this.count(Counter.DUPLICATIONS);
+  }
+
+  // OP2-NUM: store the first operand in the node and wait for the second
+  op2num(negLoc, num) {
+    this.set(negLoc, [Tags.OP1, this.get(negLoc)[1]]);
+    const rightVal = this.swap(negLoc + 1n, num);
+    this.link([Tags.OP1, negLoc], rightVal);
+  }
+
+  // OP1-NUM: both operands are known, compute the result
+  op1num(negLoc, num) {
+    const op = this.opOf(negLoc);
+    this.consume(negLoc);
+    const [, left] = this.claim(negLoc + 1n);
+    const result = applyOp(op, unpackNum(left), unpackNum(num[1]));
+    this.move(negLoc + 2n, packNum(result));
+    this.count(Counter.OPERATIONS);
+  }
+
+  // OP2-LAM / OP1-LAM: an operand that isn't a number (a string, say) is
+  // left to the book's $operator (see book.js), applied to the operator's
+  // code and both operands
+  opfallback(neg, pos) {
+    const [opTag, negLoc] = neg;
+    const id = this.book.runtime('$operator');
+    if (id === undefined) {
+      throw new Error(`No interaction rule for ${this.ruleName(neg, pos)}`);
+    }
+    const [, code] = this.get(negLoc);
+    this.consume(negLoc);
+    const operand = this.claim(negLoc + 1n);
+    const [left, right] = opTag === Tags.OP2 ? [pos, operand] : [operand, pos];
+    const [ap1Loc, ap2Loc, ap3Loc] = [packNum(Number(code)), left, right]
+      .map(arg => this.createApp(arg));
+
+    this.move(negLoc + 2n, [Tags.VAR, ap3Loc + 2n]);
+    this.link([Tags.APP, ap3Loc], [Tags.VAR, ap2Loc + 2n]);
+    this.link([Tags.APP, ap2Loc], [Tags.VAR, ap1Loc + 2n]);
+    this.link([Tags.APP, ap1Loc], [Tags.REF, BigInt(id)]);
+    this.count(Counter.OPERATIONS);
+  }
+
+  // OP2-SUP / OP1-SUP / SWI-SUP: operate on both sides, copying the stored
+  // operand (a switch's branches)
+  opsup(negLoc, posLoc) {
+    const [opTag, code] = this.get(negLoc);
+    const label = this.labelOf(posLoc);
+    this.consume(negLoc);
+    this.consume(posLoc);
+    const operand = this.claim(negLoc + 1n);
+    const tm1Val = this.claim(posLoc + 1n);
+    const tm2Val = this.claim(posLoc + 2n);
+
+    const op1Loc = this.createOp2(Ops[Number(code)]);
+    const op2Loc = this.createOp2(Ops[Number(code)]);
+    this.set(op1Loc, [opTag, code]);
+    this.set(op2Loc, [opTag, code]);
+    if (opTag === Tags.OP1) {
+      // The stored operand is a number: copy it directly
+      this.set(op1Loc + 1n, operand);
+      this.set(op2Loc + 1n, operand);
+    } else {
+      const dupLoc = this.createDup(label);
+      this.set(op1Loc + 1n, [Tags.VAR, dupLoc + 1n]);
+      this.set(op2Loc + 1n, [Tags.VAR, dupLoc + 2n]);
+      this.link([Tags.DUP, dupLoc], operand);
+    }
+    const supLoc = this.createSup(label,
+      [Tags.VAR, op1Loc + 2n],
+      [Tags.VAR, op2Loc + 2n]);
+
+    this.move(negLoc + 2n, [Tags.SUP, supLoc]);
+    this.link([opTag, op1Loc], tm1Val);
+    this.link([opTag, op2Loc], tm2Val);
+    this.count(Counter.COMMUTATIONS);
+  }
+
+  // OP2-NUL / OP1-NUL: erase the stored operand and the result
+  opnul(negLoc) {
+    this.consume(negLoc);
+    const operand = this.claim(negLoc + 1n);
+    this.link([Tags.ERA, 0n], operand);
+    this.move(negLoc + 2n, [Tags.NUL, 0n]);
+    this.count(Counter.ERASURES);
+  }
+
+  // SWI-NUM and friends: the condition is known to be truthy or not, so
+  // apply the branches to the matching Church boolean, λt.λf.t or λt.λf.f
+  swi(negLoc, truthy) {
+    this.consume(negLoc);
+    const branches = this.claim(negLoc + 1n);
+    const tLoc = this.createLam();
+    const fLoc = this.createLam();
+    this.set(tLoc + 2n, [Tags.LAM, fLoc]);
+    this.set(fLoc + 2n, [Tags.VAR, (truthy ? tLoc : fLoc) + 1n]);
+    this.link([Tags.ERA, 0n], [Tags.VAR, (truthy ? fLoc : tLoc) + 1n]);
+    const appLoc = this.createApp([Tags.LAM, tLoc]);
+    this.move(negLoc + 2n, [Tags.VAR, appLoc + 2n]);
+    this.link([Tags.APP, appLoc], branches);
+    this.count(Counter.OPERATIONS);
+  }
+
+  // SWI-LAM: a function, array or object is truthy, and a string unless
+  // it's empty, which is left to the book's $truthy (see book.js); for
+  // other switches a lambda is defined but no number
+  swilam(negLoc, pos) {
+    const kind = this.swiKind(negLoc);
+    const id = this.book.runtime('$truthy');
+    if (kind === SwiKind.TRUTHY && id !== undefined && this.dataTag(pos[1]) === DataTags.STRING) {
+      // The switch waits for $truthy's answer instead
+      const appLoc = this.createApp(pos);
+      this.link([Tags.SWI, negLoc], [Tags.VAR, appLoc + 2n]);
+      this.link([Tags.APP, appLoc], [Tags.REF, BigInt(id)]);
+      this.count(Counter.OPERATIONS);
+      return;
+    }
+    this.link([Tags.ERA, 0n], pos);
+    this.swi(negLoc, kind !== SwiKind.NUMBER);
+  }
+
+  // HOST-NUM, HOST-LAM and so on: host functions only run on the main
+  // thread, so the call is set aside until reduction stops; by then the
+  // argument is normal and can be read back (see completeHostCall)
+  park(neg, pos) {
+    this.hostCalls.push([neg, pos]);
+    this.count(Counter.HOST_CALLS);
+  }
+
+  // Finishes a parked host call on the main thread with the term of its
+  // result: the argument is erased and the call node replaced
+  completeHostCall([neg, pos], result) {
+    const hostLoc = neg[1];
+    this.consume(hostLoc);
+    this.claim(hostLoc + 1n);
+    this.link([Tags.ERA, 0n], pos);
+    this.move(hostLoc + 2n, result);
+  }
+
+  // HOST-SUP: one call for each side, in the same place in the program
+  hostsup(negLoc, posLoc) {
+    const id = this.hostOf(negLoc);
+    const order = this.hostOrder(negLoc);
+    const label = this.labelOf(posLoc);
+    this.consume(negLoc);
+    this.consume(posLoc);
+    this.claim(negLoc + 1n);
+    const left = this.claim(posLoc + 1n);
+    const right = this.claim(posLoc + 2n);
+    const host1Loc = this.createHost(id, order);
+    const host2Loc = this.createHost(id, order);
+    const supLoc = this.createSup(label,
+      [Tags.VAR, host1Loc + 2n],
+      [Tags.VAR, host2Loc + 2n]);
+    this.move(negLoc + 2n, [Tags.SUP, supLoc]);
+    this.link([Tags.HOST, host1Loc], left);
+    this.link([Tags.HOST, host2Loc], right);
+    this.count(Counter.COMMUTATIONS);
+  }
+
+  // Heap words interacting `neg` with `pos` may allocate: a copy of the
+  // definition for an expansion (see callref), a few nodes otherwise
+  wordsNeeded([negTag], [posTag, posTarget]) {
+    const expands = posTag === Tags.REF && negTag !== Tags.DUP && negTag !== Tags.ERA;
+    return (RULE_NODES + (expands ? this.book.nodeCount(Number(posTarget)) : 0)) * NODE_SIZE;
+  }
+
+  // APP-REF and friends: the node needs what the reference stands for, so
+  // expand a fresh copy of the definition and connect it instead
+  callref(neg, id) {
+    const term = this.expand(Number(id));
+    this.count(Counter.EXPANSIONS);
+    this.link(neg, term);
+  }
+
+  // ERA-LAM: erase the body, and feed an eraser to the variable
   eraLam(negLoc, posLoc) {
-    const varLoc = posLoc + 1;
-    const bodLoc = posLoc + 2;
+    const varLoc = posLoc + 1n;
+    const bodLoc = posLoc + 2n;
 
+    this.consume(posLoc);
     this.move(varLoc, [Tags.NUL, 0n]);
-    const bodVal = this.unpackTerm(this.swap(bodLoc, 0n));
-    this.erase(bodVal);
-    this.statistics.erasures++;
+    const bodVal = this.claim(bodLoc);
+    this.link([Tags.ERA, 0n], bodVal);
+    this.count(Counter.ERASURES);
   }
 
+  // ERA-SUP: erase both sides
   eraSup(negLoc, posLoc) {
-    const tm1Loc = posLoc + 1;
-    const tm2Loc = posLoc + 2;
+    const tm1Loc = posLoc + 1n;
+    const tm2Loc = posLoc + 2n;
 
-    const tm1Val = this.unpackTerm(this.swap(tm1Loc, 0n));
-    const tm2Val = this.unpackTerm(this.swap(tm2Loc, 0n));
+    this.consume(posLoc);
+    const tm1Val = this.claim(tm1Loc);
+    const tm2Val = this.claim(tm2Loc);
     
-    this.erase(tm1Val);
-    this.erase(tm2Val);
-    this.statistics.erasures++;
+    this.link([Tags.ERA, 0n], tm1Val);
+    this.link([Tags.ERA, 0n], tm2Val);
+    this.count(Counter.ERASURES);
   }
 
-  annihilate(negLoc, posLoc) {
-    // Handle annihilation of opposing eraser nodes
-    this.statistics.annihilations++;
+  // ERA-NUL: two erasers annihilate
+  eranul(negLoc, posLoc) {
+    this.count(Counter.ANNIHILATIONS);
   }
 
   // Utility methods
@@ -280,7 +1083,8 @@ class Net {
       throw new Error(`Invalid packed term: ${packed}`);
     }
 
-    const tag = packed >> 56n;
+    // Words come back signed from BigInt64Array; tags above 127 set the sign bit
+    const tag = BigInt.asUintN(64, packed) >> 56n;
     const target = packed & ((1n << 56n) - 1n);
 
     // Validate unpacked values
@@ -302,29 +1106,23 @@ class Net {
       case Tags.SUB:
       case Tags.NUL:
       case Tags.ERA:
+      case Tags.NUM:
+      case Tags.REF:
         return 0n;
       case Tags.LAM:
       case Tags.APP:
       case Tags.SUP:
       case Tags.DUP:
+      case Tags.OP2:
+      case Tags.OP1:
+      case Tags.SWI:
+      case Tags.HOST:
         return 2n;
       default:
         return 0n;
     }
   }
 
-  erase(term) {
-    const [tag, loc] = term;
-    if (tag === Tags.VAR || tag === Tags.SUB) {
-      return;
-    }
-    
-    for (let i = 1; i <= this.getPortCount(tag); i++) {
-      const portVal = this.unpackTerm(this.swap(loc + i, 0n));
-      this.erase(portVal);
-    }
-  }
-
   pushRedex(neg, pos) {
     if (!Array.isArray(neg) || !Array.isArray(pos)) {
       throw new Error('Invalid redex: neg and pos must be arrays');
@@ -332,38 +1130,228 @@ class Net {
     if (neg.length !== 2 || pos.length !== 2) {
       throw new Error('Invalid redex: neg and pos must have length 2');
     }
-    this.redexQueue.push([neg, pos]);
-  }
-
-  evaluate() {
-    while (this.redexQueue.length > 0) {
-      const [neg, pos] = this.redexQueue.pop();
-      const [negTag, negLoc] = neg;
-      const [posTag, posLoc] = pos;
-
-      switch(true) {
-        case negTag === Tags.APP && posTag === Tags.LAM:
-          this.applam(negLoc, posLoc);
-          break;
-        case negTag === Tags.DUP && posTag === Tags.LAM:
-          this.duplam(negLoc, posLoc);
-          break;
-        case negTag === Tags.ERA && posTag === Tags.LAM:
-          this.eraLam(negLoc, posLoc);
-          break;
-        case negTag === Tags.ERA && posTag === Tags.SUP:
-          this.eraSup(negLoc, posLoc);
-          break;
-        case (negTag === Tags.ERA && posTag === Tags.NUL) ||
-             (negTag === Tags.DUP && posTag === Tags.SUP):
-          this.annihilate(negLoc, posLoc);
-          break;
+    this.queue.push(this.workerId, this.packTerm(neg), this.packTerm(pos));
+  }
+
+  // Takes the next redex from our own deque, or steals one from another worker
+  popRedex() {
+    let redex = this.queue.pop(this.workerId);
+    if (!redex) {
+      redex = this.queue.steal(this.workerId);
+      if (redex) this.stats.add(this.workerId, Counter.STEALS);
+    }
+    return redex && [this.unpackTerm(redex[0]), this.unpackTerm(redex[1])];
+  }
+
+  interact(neg, pos) {
+    const [negTag, negLoc] = neg;
+    const [posTag, posLoc] = pos;
+
+    switch(true) {
+      case negTag === Tags.APP && posTag === Tags.LAM:
+        return this.applam(negLoc, posLoc);
+      case negTag === Tags.APP && posTag === Tags.SUP:
+        return this.appsup(negLoc, posLoc);
+      case negTag === Tags.APP && posTag === Tags.NUL:
+        return this.appnul(negLoc, posLoc);
+      case negTag === Tags.DUP && posTag === Tags.LAM:
+        return this.duplam(negLoc, posLoc);
+      case negTag === Tags.DUP && posTag === Tags.SUP:
+        return this.dupsup(negLoc, posLoc);
+      case negTag === Tags.DUP && posTag === Tags.NUL:
+        return this.dupnul(negLoc, posLoc);
+      case negTag === Tags.ERA && posTag === Tags.LAM:
+        return this.eraLam(negLoc, posLoc);
+      case negTag === Tags.ERA && posTag === Tags.SUP:
+        return this.eraSup(negLoc, posLoc);
+      case negTag === Tags.ERA && posTag === Tags.NUL:
+        return this.eranul(negLoc, posLoc);
+      case negTag === Tags.DUP && (posTag === Tags.NUM || posTag === Tags.REF):
+        return this.dupnum(negLoc, posLoc, pos);
+      case negTag === Tags.ERA && (posTag === Tags.NUM || posTag === Tags.REF):
+        return this.eranul(negLoc, posLoc);
+      // Like JS: zero, NaN, false, undefined and the empty string are falsy,
+      // functions truthy; NUMBER and DEFINED switches only tell numbers or
+      // undefined from the rest
+      case negTag === Tags.SWI && posTag === Tags.NUM:
+        return this.swi(negLoc, this.swiKind(negLoc) !== SwiKind.TRUTHY || Boolean(unpackNum(posLoc)));
+      case negTag === Tags.SWI && posTag === Tags.NUL:
+        return this.swi(negLoc, false);
+      case negTag === Tags.SWI && posTag === Tags.LAM:
+        return this.swilam(negLoc, pos);
+      case negTag === Tags.SWI && posTag === Tags.SUP:
+        return this.opsup(negLoc, posLoc);
+      case posTag === Tags.REF:
+        return this.callref(neg, posLoc);
+      case negTag === Tags.HOST && posTag === Tags.SUP:
+        return this.hostsup(negLoc, posLoc);
+      case negTag === Tags.HOST:
+        return this.park(neg, pos);
+      case negTag === Tags.OP2 && posTag === Tags.NUM:
+        return this.op2num(negLoc, pos);
+      case negTag === Tags.OP1 && posTag === Tags.NUM:
+        return this.op1num(negLoc, pos);
+      case (negTag === Tags.OP2 || negTag === Tags.OP1) && posTag === Tags.SUP:
+        return this.opsup(negLoc, posLoc);
+      case (negTag === Tags.OP2 || negTag === Tags.OP1) && posTag === Tags.NUL:
+        return this.opnul(negLoc);
+      case (negTag === Tags.OP2 || negTag === Tags.OP1) && posTag === Tags.LAM:
+        return this.opfallback(neg, pos);
+      default:
+        throw new Error(
+          `No interaction rule for ${this.getTagName(negTag)}-${this.getTagName(posTag)}`
+        );
+    }
+  }
+
+  // Reduces until the shared queue drains. Safe to run on several threads at
+  // once over the same buffers: each one works its own deque and steals when
+  // it runs dry. Stops early, leaving the net intact, if the queue is halted
+  // or its interaction budget runs out, or after `maxRedexes` redexes.
+  evaluate(maxRedexes = Infinity) {
+    const start = process.hrtime.bigint();
+    for (let n = 0; n < maxRedexes && !this.queue.halted;) {
+      const redex = this.popRedex();
+      if (redex) {
+        this.reduce(redex);
+        n++;
+      } else if (this.queue.pending === 0) {
+        break;
+      } else {
+        this.queue.idle();
       }
     }
+    this.stats.add(this.workerId, Counter.BUSY_NS, process.hrtime.bigint() - start);
   }
 
-  getStatistics() {
-    return { ...this.statistics };
+  // Interacts a popped redex, counting it against the queue's budget and
+  // reporting it to the tracer if there is one. Returns the trace event
+  // (null when not tracing), or undefined if the budget ran out first.
+  reduce(redex) {
+    const [neg, pos] = redex;
+    const step = this.queue.step();
+    const reason = step < 0 ? Halt.LIMIT :
+      this.heap.exhausted ? Halt.MEMORY :
+      !this.heap.fits(this.wordsNeeded(neg, pos)) ? Halt.HEAP :
+      0;
+    if (reason) {
+      // Out of budget: put the redex back for whoever inspects the net
+      this.pushRedex(neg, pos);
+      this.queue.done();
+      this.queue.halt(reason);
+      return undefined;
+    }
+    this.stats.countRule(this.workerId, neg[0], pos[0]);
+    if (!this.tracer) {
+      try {
+        this.interact(neg, pos);
+      } finally {
+        this.queue.done();
+      }
+      if (this.debug) this.assertValid(`after ${this.ruleName(neg, pos)} (step ${step})`);
+      return null;
+    }
+    this.changes = { allocated: [], freed: [] };
+    try {
+      this.interact(neg, pos);
+    } finally {
+      this.queue.done();
+    }
+    if (this.debug) this.assertValid(`after ${this.ruleName(neg, pos)} (step ${step})`);
+    const event = {
+      step,
+      worker: this.workerId,
+      rule: this.ruleName(neg, pos),
+      neg,
+      pos,
+      ...this.changes
+    };
+    this.changes = null;
+    if (this.tracer) this.tracer(event);
+    return event;
+  }
+
+  ruleName(neg, pos) {
+    return `${this.getTagName(neg[0])}-${this.getTagName(pos[0])}`;
+  }
+
+  // Debugging. These drive reduction from the calling thread alone, one
+  // interaction at a time.
+
+  // Reports every interaction from now on to `listener` (null to stop).
+  // Events look like { step, worker, rule: 'APP-LAM', neg, pos, allocated,
+  // freed }, with neg and pos the redex's two terms and allocated/freed
+  // lists of node locations.
+  trace(listener) {
+    this.tracer = listener;
+  }
+
+  // Performs the next interaction and returns its event, or null if there
+  // is nothing left to do (or the interaction budget is spent)
+  step() {
+    if (this.queue.halted) return null;
+    const redex = this.popRedex();
+    if (!redex) return null;
+    const tracer = this.tracer;
+    // Build the event even without a listener
+    this.tracer = tracer || (() => {});
+    try {
+      return this.reduce(redex) || null;
+    } finally {
+      this.tracer = tracer;
+    }
+  }
+
+  // Steps until `predicate(event)` holds or a breakpoint is hit, returning
+  // that event (with the breakpoint that matched, if any), or null once the
+  // net is normal
+  runUntil(predicate = () => false) {
+    for (;;) {
+      const event = this.step();
+      if (!event) return null;
+      const breakpoint = this.breakpoints.find(bp => this.hits(bp, event));
+      if (breakpoint) return { ...event, breakpoint };
+      if (predicate(event)) return event;
+    }
+  }
+
+  // Stops runUntil() on interactions of a rule ({ rule: 'DUP-SUP' }) or
+  // involving the node at a location ({ loc: 42n })
+  addBreakpoint(breakpoint) {
+    this.breakpoints.push(breakpoint);
+    return breakpoint;
+  }
+
+  removeBreakpoint(breakpoint) {
+    this.breakpoints = this.breakpoints.filter(bp => bp !== breakpoint);
+  }
+
+  hits(breakpoint, event) {
+    if (breakpoint.rule !== undefined && breakpoint.rule !== event.rule) return false;
+    if (breakpoint.loc !== undefined) {
+      const loc = BigInt(breakpoint.loc);
+      const nodes = [event.neg, event.pos]
+        .filter(([tag]) => this.getPortCount(tag) > 0n)
+        .map(([, target]) => target);
+      if (!nodes.includes(loc)) return false;
+    }
+    return true;
+  }
+
+  // Counts an interaction of a kind (see stats.js)
+  count(counter) {
+    this.stats.add(this.workerId, counter);
+  }
+
+  // What reduction did so far (see Statistics.summary), or since `since`,
+  // an earlier stats.read(); plus the nodes live now and the most that were
+  // live at once since the heap's peak was last reset (see Evaluator.begin)
+  getStatistics(since = null) {
+    return {
+      ...this.stats.summary(tag => this.getTagName(BigInt(tag)), this.stats.read(), since),
+      liveNodes: this.heap.liveNodes,
+      peakNodes: this.heap.peakNodes
+    };
   }
 
   createVar(varId) {
@@ -377,133 +1365,265 @@ class Net {
     this.set(subLoc, [Tags.SUB, varId]);
     return subLoc;
   }
+}
 
-  // Helper method to count applications of a function
-  applyAndCount(loc, callback) {
-    let count = 0;
-    const countLoc = this.alloc(1);
-    
-    // Create a special node that increments counter when reduced
-    this.set(countLoc, [Tags.APP, () => {
-      count++;
-      if (callback) callback();
-      return countLoc;
-    }]);
-
-    // Apply the church numeral to our counting function
-    const resultLoc = this.createApp(countLoc, loc);
-    this.evaluate();
-    
-    return count;
+// Evaluation backends. Each one owns a net and reduces it on request:
+// evaluate(limits) resolves to that evaluation's statistics, or rejects
+// with a ResourceLimitError past a limit (see ParallelEvaluator.evaluate
+// for the options), and close() releases whatever the backend holds on to.
+class Evaluator {
+  constructor(net, netOptions = {}) {
+    this.net = net;
+    // Sizes the net was created with, for nets restored later
+    this.netOptions = netOptions;
+    // Debug mode: validate the net once reduction stops and, where a single
+    // thread reduces it, after every interaction
+    this.debug = false;
   }
 
-  // Extended Church encoding support
-  isChurchBoolean(loc) {
-    const [tag, target] = this.get(loc);
-    if (tag !== Tags.LAM) return false;
-    
-    // Check for λx.λy.x or λx.λy.y pattern
-    const [innerTag, innerTarget] = this.get(target + 2);
-    return (
-      innerTag === Tags.LAM &&
-      this.get(innerTarget + 2)[0] === Tags.VAR
-    );
-  }
-
-  churchToBoolean(loc) {
-    // Apply church boolean to two distinct values and see which one it returns
-    const trueLoc = this.alloc(1);
-    const falseLoc = this.alloc(1);
-    
-    const testLoc = this.createApp(
-      this.createApp(loc, trueLoc),
-      falseLoc
-    );
-    
-    this.evaluate();
-    const [_, result] = this.get(testLoc);
-    return result === trueLoc;
+  // Arms the interaction and node budgets for one evaluation, and starts
+  // measuring it
+  begin({ maxInteractions = 0, maxNodes = 0 }) {
+    this.started = process.hrtime.bigint();
+    this.since = this.net.stats.read();
+    this.net.heap.resetPeak();
+    this.net.queue.resume();
+    this.net.queue.limit(maxInteractions);
+    this.net.heap.limit(maxNodes);
   }
-}
 
-if (isMainThread) {
-  class ParallelEvaluator {
-    constructor(numWorkers = os.cpus().length) {
-      this.net = new Net();
-      this.workers = [];
-      this.numWorkers = numWorkers;
-    }
-
-    startWorkers() {
-      for (let i = 0; i < this.numWorkers; i++) {
-        const worker = new Worker(__filename, {
-          workerData: {
-            workerId: i,
-            terms: this.net.terms
-          }
-        });
-
-        worker.on('message', (message) => {
-          if (message.type === 'done') {
-            console.log(`Worker ${i} finished processing`);
-          }
-          if (message.type === 'statistics') {
-            console.log(`Worker ${i} statistics:`, message.data);
-          }
-        });
-
-        this.workers.push(worker);
+  // Halts the queue once `timeoutMs` have passed or `signal` aborts;
+  // returns a function that stops watching
+  watch({ timeoutMs = 0, signal = null }) {
+    const queue = this.net.queue;
+    const abort = () => queue.halt(Halt.ABORTED);
+    const timer = timeoutMs > 0 && setTimeout(() => queue.halt(Halt.TIMEOUT), timeoutMs);
+    if (signal) {
+      if (signal.aborted) abort();
+      signal.addEventListener('abort', abort);
+    }
+    return () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', abort);
+    };
+  }
+
+  // The statistics of this evaluation, unless a limit stopped reduction
+  finish(limits) {
+    this.net.stats.add(0, Counter.WALL_NS, process.hrtime.bigint() - this.started);
+    if (this.debug) this.net.assertValid('after reducing');
+    const statistics = this.net.getStatistics(this.since);
+    const limit = HaltLimits[this.net.queue.haltReason];
+    if (limit) {
+      throw new ResourceLimitError(limit, limits, statistics);
+    }
+    return statistics;
+  }
+
+  close() {}
+
+  // Replaces the net with the one saved in `snapshot` (see Net.snapshot),
+  // given as many free lists and deques as this backend has workers, and
+  // returns the metadata saved with it
+  restore(snapshot) {
+    const { readSnapshot } = require('./snapshot.js');
+    const { net, meta } = readSnapshot(snapshot, {
+      ...this.netOptions, maxWorkers: this.net.queue.deques
+    });
+    // Workers stay attached to the old net's buffers
+    this.close();
+    this.net = net;
+    return meta;
+  }
+
+  // Church numeral λf.λx.f(f(...x)): f is shared out through a DUP
+  // chain, with labels drawn from `freshLabel`
+  createChurchNumeral(n, freshLabel) {
+    const net = this.net;
+    const lamF = net.createLam(); // λf.
+    const lamX = net.createLam(); // λx.
+
+    let body = [Tags.VAR, lamX + 1n];
+    let f = [Tags.VAR, lamF + 1n];
+    if (n === 0) {
+      net.link([Tags.ERA, 0n], f);
+    }
+    for (let i = 0; i < n; i++) {
+      let copy = f;
+      if (i < n - 1) {
+        const dupLoc = net.createDup(freshLabel());
+        net.link([Tags.DUP, dupLoc], f);
+        copy = [Tags.VAR, dupLoc + 1n];
+        f = [Tags.VAR, dupLoc + 2n];
       }
+      const app = net.createApp(body);
+      net.link([Tags.APP, app], copy);
+      body = [Tags.VAR, app + 2n];
     }
 
-    async evaluate() {
-      this.startWorkers();
-      
-      await Promise.all(this.workers.map(worker => {
-        return new Promise((resolve) => {
-          worker.on('exit', resolve);
-        });
-      }));
-
-      return this.net.getStatistics();
-    }
-
-    // Example: create Church numeral
-    createChurchNumeral(n) {
-      let current = this.net.createLam(0, 0); // λf.
-      let innerLam = this.net.createLam(0, 0); // λx.
-      
-      let last = innerLam;
-      for (let i = 0; i < n; i++) {
-        const app = this.net.createApp(0, 0);
-        this.net.move(last + 2, [Tags.VAR, app]);
-        last = app;
+    net.set(lamX + 2n, body);
+    net.set(lamF + 2n, [Tags.LAM, lamX]);
+    return [Tags.LAM, lamF];
+  }
+
+  // Generate DOT visualization
+  visualize() {
+    return this.net.visualize();
+  }
+}
+
+// Interactions SyncEvaluator performs before letting other tasks run
+const SLICE = 4096;
+
+// Reduces on the calling thread, so there are no workers to start. It works
+// a slice of interactions at a time and yields to the event loop in
+// between, so that timers and abort signals still get through.
+class SyncEvaluator extends Evaluator {
+  // Options are as for ParallelEvaluator; `workers` is ignored
+  constructor({ workers, ...netOptions } = {}) {
+    super(new Net(netOptions), netOptions);
+  }
+
+  async evaluate(limits = {}) {
+    const net = this.net;
+    const queue = net.queue;
+    this.begin(limits);
+    const unwatch = this.watch(limits);
+    const tracer = net.tracer;
+    net.trace(limits.trace || tracer);
+    net.debug = this.debug;
+    try {
+      net.evaluate(SLICE);
+      while (!queue.halted && queue.pending !== 0) {
+        await new Promise(setImmediate);
+        net.evaluate(SLICE);
       }
-      
-      this.net.move(innerLam + 2, [Tags.VAR, last]);
-      this.net.move(current + 2, [Tags.VAR, innerLam]);
-      
-      return current;
-    }
-
-    // Generate DOT visualization
-    visualize() {
-      return this.net.visualize();
-    }
-  }
-
-  module.exports = { ParallelEvaluator, Net, Tags };
-} else {
-  // Worker thread code
-  const net = new Net();
-  net.terms = workerData.terms;
-  
-  net.evaluate();
-  
-  parentPort.postMessage({ 
-    type: 'statistics', 
-    data: net.getStatistics() 
-  });
-  
-  parentPort.postMessage({ type: 'done' });
+    } finally {
+      unwatch();
+      net.trace(tracer);
+      net.debug = false;
+    }
+    return this.finish(limits);
+  }
 }
+
+// Reduces on a pool of worker threads (see worker.js), started by the first
+// evaluation and kept for the next ones. Idle workers don't keep the
+// process alive; close() stops them.
+class ParallelEvaluator extends Evaluator {
+  constructor({ workers: numWorkers = os.cpus().length, ...netOptions } = {}) {
+    super(new Net({ ...netOptions, maxWorkers: numWorkers }), netOptions);
+    this.workers = [];
+    this.numWorkers = numWorkers;
+    // Per evaluation: what resolves each worker's run, the first error and
+    // the trace listener
+    this.runs = new Map();
+    this.failure = null;
+    this.tracer = null;
+    // Redexes workers spilled (see RedexQueue.push) and left unreduced
+    this.spilled = [];
+  }
+
+  start() {
+    if (this.workers.length) return;
+    for (let i = 0; i < this.numWorkers; i++) {
+      const worker = new Worker(path.join(__dirname, 'worker.js'), {
+        workerData: {
+          workerId: i,
+          shared: this.net.shared
+        }
+      });
+      worker.on('message', message => this.receive(worker, message));
+      worker.on('error', error => this.fail(worker, error));
+      worker.on('exit', code => {
+        this.fail(worker, new Error(`Worker ${i} exited with code ${code}`));
+        // Start afresh next time
+        if (this.workers.includes(worker)) this.close();
+      });
+      worker.unref();
+      this.workers.push(worker);
+    }
+  }
+
+  receive(worker, message) {
+    if (message.type === 'trace') {
+      message.events.forEach(this.tracer);
+    } else if (message.type === 'hostCalls') {
+      this.net.hostCalls.push(...message.calls.map(call =>
+        call.map(term => this.net.unpackTerm(term))));
+    } else if (message.type === 'spilled') {
+      this.spilled.push(...message.redexes);
+    } else if (message.type === 'done') {
+      if (message.error) this.fail(worker, message.error);
+      this.settle(worker);
+    }
+  }
+
+  // Stops the other workers too, since the net can't be trusted anymore
+  fail(worker, error) {
+    if (!this.runs.has(worker)) return;
+    this.net.queue.halt();
+    this.failure = this.failure || error;
+    this.settle(worker);
+  }
+
+  settle(worker) {
+    const resolve = this.runs.get(worker);
+    this.runs.delete(worker);
+    if (resolve) resolve();
+  }
+
+  // Reduces the net on all workers; resolves once the shared queue drains.
+  // Rejects with a ResourceLimitError, once every worker has stopped,
+  // after `maxInteractions` interactions, once the heap holds more than
+  // `maxNodes` nodes, after `timeoutMs` milliseconds or when `signal`
+  // aborts. `trace` receives every interaction's event (see Net.trace),
+  // in batches per worker, so not in step order.
+  async evaluate(limits = {}) {
+    const { trace = null } = limits;
+    this.begin(limits);
+    this.start();
+    this.failure = null;
+    this.tracer = trace;
+    // Workers check for a halt between interactions, so they all stop soon
+    // after a limit is hit
+    const unwatch = this.watch(limits);
+    try {
+      await Promise.all(this.workers.map(worker => new Promise(resolve => {
+        this.runs.set(worker, resolve);
+        worker.ref();
+        worker.postMessage({ type: 'evaluate', trace: Boolean(trace) });
+      })));
+    } finally {
+      unwatch();
+      this.workers.forEach(worker => worker.unref());
+      this.tracer = null;
+    }
+
+    this.net.queue.adopt(this.spilled);
+    this.spilled = [];
+    this.net.queue.compact();
+    if (this.failure) {
+      this.close();
+      throw this.failure;
+    }
+    return this.finish(limits);
+  }
+
+  close() {
+    const workers = this.workers;
+    this.workers = [];
+    workers.forEach(worker => worker.terminate());
+  }
+}
+
+// Evaluation backends by name (see InteractionScript)
+const Backends = {
+  sync: SyncEvaluator,
+  workers: ParallelEvaluator
+};
+
+module.exports = {
+  Evaluator, SyncEvaluator, ParallelEvaluator, Backends, Net, ResourceLimitError,
+  Tags, ROOT, isNegative, NumKind, SwiKind, DataTags, packNum, unpackNum, Ops
+};
@@ -0,0 +1,267 @@
+// Node heap for Net: a growable SharedArrayBuffer of 64-bit words, carved
+// into fixed-size nodes so that slots freed by interactions can be recycled.
+//
+// Every node is NODE_SIZE words: a header followed by two aux ports. Once a
+// node has interacted its header turns DEAD and counts the aux ports that are
+// still holding something (a pending substitution, typically); when the last
+// one is emptied the node goes onto the free list of whichever worker emptied
+// it. Each worker only ever touches its own free list, so reuse needs no
+// locking; the bump pointer and heap growth are shared and atomic.
+
+const NODE_SIZE = 3;
+
+// Header tags that never appear on a wire
+const Header = {
+  DEAD: 254n, // Interacted node whose aux ports are still draining
+  FREE: 255n  // Reclaimed node, linked into a worker's free list
+};
+
+// Layout of the Int32 heap control array
+const HeapCtrl = {
+  NEXT_LOC: 0,   // bump pointer, in words
+  NEXT_LABEL: 1, // next unused DUP/SUP label
+  MAX_NODES: 2,  // node budget, on live nodes; 0 for none
+  LIVE: 3,       // nodes allocated and not freed yet
+  PEAK: 4,       // most nodes live at once since resetPeak()
+  FREE_HEADS: 5  // one free-list head per worker
+};
+
+const TARGET_MASK = (1n << 56n) - 1n;
+
+// A SharedArrayBuffer that can grow up to `maxByteLength` bytes, which every
+// thread sharing it sees grow. Node only has those from version 20 on.
+function growableBuffer(byteLength, maxByteLength) {
+  if (typeof SharedArrayBuffer.prototype.grow !== 'function') {
+    throw new Error(`Growable shared memory needs Node 20 or later (running ${process.version})`);
+  }
+  return new SharedArrayBuffer(byteLength, { maxByteLength });
+}
+
+class Heap {
+  constructor({
+    maxWorkers = 1,
+    initialSize = 8 * 1024 * 1024, // 8MB
+    maxSize = 1024 * 1024 * 1024,  // 1GB ceiling
+    buffers = null
+  } = {}) {
+    if (buffers) {
+      this.terms = buffers.terms;
+      this.control = buffers.control;
+    } else {
+      const words = size => Math.max(NODE_SIZE, Math.floor(size / 8)) * 8;
+      // A ceiling below the usual starting size makes for a smaller start
+      this.terms = growableBuffer(words(Math.min(initialSize, maxSize)), words(maxSize));
+      this.control = new SharedArrayBuffer(4 * (HeapCtrl.FREE_HEADS + maxWorkers));
+      // Node 0 is reserved so that a zero word always means an empty slot
+      new Int32Array(this.control)[HeapCtrl.NEXT_LOC] = NODE_SIZE;
+      new Int32Array(this.control)[HeapCtrl.NEXT_LABEL] = 1;
+    }
+    // Length-tracking view: follows the buffer as any thread grows it
+    this.view = new BigInt64Array(this.terms);
+    this.controlView = new Int32Array(this.control);
+  }
+
+  // Buffers a worker needs to share this heap
+  get buffers() {
+    return { terms: this.terms, control: this.control };
+  }
+
+  get nextLoc() {
+    return Atomics.load(this.controlView, HeapCtrl.NEXT_LOC);
+  }
+
+  get nextLabel() {
+    return Atomics.load(this.controlView, HeapCtrl.NEXT_LABEL);
+  }
+
+  // Hands out `count` consecutive unused labels, returning the first one
+  freshLabels(count = 1) {
+    return BigInt(Atomics.add(this.controlView, HeapCtrl.NEXT_LABEL, count));
+  }
+
+  // Keeps labels up to `label` (read from outside, say) from being handed out
+  reserveLabel(label) {
+    for (;;) {
+      const next = this.nextLabel;
+      if (next > label) return;
+      if (Atomics.compareExchange(this.controlView, HeapCtrl.NEXT_LABEL, next, label + 1) === next) return;
+    }
+  }
+
+  // Nodes carved out of the heap so far, in use or on a free list
+  get nodeCount() {
+    return this.nextLoc / NODE_SIZE;
+  }
+
+  // Nodes in use: allocated and not freed yet. Unlike nodeCount, this is
+  // the same whichever workers did the allocating.
+  get liveNodes() {
+    return Atomics.load(this.controlView, HeapCtrl.LIVE);
+  }
+
+  get peakNodes() {
+    return Atomics.load(this.controlView, HeapCtrl.PEAK);
+  }
+
+  // Starts measuring the peak from the nodes live now
+  resetPeak() {
+    Atomics.store(this.controlView, HeapCtrl.PEAK, this.liveNodes);
+  }
+
+  // Counts `delta` nodes as allocated (or freed, if negative)
+  track(delta) {
+    const live = Atomics.add(this.controlView, HeapCtrl.LIVE, delta) + delta;
+    for (let peak = this.peakNodes; live > peak;) {
+      const seen = Atomics.compareExchange(this.controlView, HeapCtrl.PEAK, peak, live);
+      if (seen === peak) break;
+      peak = seen;
+    }
+  }
+
+  // Counts the live nodes afresh, for heaps written word by word (restored
+  // from a snapshot, say)
+  recount() {
+    let live = 0;
+    for (let loc = NODE_SIZE; loc < this.nextLoc; loc += NODE_SIZE) {
+      const header = this.view[loc];
+      if (header !== 0n && BigInt.asUintN(64, header) >> 56n !== Header.FREE) live++;
+    }
+    Atomics.store(this.controlView, HeapCtrl.LIVE, live);
+    this.resetPeak();
+  }
+
+  // Caps the heap at `maxNodes` live nodes (0 for no cap). The cap is
+  // checked between interactions (see Net.reduce), so the interaction that
+  // crosses it still completes.
+  limit(maxNodes = 0) {
+    Atomics.store(this.controlView, HeapCtrl.MAX_NODES, Math.min(maxNodes, 0x7fffffff));
+  }
+
+  get exhausted() {
+    const maxNodes = Atomics.load(this.controlView, HeapCtrl.MAX_NODES);
+    return maxNodes !== 0 && this.liveNodes > maxNodes;
+  }
+
+  // Whether `words` more words can be carved out without going past the
+  // ceiling (not counting nodes on free lists, which may be someone
+  // else's). Checked before an interaction, as one can't stop halfway.
+  fits(words) {
+    return this.nextLoc + words <= this.maxCapacity;
+  }
+
+  // Frees every node at once, back to an empty heap; labels keep counting
+  // from where they were. Only valid while no worker is running.
+  clear() {
+    this.view.fill(0n, 0, this.nextLoc);
+    const nextLabel = this.nextLabel;
+    this.controlView.fill(0);
+    this.controlView[HeapCtrl.NEXT_LOC] = NODE_SIZE;
+    this.controlView[HeapCtrl.NEXT_LABEL] = nextLabel;
+  }
+
+  // The heap's words and allocator state, for rollback() to return to.
+  // Only valid while no worker is running.
+  checkpoint() {
+    return { words: this.view.slice(0, this.nextLoc), control: this.controlView.slice() };
+  }
+
+  // Puts the heap back as it was at checkpoint(); labels handed out since
+  // stay used, so they are never handed out twice
+  rollback({ words, control }) {
+    this.view.fill(0n, words.length, this.nextLoc);
+    this.view.set(words);
+    const nextLabel = this.nextLabel;
+    this.controlView.set(control);
+    this.controlView[HeapCtrl.NEXT_LABEL] = nextLabel;
+  }
+
+  get capacity() {
+    return this.view.length;
+  }
+
+  get maxCapacity() {
+    return this.terms.maxByteLength / 8;
+  }
+
+  // Allocates one node, reusing this worker's free list before bumping
+  alloc(workerId) {
+    const headIdx = HeapCtrl.FREE_HEADS + workerId;
+    const head = this.controlView[headIdx];
+    if (head !== 0) {
+      const next = Atomics.load(this.view, head) & TARGET_MASK;
+      this.controlView[headIdx] = Number(next);
+      Atomics.store(this.view, head, 0n);
+      this.track(1);
+      return BigInt(head);
+    }
+
+    const loc = Atomics.add(this.controlView, HeapCtrl.NEXT_LOC, NODE_SIZE);
+    this.ensure(loc + NODE_SIZE);
+    this.track(1);
+    return BigInt(loc);
+  }
+
+  // Allocates the node at `loc`, as a recorded run got it (see Net.alloc).
+  // The node must not be in use. It may still be linked into a free list,
+  // which is harmless as long as only replayed allocations follow.
+  allocAt(loc) {
+    const end = Number(loc) + NODE_SIZE;
+    this.ensure(end);
+    let next = this.nextLoc;
+    while (next < end) {
+      const seen = Atomics.compareExchange(this.controlView, HeapCtrl.NEXT_LOC, next, end);
+      if (seen === next) break;
+      next = seen;
+    }
+    this.track(1);
+    return loc;
+  }
+
+  // Pushes a node onto this worker's free list
+  free(workerId, loc) {
+    const headIdx = HeapCtrl.FREE_HEADS + workerId;
+    const head = BigInt(this.controlView[headIdx]);
+    Atomics.store(this.view, Number(loc), Header.FREE << 56n | head);
+    this.controlView[headIdx] = Number(loc);
+    this.track(-1);
+  }
+
+  // Marks a node as interacted; its aux ports are released one by one
+  consume(loc) {
+    Atomics.store(this.view, Number(loc), Header.DEAD << 56n | BigInt(NODE_SIZE - 1));
+  }
+
+  // Called once an aux port of a consumed node has been emptied for good.
+  // Returns the node's location if that freed it, null otherwise.
+  release(workerId, slot) {
+    const loc = Number(slot) - Number(slot) % NODE_SIZE;
+    if (loc === 0) return null; // the reserved root node is never reclaimed
+    const old = Atomics.sub(this.view, loc, 1n);
+    if ((old & TARGET_MASK) === 1n) {
+      this.free(workerId, loc);
+      return BigInt(loc);
+    }
+    return null;
+  }
+
+  // Grows the buffer until it holds at least `words` words
+  ensure(words) {
+    while (this.view.length < words) {
+      const wanted = Math.max(words, this.view.length * 2) * 8;
+      const target = Math.min(wanted, this.terms.maxByteLength);
+      if (target < words * 8) {
+        throw new Error(
+          `Out of memory: net heap needs ${words * 8} bytes, ceiling is ${this.terms.maxByteLength}`
+        );
+      }
+      try {
+        this.terms.grow(target);
+      } catch (error) {
+        // Another worker may have grown it first; re-check the length
+        if (!(error instanceof RangeError)) throw error;
+      }
+    }
+  }
+}
+
+module.exports = { Heap, Header, HeapCtrl, NODE_SIZE, growableBuffer };
@@ -1,7 +1,7 @@
 const { InteractionScript } = require('./language.js');
 
 // Create a new runtime
-const runtime = new InteractionScript();
+const runtime = new InteractionScript({ encoding: 'church' });
 
 // Example program
 const program = `
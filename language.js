@@ -1,5 +1,10 @@
 const { Parser } = require('acorn');
-const { ParallelEvaluator, Tags } = require('./evaluator.js'); // Previous artifact
+const {
+  Backends, Net, ResourceLimitError, Tags, ROOT, SwiKind, packNum, Ops
+} = require('./evaluator.js'); // Previous artifact
+const { Readback, readback, decode, DataTags } = require('./readback.js');
+const { Diagnostic, CompileError, suggest } = require('./diagnostics.js');
+const { Optimizer } = require('./optimizer.js');
 
 // AST node types for our language
 const NodeTypes = {
@@ -14,275 +19,1952 @@ const NodeTypes = {
   FUNCTION: 'Function'
 };
 
+// Number encodings: unboxed NUM nodes with OP2 operators, or Church numerals
+const Encodings = ['native', 'church'];
+
+// Church numeral arithmetic on `a` and `b` that isn't worth a method each.
+// Subtraction stops at zero, so a <= b is (a - b) === 0; the results are
+// Church booleans.
+const PRED = 'n => f => x => n(g => h => h(g(f)))(u => x)(u => u)';
+const IS_ZERO = 'n => n(x => t => f => f)(t => f => t)';
+const NOT = 'p => p(t => f => f)(t => f => t)';
+const minus = (x, y) => `${y}(${PRED})(${x})`;
+const leq = (x, y) => `(${IS_ZERO})(${minus(x, y)})`;
+const churchOperators = {
+  '-': minus('a', 'b'),
+  '<=': leq('a', 'b'),
+  '>=': leq('b', 'a'),
+  '<': `(${NOT})(${leq('b', 'a')})`,
+  '>': `(${NOT})(${leq('a', 'b')})`,
+  '===': `(${leq('a', 'b')})(${leq('b', 'a')})(t => f => f)`,
+  '!==': `(${NOT})((${leq('a', 'b')})(${leq('b', 'a')})(t => f => f))`
+};
+
+// Array and string helpers, compiled into the book the first time they are
+// needed (see Compiler.helper). Tags and code units are native numbers in
+// either encoding, so these are always compiled natively; where a helper
+// computes a number for the program, its Church variant spells the
+// numerals out as lambdas.
+const helperSources = {
+  head: 'l => l(tag => tag === 1 ? (h => t => h) : undefined)',
+  tail: 'l => l(tag => tag === 1 ? (h => t => t) : (k => k(0)))',
+  length: {
+    native: 'l => l(tag => tag === 1 ? (h => t => 1 + length(t)) : 0)',
+    church: 'l => l(tag => tag === 1 ? (h => t => f => x => f(length(t)(f)(x))) : (f => x => x))'
+  },
+  at: {
+    native: 'l => i => l(tag => tag === 1 ? (h => t => i === 0 ? h : at(t)(i - 1)) : undefined)',
+    church: 'l => i => head(i(tail)(l))'
+  },
+  // The branches take `b` themselves, so that it isn't copied (and the
+  // copy erased) at every step
+  concat: 'a => b => a(tag => tag === 1 ? (h => t => b => k => k(1)(h)(concat(t)(b))) : (b => b))(b)',
+  // Strings: the code units of one, appending, and comparing code units
+  // (-1, 0 or 1)
+  chars: 's => s(tag => c => c)',
+  append: 'a => b => k => k(2)(concat(chars(a))(chars(b)))',
+  compare: 'a => b => a(s => s === 1 ?' +
+    ' (h => t => b => b(r => r === 1 ? (g => u => h < g ? -1 : h > g ? 1 : compare(t)(u)) : 1)) :' +
+    ' (b => b(r => r === 1 ? (g => u => -1) : 0)))(b)',
+  // Values as strings, the JS way: native numbers (fractions to at most 6
+  // places) and booleans, nil as "undefined" (null is only known at
+  // compile time; see toStringTerm), arrays as their elements shown and
+  // joined by commas, with nil ones empty, and objects as "[object
+  // Object]". An object's selector gives undefined, which takes in any
+  // number of fields.
+  show: 'x => x === undefined ? "undefined" : typeof x === "number" ?' +
+    ' (x === true ? "true" : x === false ? "false" : k => k(2)(number(x))) :' +
+    ' described(x(tag => tag === 2 ? (l => k => k(2)(l)) : tag === 1 ? (h => t => joined(h)(t)) :' +
+    ' tag === 0 ? "" : undefined))',
+  described: 's => s === undefined ? "[object Object]" : s',
+  joined: 'h => t => append(element(h))(t(tag => tag === 1 ? (g => u => append(",")(joined(g)(u))) : ""))',
+  element: 'x => x === undefined ? "" : show(x)',
+  number: 'n => n < 0 ? [45, ...number(0 - n)] :' +
+    ' n % 1 === 0 ? digits(n) : [...digits(n - n % 1), 46, ...fraction(n % 1)(6)]',
+  digits: 'n => n < 10 ? [48 + n] : [...digits((n - n % 10) / 10), 48 + n % 10]',
+  fraction: 'f => i => { const g = f * 10; const d = g - g % 1;' +
+    ' return f === 0 || i === 0 ? [] : [48 + d, ...fraction(g - d)(i - 1)]; }',
+  showNumeral: 'n => k => k(2)(number(n(m => m + 1)(0)))',
+  showBoolean: 'b => b("true")("false")',
+  // What the OP2-LAM and OP1-LAM rules fall back on when an operand turns
+  // out not to be a number (see Net.opfallback), given the operator's code
+  // (see Ops): + appends the operands shown as strings, === and !== only
+  // hold between equal strings, ordering compares two strings by code
+  // units and anything else as numbers, and arithmetic reads strings as
+  // numbers
+  operator: 'c => a => b => c === 0 ? append(show(a))(show(b)) :' +
+    ' c === 9 ? same(a)(b) : c === 10 ? !same(a)(b) :' +
+    ' c > 4 && c < 9 ? ordered(c)(a)(b) : arithmetic(c)(numeric(a))(numeric(b))',
+  same: 'a => b => typeof a === "number" || typeof b === "number" ? false :' +
+    ' isString(a) ? (isString(b) ? compare(chars(a))(chars(b)) === 0 : false) : false',
+  isString: 'x => x(tag => tag === 2 ? (s => true) : undefined)',
+  ordered: 'c => a => b => typeof a === "number" || typeof b === "number" ?' +
+    ' relation(c)(numeric(a))(numeric(b)) : relation(c)(compare(chars(a))(chars(b)))(0)',
+  relation: 'c => x => y => c === 5 ? x < y : c === 6 ? x > y : c === 7 ? x <= y : x >= y',
+  arithmetic: 'c => x => y => c === 1 ? x - y : c === 2 ? x * y : c === 3 ? x / y :' +
+    ' c === 4 ? x % y : c === 11 ? x & y : c === 12 ? x | y : c === 13 ? x ^ y :' +
+    ' c === 14 ? x << y : x >> y',
+  // What the SWI-LAM rule asks about a string (see Net.swilam): whether
+  // it has any code units
+  truthy: 's => s(tag => l => l(t => t === 1 ? (h => r => true) : false))',
+  // Strings as numbers, the way Number() reads decimals: an optional minus
+  // sign, digits and a fraction, the empty string being 0 and anything
+  // else NaN
+  numeric: 'x => typeof x === "number" ? x : signed(chars(x))',
+  signed: 'l => l(tag => tag === 1 ?' +
+    ' (h => t => h === 45 ? 0 - unsigned(t)(0) : unsigned(k => k(1)(h)(t))(0)) : 0)',
+  unsigned: 'l => n => l(tag => tag === 1 ? (h => t => h === 46 ? n + decimals(t)(0.1) :' +
+    ' h >= 48 && h <= 57 ? unsigned(t)(n * 10 + h - 48) : 0 / 0) : n)',
+  decimals: 'l => f => l(tag => tag === 1 ?' +
+    ' (h => t => h >= 48 && h <= 57 ? f * (h - 48) + decimals(t)(f / 10) : 0 / 0) : 0)'
+};
+
+const isNumeric = type => type === 'number' || type === 'boolean';
+
+const isAssignment = node => node.type === 'AssignmentExpression' || node.type === 'UpdateExpression';
+
+const comparisons = ['<', '>', '<=', '>=', '===', '!=='];
+
+// The key of an object literal property or pattern property
+const propertyKey = property =>
+  property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+
+// Whether a statement returns on every path through it
+function alwaysReturns(statement) {
+  switch (statement.type) {
+    case 'ReturnStatement':
+      return true;
+    case 'BlockStatement':
+      return statement.body.some(alwaysReturns);
+    case 'IfStatement':
+      return Boolean(statement.alternate) &&
+        alwaysReturns(statement.consequent) && alwaysReturns(statement.alternate);
+    case 'SwitchStatement':
+      return switchReturns(statement);
+    default:
+      return false;
+  }
+}
+
+// A switch returns if it has a default and every case returns before it
+// breaks, or falls through to a case that does
+function switchReturns(statement) {
+  const { cases } = statement;
+  return cases.some(c => !c.test) && cases.every((c, i) => {
+    const end = c.consequent.findIndex(s => s.type === 'BreakStatement');
+    const reached = end < 0 ? c.consequent : c.consequent.slice(0, end);
+    return reached.some(alwaysReturns) || (end < 0 && i < cases.length - 1);
+  });
+}
+
 class Compiler {
-  constructor() {
-    this.evaluator = new ParallelEvaluator();
+  constructor({
+    encoding = 'native', backend = 'workers', workers, debug = false, optimize = false,
+    queueCapacity, heapSize, maxHeapSize
+  } = {}) {
+    if (!Encodings.includes(encoding)) {
+      throw new Error(`Unknown encoding: ${encoding} (expected ${Encodings.join(' or ')})`);
+    }
+    if (!Object.hasOwn(Backends, backend)) {
+      const names = Object.keys(Backends);
+      throw new Error(`Unknown backend: ${backend} (expected ${names.join(' or ')})`);
+    }
+    this.encoding = encoding;
+    this.evaluator = new Backends[backend]({ workers, queueCapacity, heapSize, maxHeapSize });
+    // Debug mode: validate every net built (see validate.js)
+    this.debug = debug;
+    this.evaluator.debug = debug;
+    // Optimize definitions and compiled programs before they are reduced
+    // (see optimizer.js); the report of the last compile, when on
+    this.optimize = optimize;
+    this.optimizer = new Optimizer();
+    this.optimization = null;
     this.scope = new Map();
-    this.nextVarId = 0;
+    this.diagnostics = [];
+    // Name of the definition being compiled, if any, to name its branches
+    this.definitionName = null;
+    // How many function bodies the code being compiled is in
+    this.functionDepth = 0;
+    // Key sets of the object shapes met so far; the tag of shapes[i] is
+    // DataTags.FIRST_SHAPE + i (see readback.js)
+    this.shapes = [];
+    this.shapeTags = new Map();
+    // Book ids of the array helpers and of the field accessors
+    this.helpers = new Map();
+    this.accessors = new Map();
   }
 
-  // Main compilation entry point
-  compile(sourceCode) {
-    const ast = Parser.parse(sourceCode, {
-      ecmaVersion: 2020,
-      sourceType: 'module'
-    });
-    return this.compileNode(ast);
+  // Warnings from the last compile; errors are thrown as a CompileError
+  get warnings() {
+    return this.diagnostics.filter(diagnostic => diagnostic.severity === 'warning');
+  }
+
+  // Throws a CompileError about `node`, to be recorded by recover()
+  fail(node, message, hint) {
+    throw new CompileError([new Diagnostic('error', message, node && node.loc, hint)]);
+  }
+
+  warn(node, message, hint) {
+    this.diagnostics.push(new Diagnostic('warning', message, node && node.loc, hint));
+  }
+
+  // Runs `fn`, recording a CompileError instead of stopping so that one
+  // compile reports as many problems as it can; returns `fallback` then
+  recover(fn, fallback) {
+    try {
+      return fn();
+    } catch (error) {
+      if (!(error instanceof CompileError)) throw error;
+      this.diagnostics.push(...error.diagnostics);
+      return fallback;
+    }
   }
 
-  // Compile AST nodes to interaction combinators
+  // Throws everything recorded so far if any of it is an error
+  checkErrors(sourceCode) {
+    const errors = this.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    if (errors.length) throw new CompileError(errors, sourceCode);
+  }
+
+  // Labels come from the net, which hands them out at run time too
+  freshLabel() {
+    return this.evaluator.net.freshLabel();
+  }
+
+  // Main compilation entry point. Links the program's result to the root
+  // port and returns its location. `optimize` overrides the compiler's own
+  // setting for this program.
+  compile(sourceCode, { optimize = this.optimize } = {}) {
+    return this.withOptimization(optimize, () => this.compileSource(sourceCode));
+  }
+
+  compileSource(sourceCode) {
+    this.diagnostics = [];
+    this.optimizer.reset();
+    const ast = this.parse(sourceCode);
+    // A new program starts on an empty net: the previous one goes, along
+    // with anything a run stopped by a limit left to do (resume() is the
+    // way to carry on with that). Definitions stay in the book.
+    const net = this.evaluator.net;
+    net.clear();
+    this.scope = new Map();
+    const result = this.compileNode(ast);
+    this.defineAccessors();
+    this.checkErrors(sourceCode);
+    net.move(ROOT, result);
+    if (this.optimize) this.optimizer.run(net);
+    this.optimization = this.optimize ? { ...this.optimizer.report } : null;
+    if (this.debug) net.assertValid('after compiling');
+    return ROOT;
+  }
+
+  // Parses with locations, turning acorn's SyntaxError into a CompileError
+  // (the original stays available as its `cause`)
+  parse(sourceCode) {
+    try {
+      return Parser.parse(sourceCode, {
+        ecmaVersion: 2020,
+        sourceType: 'module',
+        locations: true
+      });
+    } catch (error) {
+      if (!(error instanceof SyntaxError) || !error.loc) throw error;
+      const message = error.message.replace(/ \(\d+:\d+\)$/, '');
+      const loc = { start: error.loc, end: { line: error.loc.line, column: error.loc.column + 1 } };
+      throw new CompileError([new Diagnostic('error', message, loc)], sourceCode, { cause: error });
+    }
+  }
+
+  // Compiles one input of an interactive session into the same net. Unlike
+  // compile(), top-level declarations stay in scope for later inputs: each
+  // keeps a spare copy of its value that is split again whenever a later
+  // input uses the name. Returns ROOT, or null if the input has no result
+  // expression; a new result replaces (and erases) the previous one. The
+  // optimizer only sees the definitions, as the main net has wires held by
+  // the bindings.
+  compileInput(sourceCode) {
+    this.diagnostics = [];
+    this.optimizer.reset();
+    const ast = this.parse(sourceCode);
+    const net = this.evaluator.net;
+    const before = new Map(this.scope);
+    for (const binding of before.values()) {
+      this.split(binding, this.countUses(binding.name, ast.body));
+    }
+
+    let result = null;
+    try {
+      const definitions = this.compileDefinitions(ast.body);
+      ast.body.forEach((statement, i) => this.recover(() => {
+        if (definitions.has(statement)) return;
+        const rest = ast.body.slice(i + 1);
+        switch (statement.type) {
+          case 'VariableDeclaration':
+            this.compileVariableDeclaration(statement, rest, true);
+            break;
+          case 'FunctionDeclaration':
+            this.compileFunctionDeclaration(statement, rest, true);
+            break;
+          case 'ExpressionStatement':
+            if (result) net.link([Tags.ERA, 0n], result);
+            result = this.compileNode(statement);
+            break;
+          default:
+            this.compileNode(statement);
+        }
+      }));
+      this.defineAccessors();
+      this.checkErrors(sourceCode);
+    } catch (error) {
+      // Forget this input's declarations; what it built stays unreachable
+      this.scope = before;
+      before.forEach(binding => this.eraseUnused(binding));
+      throw error;
+    }
+
+    for (const binding of this.scope.values()) {
+      this.eraseUnused(binding);
+      // Redeclared names: the old value is gone for good
+      for (let old = binding.shadowed; old; old = old.shadowed) {
+        this.eraseUnused(old);
+        if (old.spare) net.link([Tags.ERA, 0n], old.spare);
+      }
+      binding.shadowed = undefined;
+    }
+
+    this.optimization = this.optimize ? { ...this.optimizer.report } : null;
+    if (!result) {
+      if (this.debug) net.assertValid('after compiling');
+      return null;
+    }
+    const previous = net.take(ROOT);
+    if (previous[0] !== Tags.SUB) net.link([Tags.ERA, 0n], previous);
+    net.set(ROOT, [Tags.SUB, 0n]);
+    net.move(ROOT, result);
+    if (this.debug) net.assertValid('after compiling');
+    return ROOT;
+  }
+
+  // Compile AST nodes to interaction combinators. A node that fails to
+  // compile is recorded and stands in as an erased value, so compilation
+  // carries on and can report further errors.
   compileNode(node) {
-    switch(node.type) {
-      case 'Program':
-        return this.compileProgram(node);
-      case 'FunctionDeclaration':
-        return this.compileFunctionDeclaration(node);
-      case 'ArrowFunctionExpression':
-        return this.compileLambda(node);
-      case 'CallExpression':
-        return this.compileApplication(node);
+    return this.recover(() => {
+      switch(node.type) {
+        case 'Program':
+          return this.compileProgram(node);
+        case 'ExpressionStatement':
+          return this.compileNode(node.expression);
+        case 'FunctionDeclaration':
+          return this.compileFunctionDeclaration(node);
+        case 'ArrowFunctionExpression':
+        case 'FunctionExpression':
+          return this.compileLambda(node);
+        case 'CallExpression':
+          return this.compileApplication(node);
+        case 'Identifier':
+          return this.compileVariable(node);
+        case 'VariableDeclaration':
+          return this.compileVariableDeclaration(node);
+        case 'Literal':
+          return this.compileLiteral(node);
+        case 'BinaryExpression':
+          return this.compileBinaryOp(node);
+        case 'ConditionalExpression':
+          return this.compileConditional(node.test, node.consequent, node.alternate);
+        case 'LogicalExpression':
+          return this.compileLogical(node);
+        case 'UnaryExpression':
+          return this.compileUnary(node);
+        case 'ObjectExpression':
+          return this.compileObject(node);
+        case 'ArrayExpression':
+          return this.compileArray(node);
+        case 'MemberExpression':
+          return this.compileMember(node);
+        case 'TemplateLiteral':
+          return this.compileTemplateLiteral(node);
+        case 'AssignmentExpression':
+        case 'UpdateExpression':
+          return this.failAssignment(node);
+        case 'IfStatement':
+        case 'SwitchStatement':
+          this.fail(node, `${node.type === 'IfStatement' ? 'if' : 'switch'} statements are only supported in function bodies`,
+            'use a conditional expression (test ? a : b) here');
+        default:
+          this.fail(node, `Unsupported node type: ${node.type}`);
+      }
+    }, [Tags.NUL, 0n]);
+  }
+
+  // Declarations bind names for the statements after them; the value of
+  // the last expression statement is the program's result
+  compileProgram(node) {
+    let lastResult = null;
+    const bindings = [];
+    const definitions = this.compileDefinitions(node.body, bindings);
+    node.body.forEach((statement, i) => this.recover(() => {
+      if (definitions.has(statement)) return;
+      const rest = node.body.slice(i + 1);
+      switch (statement.type) {
+        case 'VariableDeclaration':
+          bindings.push(...this.compileVariableDeclaration(statement, rest));
+          break;
+        case 'FunctionDeclaration':
+          bindings.push(this.compileFunctionDeclaration(statement, rest));
+          break;
+        case 'ExpressionStatement':
+          // Only the last one is the result; earlier ones are dropped
+          if (lastResult) this.evaluator.net.link([Tags.ERA, 0n], lastResult);
+          lastResult = this.compileNode(statement);
+          break;
+        default:
+          this.compileNode(statement);
+      }
+    }));
+    bindings.reverse().forEach(binding => this.unbind(binding));
+    if (!lastResult) {
+      this.fail(node, 'Program has no result expression',
+        'end the program with an expression, e.g. main()');
+    }
+    return lastResult;
+  }
+
+  // Linearization: a net wire has exactly one consumer, so a value bound to
+  // a name is shared out through a chain of DUP nodes (fresh label each),
+  // one copy per use, and erased if it is never used. A `persistent`
+  // binding keeps the end of its chain as a spare instead (see split).
+  bind(name, term, uses, extra = {}) {
+    if (extra.persistent) {
+      const binding = { name, terms: [], next: 0, spare: term, shadowed: this.scope.get(name), ...extra };
+      this.split(binding, uses);
+      this.scope.set(name, binding);
+      return binding;
+    }
+    const terms = this.copies(term, uses);
+    const binding = { name, terms, next: 0, shadowed: this.scope.get(name), ...extra };
+    this.scope.set(name, binding);
+    return binding;
+  }
+
+  // `count` copies of `term`, shared out through a chain of DUP nodes; no
+  // copies at all erases it
+  copies(term, count) {
+    const net = this.evaluator.net;
+    if (count === 0) {
+      net.link([Tags.ERA, 0n], term);
+      return [];
+    }
+    const terms = [];
+    let rest = term;
+    for (let i = 1; i < count; i++) {
+      const dupLoc = net.createDup(this.freshLabel());
+      net.link([Tags.DUP, dupLoc], rest);
+      terms.push([Tags.VAR, dupLoc + 1n]);
+      rest = [Tags.VAR, dupLoc + 2n];
+    }
+    terms.push(rest);
+    return terms;
+  }
+
+  // Splits `uses` fresh copies off a persistent binding's spare, which
+  // stays at the end of the chain for the next round
+  split(binding, uses) {
+    if (binding.ref !== undefined) return;
+    const net = this.evaluator.net;
+    binding.terms = [];
+    binding.next = 0;
+    for (let i = 0; i < uses; i++) {
+      const dupLoc = net.createDup(this.freshLabel());
+      net.link([Tags.DUP, dupLoc], binding.spare);
+      binding.terms.push([Tags.VAR, dupLoc + 1n]);
+      binding.spare = [Tags.VAR, dupLoc + 2n];
+    }
+  }
+
+  // Erases copies that were counted but not used
+  eraseUnused(binding) {
+    const net = this.evaluator.net;
+    for (const term of binding.terms.slice(binding.next)) {
+      net.link([Tags.ERA, 0n], term);
+    }
+    binding.next = binding.terms.length;
+  }
+
+  // Ends a binding's scope, erasing copies that were counted but not used
+  unbind(binding) {
+    this.eraseUnused(binding);
+    if (binding.shadowed) this.scope.set(binding.name, binding.shadowed);
+    else this.scope.delete(binding.name);
+  }
+
+  // Counts references to `name` in the given AST nodes. Functions whose
+  // parameters rebind the name are skipped; other shadowing is not tracked,
+  // which can only over-count.
+  countUses(name, nodes) {
+    let count = 0;
+    const visit = (node) => {
+      if (!node || typeof node.type !== 'string') return;
+      switch (node.type) {
+        case 'Identifier':
+          if (node.name === name) count++;
+          return;
+        case 'MemberExpression':
+          visit(node.object);
+          if (node.computed) visit(node.property);
+          return;
+        case 'Property':
+          if (node.computed) visit(node.key);
+          visit(node.value);
+          return;
+        case 'ArrowFunctionExpression':
+        case 'FunctionExpression':
+        case 'FunctionDeclaration':
+          if (!node.params.some(param => this.patternNames(param).includes(name))) {
+            visit(node.body);
+          }
+          return;
+        case 'VariableDeclarator':
+          visit(node.init);
+          return;
+      }
+      for (const value of Object.values(node)) {
+        if (Array.isArray(value)) value.forEach(visit);
+        else visit(value);
+      }
+    };
+    nodes.forEach(visit);
+    return count;
+  }
+
+  // Names bound by a parameter or declaration pattern
+  patternNames(pattern) {
+    switch (pattern.type) {
       case 'Identifier':
-        return this.compileVariable(node);
+        return [pattern.name];
+      case 'AssignmentPattern':
+        return this.patternNames(pattern.left);
+      case 'RestElement':
+        return this.patternNames(pattern.argument);
+      case 'ArrayPattern':
+        return pattern.elements.filter(Boolean).flatMap(el => this.patternNames(el));
+      case 'ObjectPattern':
+        return pattern.properties.flatMap(prop =>
+          this.patternNames(prop.type === 'RestElement' ? prop : prop.value));
+      default:
+        return [];
+    }
+  }
+
+  // Compiles `source` (an expression) with only the given terms in scope
+  compileTemplate(source, terms) {
+    const expr = Parser.parseExpressionAt(source, 0, { ecmaVersion: 2020 });
+    return this.withScope(new Map(), () => {
+      const bindings = Object.entries(terms).map(([name, term]) =>
+        this.bind(name, term, this.countUses(name, [expr])));
+      const result = this.compileNode(expr);
+      bindings.reverse().forEach(binding => this.unbind(binding));
+      return result;
+    });
+  }
+
+  withEncoding(encoding, fn) {
+    const saved = this.encoding;
+    this.encoding = encoding;
+    try {
+      return fn();
+    } finally {
+      this.encoding = saved;
+    }
+  }
+
+  withOptimization(optimize, fn) {
+    const saved = this.optimize;
+    this.optimize = optimize;
+    try {
+      return fn();
+    } finally {
+      this.optimize = saved;
+    }
+  }
+
+  withScope(scope, fn) {
+    const saved = this.scope;
+    this.scope = scope;
+    try {
+      return fn();
+    } finally {
+      this.scope = saved;
+    }
+  }
+
+  // Compiles into another net for the duration of `fn`
+  withNet(net, fn) {
+    const evaluator = this.evaluator;
+    const saved = evaluator.net;
+    evaluator.net = net;
+    try {
+      return fn();
+    } finally {
+      evaluator.net = saved;
+    }
+  }
+
+  // Top-level functions whose bodies only refer to other such functions
+  // become book definitions (see book.js): each is compiled once, into a
+  // net of its own, and a use of its name is a REF that expands a fresh
+  // copy only when something interacts with it. That is what lets them
+  // call themselves and each other. Other constants defined the same way
+  // become definitions too, so that each use gets copies of their DUP
+  // nodes with fresh labels: a value shared out in the main net carries
+  // the same labels into every copy, and copies applied to each other,
+  // like a numeral to itself, then never finish. (Each use computes the
+  // value anew; constants that call host functions, directly or through
+  // functions, stay in the main net, so that those are called once.)
+  // Binds the names for the whole program (adding the bindings to
+  // `bindings`) and returns the statements that are done with.
+  compileDefinitions(statements, bindings = []) {
+    const declared = new Map();
+    for (const statement of statements) {
+      for (const name of this.declaredNames(statement)) {
+        declared.set(name, (declared.get(name) || 0) + 1);
+      }
+    }
+    const candidates = new Map();
+    for (const statement of statements) {
+      const definition = this.definitionOf(statement);
+      if (definition && declared.get(definition.name) === 1) {
+        candidates.set(definition.name, definition);
+      }
+    }
+
+    // Names that call host functions when used: the hosts themselves, and
+    // definitions that use one of them
+    const calling = new Set(this.evaluator.net.book.hosts.map(({ name }) => name));
+    this.scope.forEach(binding => binding.callsHost && calling.add(binding.name));
+    for (let changed = true; changed;) {
+      changed = false;
+      for (const [name, definition] of candidates) {
+        const body = definition.fn || definition.value;
+        if (!calling.has(name) && [...calling].some(other => this.countUses(other, [body]))) {
+          calling.add(name);
+          changed = true;
+        }
+      }
+    }
+    for (const [name, definition] of candidates) {
+      if (definition.value && calling.has(name)) candidates.delete(name);
+    }
+
+    // Anything else in scope lives in the main net, out of a definition's
+    // reach; so do definitions that refer to it
+    const others = new Set([...this.scope.values()]
+      .filter(binding => binding.ref === undefined)
+      .map(binding => binding.name)
+      .concat([...declared.keys()])
+      .filter(name => !candidates.has(name)));
+    for (let changed = true; changed;) {
+      changed = false;
+      for (const [name, definition] of candidates) {
+        if ([...others].some(other => this.countUses(other, [definition.fn || definition.value]))) {
+          candidates.delete(name);
+          others.add(name);
+          changed = true;
+        }
+      }
+    }
+
+    const book = this.evaluator.net.book;
+    for (const definition of candidates.values()) {
+      definition.id = book.declare(definition.name);
+      const binding = {
+        name: definition.name,
+        ref: definition.id,
+        terms: [],
+        next: 0,
+        params: definition.fn && definition.fn.params,
+        type: definition.value && this.staticType(definition.value),
+        callsHost: calling.has(definition.name),
+        shadowed: this.scope.get(definition.name)
+      };
+      this.scope.set(definition.name, binding);
+      bindings.push(binding);
+    }
+    for (const definition of candidates.values()) {
+      this.recover(() => this.compileDefinition(definition));
+    }
+    return new Set([...candidates.values()].map(definition => definition.statement));
+  }
+
+  // { name, fn, statement } if `statement` declares a single function,
+  // { name, value, statement } if it declares a single other constant
+  // (that isn't just another name for something)
+  definitionOf(statement) {
+    if (statement.type === 'FunctionDeclaration') {
+      return { name: statement.id.name, fn: statement, statement };
+    }
+    if (statement.type !== 'VariableDeclaration' || statement.declarations.length !== 1) {
+      return null;
+    }
+    const [{ id, init }] = statement.declarations;
+    if (id.type !== 'Identifier' || !init || init.type === 'Identifier') {
+      return null;
+    }
+    if (init.type === 'ArrowFunctionExpression' || init.type === 'FunctionExpression') {
+      return { name: id.name, fn: init, statement };
+    }
+    return { name: id.name, value: init, statement };
+  }
+
+  // Names a top-level statement declares
+  declaredNames(statement) {
+    switch (statement.type) {
+      case 'FunctionDeclaration':
+        return [statement.id.name];
       case 'VariableDeclaration':
-        return this.compileVariableDeclaration(node);
-      case 'IfStatement':
-        return this.compileIf(node);
-      case 'NumericLiteral':
-        return this.compileNumber(node);
-      case 'BooleanLiteral':
-        return this.compileBoolean(node);
-      case 'BinaryExpression':
-        return this.compileBinaryOp(node);
+        return statement.declarations.flatMap(declaration => this.patternNames(declaration.id));
       default:
-        throw new Error(`Unsupported node type: ${node.type}`);
+        return [];
     }
   }
 
-  compileProgram(node) {
-    let lastResult = null;
-    for (const statement of node.body) {
-      lastResult = this.compileNode(statement);
+  // Compiles a definition's function (or value) into a net of its own and
+  // stores it in the book. It sees the definitions in scope, or just
+  // `refs`. One that fails to compile is stored as an erased value, so that
+  // nothing left referring to it breaks the next evaluation.
+  compileDefinition({ id, name, fn, value }, refs = null) {
+    const book = this.evaluator.net.book;
+    const net = new Net({ heapSize: 64 * 1024, book });
+    refs = refs || new Map([...this.scope].filter(([, binding]) => binding.ref !== undefined));
+    const outer = this.definitionName;
+    this.definitionName = name;
+    try {
+      const root = this.withNet(net, () =>
+        this.withScope(refs, () => fn ? this.compileFunction(fn.params, fn.body) : this.compileNode(value)));
+      this.storeDefinition(id, net, root);
+    } catch (error) {
+      book.define(id, new Net({ heapSize: 64 * 1024, book }).template([Tags.NUL, 0n]));
+      throw error;
+    } finally {
+      this.definitionName = outer;
+    }
+  }
+
+  // Stores definition `id`, compiled into a net of its own with value
+  // `root`, in the book. The root term goes in the (otherwise unused) root
+  // port while the optimizer, if on, and in debug mode the validator look
+  // at the net.
+  storeDefinition(id, net, root) {
+    const book = this.evaluator.net.book;
+    net.set(ROOT, root);
+    if (this.optimize) this.optimizer.run(net);
+    if (this.debug) net.assertValid(`compiling ${book.nameOf(id)}`, { compiling: true });
+    book.define(id, net.template(net.get(ROOT)));
+  }
+
+  // A helper (see helperSources) as a REF, compiled the first time
+  helper(name) {
+    if (!this.helpers.has(name)) {
+      const spec = helperSources[name];
+      const source = typeof spec === 'string' ? spec : spec[this.encoding];
+      const fn = Parser.parseExpressionAt(source, 0, { ecmaVersion: 2020 });
+      const id = this.evaluator.net.book.declare(`$${name}`);
+      this.helpers.set(name, id);
+      const refs = new Map(Object.keys(helperSources)
+        .filter(other => this.countUses(other, [fn]))
+        .map(other => [other, { name: other, ref: Number(this.helper(other)[1]), terms: [], next: 0 }]));
+      this.withEncoding('native', () => this.compileDefinition({ id, name: `$${name}`, fn }, refs));
+    }
+    return [Tags.REF, BigInt(this.helpers.get(name))];
+  }
+
+  // The accessor of an object key as a REF: a definition that applies an
+  // object to `tag => ...`, picking by tag an arm that takes that shape's
+  // fields and returns the one under `key`. Shapes without the key (and
+  // anything but objects) give undefined, whose APP-NUL interactions
+  // erase the fields. Defined by defineAccessors, once all shapes so far
+  // are known.
+  accessor(key) {
+    if (!this.accessors.has(key)) {
+      const book = this.evaluator.net.book;
+      const name = `$get$${key.replace(/[^\w$]/g, '_')}`;
+      this.accessors.set(key, { id: book.declare(name), arms: book.declare(`${name}$tag`), shapes: -1 });
+    }
+    return [Tags.REF, BigInt(this.accessors.get(key).id)];
+  }
+
+  // (Re)defines the accessors that don't know every shape yet. Objects
+  // built earlier keep their tags, and so stay readable by the new arms.
+  // The arms are a definition of their own, only expanded once an object
+  // hands over its tag, so accessors expanded before a host function
+  // returned an object of a new shape still read it.
+  defineAccessors() {
+    const book = this.evaluator.net.book;
+    for (const [key, accessor] of this.accessors) {
+      if (accessor.shapes === this.shapes.length) continue;
+      if (accessor.shapes < 0) {
+        const net = new Net({ heapSize: 64 * 1024, book });
+        const root = this.withNet(net, () =>
+          this.compileTemplate('o => o(arms)', { arms: [Tags.REF, BigInt(accessor.arms)] }));
+        this.storeDefinition(accessor.id, net, root);
+      }
+      accessor.shapes = this.shapes.length;
+      const net = new Net({ heapSize: 64 * 1024, book });
+      const root = this.withNet(net, () => {
+        const arms = [];
+        this.shapes.forEach((keys, i) => {
+          const index = keys.indexOf(key);
+          if (index < 0) return;
+          const params = keys.map((_, j) => `x${j} => `).join('');
+          arms.push([DataTags.FIRST_SHAPE + i, this.compileTemplate(`${params}x${index}`, {})]);
+        });
+        if (key === 'length') {
+          // Strings and arrays have a length too: the length of the code
+          // units, or of the list (rebuilt if non-empty)
+          arms.push(
+            [DataTags.STRING, this.helper('length')],
+            [DataTags.NIL, this.compileNumber({ value: 0 })],
+            [DataTags.CONS, this.compileTemplate('h => t => length(k => k(tag)(h)(t))',
+              { length: this.helper('length'), tag: packNum(DataTags.CONS) })]
+          );
+        }
+        const tagLoc = net.createLam();
+        net.set(tagLoc + 2n, this.selectTag([Tags.VAR, tagLoc + 1n], arms, [Tags.NUL, 0n]));
+        return [Tags.LAM, tagLoc];
+      });
+      this.storeDefinition(accessor.arms, net, root);
     }
-    return lastResult;
   }
 
   compileLambda(node) {
-    const paramName = node.params[0].name;
-    const varId = this.nextVarId++;
-    this.scope.set(paramName, varId);
-    
-    const bodyLoc = this.compileNode(node.body);
-    const lamLoc = this.evaluator.net.createLam(varId, bodyLoc);
-    
-    this.scope.delete(paramName);
-    return lamLoc;
+    return this.compileFunction(node.params, node.body);
+  }
+
+  // Curries `(a, b) => body` into `a => b => body`, one LAM per parameter.
+  // A function without parameters still takes one (ignored) argument, which
+  // is what a zero-argument call passes.
+  compileFunction(params, body) {
+    const net = this.evaluator.net;
+    params.forEach(param => this.checkPattern(param, true));
+    ({ params, body } = this.moveDefaults(params, body));
+    const lams = (params.length ? params : [null]).map(() => net.createLam());
+
+    if (!params.length) {
+      // Erase the argument of a zero-parameter function
+      net.link([Tags.ERA, 0n], [Tags.VAR, lams[0] + 1n]);
+    }
+    const bindings = params.flatMap((param, i) =>
+      this.bindPattern(param, [Tags.VAR, lams[i] + 1n], [body]));
+
+    let bodyTerm;
+    this.functionDepth++;
+    try {
+      bodyTerm = this.compileFunctionBody(body);
+    } finally {
+      this.functionDepth--;
+    }
+
+    bindings.reverse().forEach(binding => this.unbind(binding));
+
+    lams.forEach((lamLoc, i) => {
+      const next = i + 1 < lams.length ? [Tags.LAM, lams[i + 1]] : bodyTerm;
+      net.set(lamLoc + 2n, next);
+    });
+    return [Tags.LAM, lams[0]];
+  }
+
+  // Parameters with defaults take their argument under a name of their
+  // own, and the body starts by declaring them from it, as in
+  // `const b = $default1 === undefined ? a + 1 : $default1;`. The default
+  // is then only evaluated when no value was passed, with the parameters
+  // before it in scope, as in JS.
+  moveDefaults(params, body) {
+    const declarations = [];
+    params = params.map((param, i) => {
+      if (param.type !== 'AssignmentPattern') return param;
+      const { loc } = param;
+      const arg = { type: 'Identifier', name: `$default${i}`, loc };
+      const test = {
+        type: 'BinaryExpression', operator: '===', left: arg,
+        right: { type: 'Identifier', name: 'undefined', loc }, loc
+      };
+      const init = { type: 'ConditionalExpression', test, consequent: param.right, alternate: arg, loc };
+      declarations.push({
+        type: 'VariableDeclaration', kind: 'const', loc,
+        declarations: [{ type: 'VariableDeclarator', id: param.left, init, loc }]
+      });
+      return arg;
+    });
+    if (!declarations.length) return { params, body };
+    const statements = body.type === 'BlockStatement' ?
+      body.body :
+      [{ type: 'ReturnStatement', argument: body, loc: body.loc }];
+    return { params, body: { type: 'BlockStatement', body: [...declarations, ...statements], loc: body.loc } };
+  }
+
+  // Fails on what bindPattern can't bind, before anything is bound.
+  // Defaults are only supported on parameters, where the function body
+  // fills them in (see moveDefaults).
+  checkPattern(pattern, param = false) {
+    switch (pattern.type) {
+      case 'Identifier':
+        return;
+      case 'AssignmentPattern':
+        if (!param) {
+          this.fail(pattern, 'Default values are only supported for parameters');
+        }
+        return this.checkPattern(pattern.left);
+      case 'RestElement':
+        this.fail(pattern, param ? 'Rest parameters are not supported' :
+          'Rest elements are only supported in array patterns');
+      case 'ObjectPattern':
+        return pattern.properties.forEach(property => {
+          if (property.type === 'RestElement') {
+            this.fail(property, 'Rest properties are not supported');
+          }
+          if (property.computed) {
+            this.fail(property.key, 'Computed keys are not supported');
+          }
+          this.checkPattern(property.value);
+        });
+      case 'ArrayPattern':
+        return pattern.elements.forEach(element => element &&
+          this.checkPattern(element.type === 'RestElement' ? element.argument : element));
+      default:
+        this.fail(pattern, `Unsupported pattern: ${pattern.type}`);
+    }
+  }
+
+  // Binds the names in a (checked) pattern to the parts of `term` they
+  // destructure, each for its uses in `nodes`: object keys go through
+  // their accessors, array element i is head(tail^i(list)) and a rest
+  // element tail^i(list)
+  bindPattern(pattern, term, nodes, extra = {}) {
+    switch (pattern.type) {
+      case 'Identifier':
+        return [this.bind(pattern.name, term, this.countUses(pattern.name, nodes), extra)];
+      case 'AssignmentPattern':
+        return this.bindPattern(pattern.left, term, nodes, extra);
+      case 'ObjectPattern': {
+        const copies = this.copies(term, pattern.properties.length);
+        return pattern.properties.flatMap((property, i) => this.bindPattern(property.value,
+          this.applyTerms(this.accessor(propertyKey(property)), [copies[i]]), nodes, extra));
+      }
+      case 'ArrayPattern': {
+        const elements = pattern.elements
+          .map((element, index) => ({ element, index }))
+          .filter(({ element }) => element);
+        const copies = this.copies(term, elements.length);
+        return elements.flatMap(({ element, index }, i) => element.type === 'RestElement' ?
+          this.bindPattern(element.argument, this.drop(copies[i], index), nodes, extra) :
+          this.bindPattern(element, this.nth(copies[i], index), nodes, extra));
+      }
+    }
   }
 
+  // A block body is checked as written, then compiled statement by
+  // statement (branch bodies made up by compileConditional are only parts
+  // of a body, so they skip the check)
+  compileFunctionBody(body) {
+    if (body.type !== 'BlockStatement') {
+      return this.compileNode(body);
+    }
+    if (!body.branch && !this.checkStatements(body.body)) {
+      this.fail(body, 'Function body must return a value',
+        'every path through the function has to end in a return');
+    }
+    return this.compileStatements(body.body, body);
+  }
+
+  // Warns about statements that do nothing or can never run; returns
+  // whether the statements always return
+  checkStatements(statements) {
+    let returns = false;
+    for (const statement of statements) {
+      if (returns) {
+        this.warn(statement, 'Unreachable code after return');
+        break;
+      }
+      returns = this.checkStatement(statement);
+    }
+    return returns;
+  }
+
+  checkStatement(statement) {
+    switch (statement.type) {
+      case 'ReturnStatement':
+        return true;
+      case 'BlockStatement':
+        return this.checkStatements(statement.body);
+      case 'IfStatement': {
+        const consequent = this.checkStatement(statement.consequent);
+        return statement.alternate ? this.checkStatement(statement.alternate) && consequent : false;
+      }
+      case 'SwitchStatement':
+        statement.cases.forEach(c => this.checkStatements(c.consequent));
+        return switchReturns(statement);
+      case 'ExpressionStatement':
+        if (isAssignment(statement.expression)) this.failAssignment(statement.expression);
+        this.warn(statement, 'Statement is ignored: only the return value of a function is compiled',
+          'move it into the returned expression or to the top level');
+        return false;
+      default:
+        return false;
+    }
+  }
+
+  // Variables never change: a net has no place to store a new value, so
+  // `x = e`, `x += e` and `x++` are errors rather than dropped
+  failAssignment(node) {
+    const target = node.type === 'UpdateExpression' ? node.argument : node.left;
+    const name = target.type === 'Identifier' ? target.name : 'a property';
+    this.fail(node, `Cannot assign to ${name}: variables and objects can't be changed`,
+      'declare a new const instead');
+  }
+
+  // Compiles the statements of a function body down to its return value.
+  // Declarations bind names for the statements after them; an `if` becomes
+  // a conditional whose branches each go on with the statements after it.
+  compileStatements(statements, node) {
+    const [statement, ...rest] = statements;
+    if (!statement) {
+      this.fail(node, 'Function body must return a value');
+    }
+    switch (statement.type) {
+      case 'ReturnStatement':
+        if (!statement.argument) {
+          this.fail(statement, 'Function body must return a value');
+        }
+        return this.compileNode(statement.argument);
+      case 'BlockStatement':
+        return this.compileStatements([...statement.body, ...rest], node);
+      case 'IfStatement': {
+        // A branch that returns never gets to the statements after the if
+        const branch = body => alwaysReturns(body) ? [body] : [body, ...rest];
+        return this.compileConditional(
+          statement.test,
+          branch(statement.consequent),
+          statement.alternate ? branch(statement.alternate) : rest,
+          [statement.consequent, statement.alternate, ...rest],
+          statement
+        );
+      }
+      case 'VariableDeclaration':
+      case 'FunctionDeclaration': {
+        const bindings = statement.type === 'VariableDeclaration' ?
+          this.compileVariableDeclaration(statement, rest) :
+          [this.compileFunctionDeclaration(statement, rest)];
+        const result = this.compileStatements(rest, node);
+        bindings.reverse().forEach(binding => this.unbind(binding));
+        return result;
+      }
+      case 'SwitchStatement':
+        return this.compileStatements(this.desugarSwitch(statement, rest), node);
+      case 'BreakStatement':
+        this.fail(statement, 'break is only supported at the end of a switch case');
+      case 'ExpressionStatement':
+      case 'EmptyStatement':
+        // Expressions have no effects to keep (checkStatement warned)
+        return this.compileStatements(rest, node);
+      default:
+        this.fail(statement, `Unsupported statement: ${statement.type}`);
+    }
+  }
+
+  // `switch (d) { case a: ... default: ... }` as `const $switch = d;` and a
+  // chain of ifs on `$switch === a`. A case runs on into the next one
+  // unless it breaks or returns, and then into the `rest` after the switch.
+  desugarSwitch(statement, rest) {
+    const { discriminant, cases } = statement;
+    const loc = statement.loc;
+    const subject = { type: 'Identifier', name: '$switch', loc: discriminant.loc };
+    const block = body => ({ type: 'BlockStatement', body, loc });
+    const from = i => {
+      const body = [];
+      for (const c of cases.slice(i)) {
+        for (const s of c.consequent) {
+          if (s.type === 'BreakStatement') return [...body, ...rest];
+          body.push(s);
+          if (alwaysReturns(s)) return body;
+        }
+      }
+      return [...body, ...rest];
+    };
+    const fallback = cases.findIndex(c => !c.test);
+    let chain = fallback < 0 ? rest : from(fallback);
+    for (let i = cases.length - 1; i >= 0; i--) {
+      if (!cases[i].test) continue;
+      chain = [{
+        type: 'IfStatement',
+        test: { type: 'BinaryExpression', operator: '===', left: subject, right: cases[i].test, loc: cases[i].loc },
+        consequent: block(from(i)),
+        alternate: block(chain),
+        loc: cases[i].loc
+      }];
+    }
+    const declarator = { type: 'VariableDeclarator', id: subject, init: discriminant, loc };
+    return [{ type: 'VariableDeclaration', kind: 'const', declarations: [declarator], loc }, ...chain];
+  }
+
+  // `test ? consequent : alternate`, each branch an expression or a list
+  // of statements (the rest of a function body). Only the branch the test
+  // selects is evaluated: unless both are plain literals or variables, they
+  // are lifted into book definitions that take the variables they use as
+  // arguments, and the test picks which REF gets applied to them; the other
+  // is erased unexpanded. That is also what stops recursion. `counted` are
+  // the AST nodes whose variable uses were counted for the branches.
+  compileConditional(test, consequent, alternate, counted = [consequent, alternate], node = test) {
+    const testTerm = this.compileNode(test);
+    // A test that may be a string needs $truthy to tell if it's empty
+    if (this.encoding === 'native' && !isNumeric(this.staticType(test))) this.helper('truthy');
+    const branches = [consequent, alternate];
+    if (branches.every(branch => this.isSimpleBranch(branch))) {
+      const [thenTerm, elseTerm] = branches.map(branch => Array.isArray(branch) ?
+        this.compileStatements(branch, node) : this.compileNode(branch));
+      return this.select(testTerm, thenTerm, elseTerm);
+    }
+
+    const free = [...this.scope.values()]
+      .filter(binding => binding.ref === undefined && this.countUses(binding.name, counted))
+      .map(binding => binding.name);
+    const params = free.map(name => ({ type: 'Identifier', name }));
+    const [thenRef, elseRef] = [[consequent, 'then'], [alternate, 'else']].map(([branch, kind]) => {
+      const name = `${this.definitionName || 'main'}$${kind}`;
+      const id = this.evaluator.net.book.declare(name);
+      const body = Array.isArray(branch) ?
+        { type: 'BlockStatement', body: branch, loc: node.loc, branch: true } :
+        branch;
+      this.compileDefinition({ id, name, fn: { params, body } });
+      return [Tags.REF, BigInt(id)];
+    });
+    // Variables used in the branches go in once; copies counted for other
+    // uses in them are erased when the variables go out of scope
+    const args = free.map(name => this.compileVariable({ type: 'Identifier', name }));
+    return this.applyTerms(this.select(testTerm, thenRef, elseRef),
+      args.length ? args : [[Tags.NUL, 0n]]);
+  }
+
+  // Literals and variables are already values, so picking one of them
+  // needs no laziness
+  isSimpleBranch(branch) {
+    let expr = branch;
+    if (Array.isArray(branch)) {
+      let [first] = branch;
+      while (first && first.type === 'BlockStatement') [first] = first.body;
+      expr = first && first.type === 'ReturnStatement' && first.argument;
+    }
+    return Boolean(expr) && (expr.type === 'Literal' || expr.type === 'Identifier');
+  }
+
+  // Picks `thenTerm` or `elseTerm` by a condition: a Church boolean is
+  // applied to both, anything else goes through a SWI node
+  select(testTerm, thenTerm, elseTerm) {
+    if (this.encoding === 'church') {
+      return this.applyTerms(testTerm, [thenTerm, elseTerm]);
+    }
+    return this.switchTerm(testTerm, thenTerm, elseTerm);
+  }
+
+  // `tag === t1 ? arm1 : tag === t2 ? arm2 : ... : fallback` on a native
+  // tag, for arms that are values already
+  selectTag(tagTerm, arms, fallback) {
+    const net = this.evaluator.net;
+    const tags = this.copies(tagTerm, arms.length);
+    return arms.reduceRight((otherwise, [tag, arm], i) => {
+      const opLoc = net.createOp2('===', packNum(tag));
+      net.link([Tags.OP2, opLoc], tags[i]);
+      return this.switchTerm([Tags.VAR, opLoc + 2n], arm, otherwise);
+    }, fallback);
+  }
+
+  // A SWI node on a native value: truthy (or, for a NUMBER switch, a
+  // number) picks `thenTerm`
+  switchTerm(testTerm, thenTerm, elseTerm, kind = SwiKind.TRUTHY) {
+    const net = this.evaluator.net;
+    const branches = this.compileTemplate('k => k(t)(e)', { t: thenTerm, e: elseTerm });
+    const swiLoc = net.createSwi(branches, kind);
+    net.link([Tags.SWI, swiLoc], testTerm);
+    return [Tags.VAR, swiLoc + 2n];
+  }
+
+  // `a && b` and `a || b`, short-circuiting, and with the operand JS would
+  // give: the left one is bound to `$logical`, shared out to the test and
+  // to the branch that returns it, as in `$logical ? $logical : b` for ||
+  compileLogical(node) {
+    if (node.operator !== '&&' && node.operator !== '||') {
+      this.fail(node, `Unsupported logical operator: ${node.operator}`);
+    }
+    const left = { type: 'Identifier', name: '$logical', loc: node.left.loc };
+    const binding = this.bind(left.name, this.compileNode(node.left), 2);
+    const result = node.operator === '&&' ?
+      this.compileConditional(left, node.right, left, [node.right, left], node) :
+      this.compileConditional(left, left, node.right, [left, node.right], node);
+    this.unbind(binding);
+    return result;
+  }
+
+  compileUnary(node) {
+    const literal = value => ({ type: 'Literal', value, raw: String(value), loc: node.loc });
+    if (node.operator === '!') {
+      return this.compileConditional(node.argument, literal(false), literal(true));
+    }
+    if (this.encoding !== 'native') {
+      this.fail(node, `Unsupported operator in church encoding: ${node.operator}`,
+        'only ! works on Church values');
+    }
+    const net = this.evaluator.net;
+    const operand = this.compileNode(node.argument);
+    if (!isNumeric(this.staticType(node.argument))) this.helper('operator');
+    // -x is 0 - x, ~x is x ^ -1 and +x is x * 1
+    switch (node.operator) {
+      case '-': {
+        const opLoc = net.createOp2('-', operand);
+        net.link([Tags.OP2, opLoc], packNum(0));
+        return [Tags.VAR, opLoc + 2n];
+      }
+      case '~': {
+        const opLoc = net.createOp2('^', packNum(-1));
+        net.link([Tags.OP2, opLoc], operand);
+        return [Tags.VAR, opLoc + 2n];
+      }
+      case '+': {
+        const opLoc = net.createOp2('*', packNum(1));
+        net.link([Tags.OP2, opLoc], operand);
+        return [Tags.VAR, opLoc + 2n];
+      }
+      default:
+        net.link([Tags.ERA, 0n], operand);
+        this.fail(node, `Unsupported operator: ${node.operator}`,
+          node.operator === 'typeof' ? "compare it: typeof x === 'number'" : undefined);
+    }
+  }
+
+  // Calls with several arguments apply them one at a time. Missing trailing
+  // arguments of a function known by name are undefined, as in JS (and
+  // so get their defaults, see moveDefaults), and extra ones are evaluated
+  // but not passed; a call without arguments passes an erased value.
   compileApplication(node) {
-    const funcLoc = this.compileNode(node.callee);
-    const argLoc = this.compileNode(node.arguments[0]);
-    return this.evaluator.net.createApp(argLoc, funcLoc);
+    for (const arg of node.arguments) {
+      if (arg.type === 'SpreadElement') {
+        this.fail(arg, 'Spread arguments are not supported');
+      }
+    }
+
+    const arity = this.parametersOf(node.callee);
+    const funcTerm = node.callee.type === 'Identifier' ?
+      this.compileVariable(node.callee, true) :
+      this.compileNode(node.callee);
+    const argTerms = node.arguments.map(arg => this.compileNode(arg));
+    if (arity === undefined) return this.applyTerms(funcTerm, argTerms);
+    while (argTerms.length < Math.max(arity, 1)) {
+      argTerms.push([Tags.NUL, 0n]);
+    }
+    for (const extra of argTerms.splice(Math.max(arity, 1))) {
+      this.evaluator.net.link([Tags.ERA, 0n], extra);
+    }
+    return this.applyTerms(funcTerm, argTerms);
+  }
+
+  // How many parameters the function called as `callee` has, if it is
+  // known by name, or undefined
+  parametersOf(callee) {
+    if (callee.type !== 'Identifier') return undefined;
+    const binding = this.scope.get(callee.name);
+    if (binding) return binding.params ? binding.params.length : undefined;
+    const book = this.evaluator.net.book;
+    const host = book.hostId(callee.name);
+    return host === undefined ? undefined : book.host(host).arity;
+  }
+
+  // Applies `funcTerm` to each of `argTerms` in turn
+  applyTerms(funcTerm, argTerms) {
+    const net = this.evaluator.net;
+    for (const argTerm of argTerms) {
+      const appLoc = net.createApp(argTerm);
+      net.link([Tags.APP, appLoc], funcTerm);
+      funcTerm = [Tags.VAR, appLoc + 2n];
+    }
+    return funcTerm;
+  }
+
+  // A use of a variable. Functions with defaults can only be `named`: called
+  // by name (or aliased), so that calls can pass undefined for the
+  // arguments left out; anywhere else they would be applied to fewer.
+  compileVariable(node, named = false) {
+    const binding = this.scope.get(node.name);
+    if (!named && binding && binding.params &&
+        binding.params.some(param => param.type === 'AssignmentPattern')) {
+      this.fail(node, `${node.name} has default parameters, so it can only be called by name`,
+        `pass a function that calls it instead, like x => ${node.name}(x)`);
+    }
+    if (binding === undefined) {
+      if (node.name === 'undefined') {
+        return [Tags.NUL, 0n];
+      }
+      const book = this.evaluator.net.book;
+      const host = book.hostId(node.name);
+      if (host !== undefined) {
+        return this.compileHost(host, book.host(host).arity, node);
+      }
+      const similar = suggest(node.name,
+        [...this.scope.keys(), ...book.hosts.map(({ name }) => name)]);
+      this.fail(node, `Undefined variable: ${node.name}`,
+        similar && `did you mean '${similar}'?`);
+    }
+    if (binding.ref !== undefined) {
+      // Definitions are referenced, not copied, so any number of uses is fine
+      return [Tags.REF, BigInt(binding.ref)];
+    }
+    if (binding.next >= binding.terms.length) {
+      throw new Error(`Internal error: ${node.name} used more often than counted`);
+    }
+    return binding.terms[binding.next++];
   }
 
-  compileVariable(node) {
-    const varId = this.scope.get(node.name);
-    if (varId === undefined) {
-      throw new Error(`Undefined variable: ${node.name}`);
+  // A host function as a curried function of the net, calling the host
+  // once all its arguments are in: `(a, b) => HOST([a, b])`. Functions of
+  // one or no parameters get their argument as it is. Outside of any
+  // function, the call runs once, in the order of `node` in the source
+  // (JS evaluates independent calls left to right), so the HOST node gets
+  // that order (see runHostCalls).
+  compileHost(id, arity, node) {
+    const net = this.evaluator.net;
+    const lams = Array.from({ length: Math.max(arity, 1) }, () => net.createLam());
+    const params = lams.map(lamLoc => [Tags.VAR, lamLoc + 1n]);
+    let argument = params[0];
+    if (arity > 1) {
+      argument = this.construct(DataTags.NIL, []);
+      for (const param of [...params].reverse()) {
+        argument = this.construct(DataTags.CONS, [param, argument]);
+      }
     }
-    return this.evaluator.net.createVar(varId);
+    const hostLoc = net.createHost(id, this.functionDepth ? 0 : node.start + 1);
+    net.link([Tags.HOST, hostLoc], argument);
+    lams.forEach((lamLoc, i) => {
+      const next = i + 1 < lams.length ? [Tags.LAM, lams[i + 1]] : [Tags.VAR, hostLoc + 2n];
+      net.set(lamLoc + 2n, next);
+    });
+    return [Tags.LAM, lams[0]];
   }
 
   // Church encoding for numbers
+  // acorn emits one Literal node type for every kind of literal
+  compileLiteral(node) {
+    if (node.value === null && !node.regex) {
+      // null and undefined are both the erased value
+      return [Tags.NUL, 0n];
+    }
+    switch (typeof node.value) {
+      case 'number':
+        return this.compileNumber(node);
+      case 'boolean':
+        return this.compileBoolean(node);
+      case 'string':
+        return this.compileString(node.value);
+      default:
+        this.fail(node, `Unsupported literal: ${node.raw}`);
+    }
+  }
+
+  // Numbers are unboxed NUM terms, or Church numerals in church mode
   compileNumber(node) {
-    return this.evaluator.createChurchNumeral(node.value);
+    if (this.encoding === 'native') {
+      return packNum(node.value);
+    }
+    if (!Number.isInteger(node.value) || node.value < 0) {
+      this.fail(node, `Church numerals must be natural numbers, got ${node.raw || node.value}`,
+        "use the native encoding for other numbers");
+    }
+    return this.evaluator.createChurchNumeral(node.value, () => this.freshLabel());
   }
 
-  // Church encoding for booleans
+  // Church encoding for booleans (native ones in native mode)
   compileBoolean(node) {
-    if (node.value) {
-      // Church true: λx.λy.x
-      const trueLoc = this.evaluator.net.createLam(0, 0);
-      const innerLam = this.evaluator.net.createLam(0, 0);
-      this.evaluator.net.move(trueLoc + 2, [Tags.VAR, innerLam]);
-      this.evaluator.net.move(innerLam + 2, [Tags.VAR, trueLoc + 1]);
-      return trueLoc;
-    } else {
-      // Church false: λx.λy.y
-      const falseLoc = this.evaluator.net.createLam(0, 0);
-      const innerLam = this.evaluator.net.createLam(0, 0);
-      this.evaluator.net.move(falseLoc + 2, [Tags.VAR, innerLam]);
-      this.evaluator.net.move(innerLam + 2, [Tags.VAR, innerLam + 1]);
-      return falseLoc;
+    if (this.encoding === 'native') {
+      return packNum(node.value);
+    }
+    return node.value ?
+      this.compileTemplate('t => f => t', {}) : // Church true: λx.λy.x
+      this.compileTemplate('t => f => f', {});  // Church false: λx.λy.y
+  }
+
+  // A string is the list of its UTF-16 code units, under the STRING tag
+  compileString(text) {
+    let list = this.construct(DataTags.NIL, []);
+    for (let i = text.length - 1; i >= 0; i--) {
+      list = this.construct(DataTags.CONS, [packNum(text.charCodeAt(i)), list]);
+    }
+    return this.construct(DataTags.STRING, [list]);
+  }
+
+  // `a${x}b` appends its parts, showing each expression as a string
+  compileTemplateLiteral(node) {
+    const parts = [];
+    node.quasis.forEach((quasi, i) => {
+      if (quasi.value.cooked) parts.push(this.compileString(quasi.value.cooked));
+      if (i < node.expressions.length) {
+        const expr = node.expressions[i];
+        parts.push(this.toStringTerm(this.compileNode(expr), this.staticType(expr)));
+      }
+    });
+    return parts.length ?
+      parts.reduce((left, right) => this.applyTerms(this.helper('append'), [left, right])) :
+      this.compileString('');
+  }
+
+  // `term` as a string, for + and template literals. Native values are
+  // told apart at run time (see helperSources.show), except for null,
+  // which is nil like undefined and only known as such here. Church
+  // numerals and booleans are functions like strings, so they are only
+  // shown as such when known to be one, and anything else is taken to be
+  // a string.
+  toStringTerm(term, type) {
+    if (type === 'string') return term;
+    if (type === 'null') {
+      this.evaluator.net.link([Tags.ERA, 0n], term);
+      return this.compileString('null');
+    }
+    if (this.encoding === 'native') return this.applyTerms(this.helper('show'), [term]);
+    if (type === 'number') return this.applyTerms(this.helper('showNumeral'), [term]);
+    if (type === 'boolean') return this.applyTerms(this.helper('showBoolean'), [term]);
+    return term;
+  }
+
+  // What an expression is known to evaluate to without running it:
+  // 'string', 'number', 'boolean', 'null', or null if that depends on the
+  // values. Declared names remember the type of their initializer.
+  staticType(node) {
+    switch (node.type) {
+      case 'Literal':
+        if (node.value === null && !node.regex) return 'null';
+        return ['string', 'number', 'boolean'].includes(typeof node.value) ? typeof node.value : null;
+      case 'TemplateLiteral':
+        return 'string';
+      case 'Identifier': {
+        const binding = this.scope.get(node.name);
+        return binding && binding.type || null;
+      }
+      case 'BinaryExpression': {
+        if (comparisons.includes(node.operator)) return 'boolean';
+        if (node.operator !== '+') return 'number';
+        const types = [this.staticType(node.left), this.staticType(node.right)];
+        if (types.includes('string')) return 'string';
+        return types.every(type => type === 'number') ? 'number' : null;
+      }
+      case 'UnaryExpression':
+        return node.operator === '!' ? 'boolean' : node.operator === 'typeof' ? null : 'number';
+      case 'ConditionalExpression': {
+        const type = this.staticType(node.consequent);
+        return type === this.staticType(node.alternate) ? type : null;
+      }
+      case 'MemberExpression':
+        return !node.computed && node.property.name === 'length' ? 'number' : null;
+      default:
+        return null;
     }
   }
 
   compileBinaryOp(node) {
-    const leftLoc = this.compileNode(node.left);
-    const rightLoc = this.compileNode(node.right);
+    const typeofSide = [node.left, node.right]
+      .find(side => side.type === 'UnaryExpression' && side.operator === 'typeof');
+    if (typeofSide) {
+      return this.compileTypeof(node, typeofSide);
+    }
+    const undefinedSide = [node.right, node.left].find(side => this.isUndefined(side));
+    if (undefinedSide && ['===', '!=='].includes(node.operator)) {
+      return this.compileDefined(node, undefinedSide === node.left ? node.right : node.left);
+    }
+    const types = [this.staticType(node.left), this.staticType(node.right)];
+    if (types.includes('string') && (this.encoding === 'church' || node.operator === '+' ||
+        (types.every(type => type === 'string') && comparisons.includes(node.operator)) ||
+        (types.some(isNumeric) && ['===', '!=='].includes(node.operator)))) {
+      return this.compileStringOp(node, types);
+    }
+
+    const leftTerm = this.compileNode(node.left);
+    const rightTerm = this.compileNode(node.right);
+
+    if (this.encoding === 'native') {
+      if (!Ops.includes(node.operator)) {
+        this.fail(node, `Unsupported operator: ${node.operator}`,
+          node.operator === '==' || node.operator === '!=' ?
+            `use ${node.operator}= instead` : undefined);
+      }
+      if (!types.every(isNumeric)) this.helper('operator');
+      // The operator node meets the left operand, then the right one
+      const net = this.evaluator.net;
+      const opLoc = net.createOp2(node.operator, rightTerm);
+      net.link([Tags.OP2, opLoc], leftTerm);
+      return [Tags.VAR, opLoc + 2n];
+    }
     
     switch(node.operator) {
       case '+':
-        return this.compileAddition(leftLoc, rightLoc);
+        return this.compileAddition(leftTerm, rightTerm);
       case '*':
-        return this.compileMultiplication(leftLoc, rightLoc);
-      // Add more operators as needed
+        return this.compileMultiplication(leftTerm, rightTerm);
       default:
-        throw new Error(`Unsupported operator: ${node.operator}`);
+        if (!churchOperators[node.operator]) {
+          this.fail(node, `Unsupported operator in church encoding: ${node.operator}`,
+            'Church numerals support + - * and comparisons');
+        }
+        return this.compileTemplate(churchOperators[node.operator], { a: leftTerm, b: rightTerm });
     }
   }
 
-  // Church numeral addition
-  compileAddition(aLoc, bLoc) {
-    // (a + b) = λf.λx.a f (b f x)
-    const outerLam = this.evaluator.net.createLam(0, 0); // λf.
-    const innerLam = this.evaluator.net.createLam(0, 0); // λx.
-    
-    const app1 = this.evaluator.net.createApp(0, 0); // a f
-    const app2 = this.evaluator.net.createApp(0, 0); // b f
-    const app3 = this.evaluator.net.createApp(0, 0); // (b f x)
-    
-    // Wire everything up
-    this.evaluator.net.move(outerLam + 2n, [Tags.VAR, innerLam]);
-    this.evaluator.net.move(innerLam + 2n, [Tags.VAR, app1]);
-    this.evaluator.net.move(app1 + 1n, [Tags.VAR, aLoc]);
-    this.evaluator.net.move(app1 + 2n, [Tags.VAR, app2]);
-    this.evaluator.net.move(app2 + 1n, [Tags.VAR, bLoc]);
-    this.evaluator.net.move(app2 + 2n, [Tags.VAR, app3]);
-    this.evaluator.net.move(app3 + 1n, [Tags.VAR, outerLam + 1n]);
-    this.evaluator.net.move(app3 + 2n, [Tags.VAR, innerLam + 1n]);
-    
-    return outerLam;
+  // `typeof x === 'number'` (or !==) is a SWI node that tells native
+  // numbers from anything else. Other types can't be told apart: strings,
+  // arrays, objects and functions are all lambdas.
+  compileTypeof(node, side) {
+    const other = side === node.left ? node.right : node.left;
+    if (!['===', '!=='].includes(node.operator) || other.type !== 'Literal' || other.value !== 'number') {
+      this.fail(node, "Unsupported typeof test: only typeof x === 'number' is supported");
+    }
+    if (this.encoding !== 'native') {
+      this.fail(node, 'typeof needs the native encoding', 'Church numerals are functions');
+    }
+    const equal = node.operator === '===';
+    return this.switchTerm(this.compileNode(side.argument),
+      this.compileBoolean({ value: equal }), this.compileBoolean({ value: !equal }), SwiKind.NUMBER);
   }
 
-  // Church numeral multiplication
-  compileMultiplication(aLoc, bLoc) {
-    // (a * b) = λf.a (b f)
-    const lamF = this.evaluator.net.createLam(0, 0); // λf.
-    const app1 = this.evaluator.net.createApp(0, 0); // a (b f)
-    const app2 = this.evaluator.net.createApp(0, 0); // b f
-    
-    this.evaluator.net.move(lamF + 2, [Tags.VAR, app1]);
-    this.evaluator.net.move(app1 + 1, [Tags.VAR, aLoc]);
-    this.evaluator.net.move(app1 + 2, [Tags.VAR, app2]);
-    this.evaluator.net.move(app2 + 1, [Tags.VAR, bLoc]);
-    this.evaluator.net.move(app2 + 2, [Tags.VAR, lamF + 1]);
-    
-    return lamF;
+  // Whether an expression is the global `undefined`
+  isUndefined(node) {
+    return node.type === 'Identifier' && node.name === 'undefined' && !this.scope.has(node.name);
+  }
+
+  // `x === undefined` (or !==) is a SWI node that tells the eraser, which
+  // undefined (and null) compile to, from anything else
+  compileDefined(node, other) {
+    const equal = node.operator === '===';
+    return this.switchTerm(this.compileNode(other),
+      this.compileBoolean({ value: !equal }), this.compileBoolean({ value: equal }), SwiKind.DEFINED);
+  }
+
+  // Operators with a string on either side: + appends, showing the other
+  // side as a string (see toStringTerm), and comparisons go by code units.
+  // Natively, only those known to be between strings get here; the rest
+  // are left to $operator (see helperSources) at run time.
+  compileStringOp(node, types) {
+    const { operator } = node;
+    if (operator !== '+' && !comparisons.includes(operator)) {
+      this.fail(node, `Unsupported operator on strings: ${operator}`,
+        operator === '==' || operator === '!=' ?
+          `use ${operator}= instead` : 'strings support + and comparisons');
+    }
+    if (operator !== '+' && types.some(type => type === 'number' || type === 'boolean')) {
+      // Strict equality between a string and anything else is known
+      if (operator === '===' || operator === '!==') {
+        return this.compileBoolean({ value: operator === '!==' });
+      }
+      this.fail(node, 'Strings can only be ordered against strings');
+    }
+    const [left, right] = [node.left, node.right].map(side => this.compileNode(side));
+    if (operator === '+') {
+      return this.applyTerms(this.helper('append'),
+        [this.toStringTerm(left, types[0]), this.toStringTerm(right, types[1])]);
+    }
+
+    // compare(a, b) is -1, 0 or 1, which the operator compares with 0
+    const net = this.evaluator.net;
+    const chars = term => this.applyTerms(this.helper('chars'), [term]);
+    const opLoc = net.createOp2(operator, packNum(0));
+    net.link([Tags.OP2, opLoc], this.applyTerms(this.helper('compare'), [chars(left), chars(right)]));
+    const result = [Tags.VAR, opLoc + 2n];
+    return this.encoding === 'church' ?
+      this.switchTerm(result, this.compileBoolean({ value: true }), this.compileBoolean({ value: false })) :
+      result;
+  }
+
+  // Church numeral addition: (a + b) = λf.λx.a f (b f x)
+  compileAddition(aTerm, bTerm) {
+    return this.compileTemplate('f => x => a(f)(b(f)(x))', { a: aTerm, b: bTerm });
+  }
+
+  // Church numeral multiplication: (a * b) = λf.a (b f)
+  compileMultiplication(aTerm, bTerm) {
+    return this.compileTemplate('f => a(b(f))', { a: aTerm, b: bTerm });
+  }
+
+  // `{ a: x, b }` is the constructor of its shape (its sorted keys) applied
+  // to the values; a repeated key keeps its last value, as in JS
+  compileObject(node) {
+    const fields = new Map();
+    for (const property of node.properties) {
+      if (property.type === 'SpreadElement') {
+        this.fail(property, 'Object spread is not supported');
+      }
+      if (property.computed) {
+        this.fail(property.key, 'Computed keys are not supported');
+      }
+      if (property.kind !== 'init') {
+        this.fail(property, 'Getters and setters are not supported');
+      }
+    }
+    for (const property of node.properties) {
+      const key = propertyKey(property);
+      const value = this.compileNode(property.value);
+      if (fields.has(key)) this.evaluator.net.link([Tags.ERA, 0n], fields.get(key));
+      fields.set(key, value);
+    }
+    const keys = [...fields.keys()].sort();
+    return this.construct(this.shapeTag(keys), keys.map(key => fields.get(key)));
+  }
+
+  // The tag of the shape with the given keys, numbering new shapes
+  shapeTag(keys) {
+    const id = JSON.stringify(keys);
+    if (!this.shapeTags.has(id)) {
+      this.shapeTags.set(id, DataTags.FIRST_SHAPE + this.shapes.length);
+      this.shapes.push(keys);
+    }
+    return this.shapeTags.get(id);
+  }
+
+  // Arrays are lists, built from the end: `[a, ...xs, b]` is
+  // cons(a, concat(xs, cons(b, nil))), holes are undefined
+  compileArray(node) {
+    let list = this.construct(DataTags.NIL, []);
+    for (const element of [...node.elements].reverse()) {
+      if (!element) {
+        list = this.construct(DataTags.CONS, [[Tags.NUL, 0n], list]);
+      } else if (element.type === 'SpreadElement') {
+        list = this.applyTerms(this.helper('concat'), [this.compileNode(element.argument), list]);
+      } else {
+        list = this.construct(DataTags.CONS, [this.compileNode(element), list]);
+      }
+    }
+    return list;
+  }
+
+  // Num-scott constructor application: `k => k(#tag)(...fields)`
+  construct(tag, fields) {
+    const net = this.evaluator.net;
+    const lamLoc = net.createLam();
+    net.set(lamLoc + 2n, this.applyTerms([Tags.VAR, lamLoc + 1n], [packNum(tag), ...fields]));
+    return [Tags.LAM, lamLoc];
   }
 
-  compileFunctionDeclaration(node) {
+  // `o.key` and `o['key']` go through the key's accessor, `a[2]` unrolls
+  // to head(tail(tail(a))) and any other index is looked up at run time
+  compileMember(node) {
+    if (node.optional) {
+      this.fail(node, 'Optional chaining is not supported');
+    }
+    const { property } = node;
+    const object = this.compileNode(node.object);
+    if (!node.computed) {
+      return this.applyTerms(this.accessor(property.name), [object]);
+    }
+    if (property.type === 'Literal' && typeof property.value === 'string') {
+      return this.applyTerms(this.accessor(property.value), [object]);
+    }
+    if (property.type === 'Literal' && Number.isInteger(property.value) && property.value >= 0) {
+      return this.nth(object, property.value);
+    }
+    return this.applyTerms(this.helper('at'), [object, this.compileNode(property)]);
+  }
+
+  // Element `index` of a list
+  nth(list, index) {
+    return this.applyTerms(this.helper('head'), [this.drop(list, index)]);
+  }
+
+  // A list without its first `count` elements
+  drop(list, count) {
+    for (let i = 0; i < count; i++) {
+      list = this.applyTerms(this.helper('tail'), [list]);
+    }
+    return list;
+  }
+
+  // Binds the function's name for the `rest` of the enclosing statements
+  // (and for later inputs too, if `persistent`)
+  compileFunctionDeclaration(node, rest = [], persistent = false) {
     const funcName = node.id.name;
-    const paramName = node.params[0]?.name;
-    
-    // Create variable ID for the function
-    const funcId = this.nextVarId++;
-    this.scope.set(funcName, funcId);
-    
-    // Compile as lambda
-    const paramId = this.nextVarId++;
-    this.scope.set(paramName, paramId);
-    
-    const bodyLoc = this.compileNode(node.body.body[0].argument);
-    const lamLoc = this.evaluator.net.createLam(paramId, bodyLoc);
-    
-    this.scope.delete(paramName);
-    return lamLoc;
+    const term = this.compileFunction(node.params, node.body);
+    return this.bind(funcName, term, this.countUses(funcName, rest), {
+      params: node.params,
+      persistent
+    });
   }
 
-  compileVariableDeclaration(node) {
-    const declaration = node.declarations[0];
-    const varName = declaration.id.name;
-    const varId = this.nextVarId++;
-    
-    // Compile initializer
-    const initLoc = this.compileNode(declaration.init);
-    
-    // Store in scope
-    this.scope.set(varName, varId);
-    
-    // Create binding
-    const bindingLoc = this.evaluator.net.createLam(varId, initLoc);
-    return bindingLoc;
-  }
-
-  compileIf(node) {
-    // Compile condition, then, and else expressions
-    const condLoc = this.compileNode(node.test);
-    const thenLoc = this.compileNode(node.consequent);
-    const elseLoc = node.alternate ? 
-      this.compileNode(node.alternate) :
-      this.compileBoolean({ value: false }); // Default else
-    
-    // Create if-then-else using Church encoding
-    // (if c t e) = c t e
-    const app1 = this.evaluator.net.createApp(elseLoc, condLoc);
-    const app2 = this.evaluator.net.createApp(thenLoc, app1);
-    
-    return app2;
+  // Binds each declared name for the declarations after it and the `rest`
+  // of the enclosing statements (and for later inputs too, if `persistent`)
+  compileVariableDeclaration(node, rest = [], persistent = false) {
+    return node.declarations.flatMap((declaration, i) => {
+      this.checkPattern(declaration.id);
+      if (!declaration.init) {
+        this.fail(declaration, `Declaration of ${declaration.id.name} needs an initializer`);
+      }
+
+      // Compile initializer
+      const init = declaration.init;
+      const type = this.staticType(init);
+      const alias = declaration.id.type === 'Identifier' && init.type === 'Identifier' &&
+        this.scope.get(init.name);
+      const term = alias ? this.compileVariable(init, true) : this.compileNode(init);
+      const scope = node.declarations.slice(i + 1).concat(rest);
+      if (declaration.id.type !== 'Identifier') {
+        return this.bindPattern(declaration.id, term, scope, { persistent });
+      }
+
+      // Store in scope, remembering parameters for missing arguments
+      const params = init.type === 'ArrowFunctionExpression' ||
+        init.type === 'FunctionExpression' ? init.params : alias ? alias.params : undefined;
+      return this.bind(declaration.id.name, term, this.countUses(declaration.id.name, scope), {
+        params,
+        type,
+        persistent
+      });
+    });
+  }
+
+  // Registers `fn` as a host function of `arity` arguments, callable by
+  // `name` from code compiled from now on (see compileHost)
+  defineHost(name, fn, { arity = 1 } = {}) {
+    return this.evaluator.net.book.defineHost(name, fn, arity);
+  }
+
+  // A snapshot of the net (see Net.snapshot), along with what decoding its
+  // values and compiling against its book takes: the object shapes and the
+  // helper and accessor definitions. Bindings kept for later inputs (see
+  // compileInput) are not saved.
+  snapshot() {
+    return this.evaluator.net.snapshot({
+      encoding: this.encoding,
+      shapes: this.shapes,
+      helpers: [...this.helpers],
+      accessors: [...this.accessors]
+    });
+  }
+
+  // Carries on from a snapshot() of any compiler, on this one's backend.
+  // Host functions must be defined again.
+  restore(snapshot) {
+    const meta = this.evaluator.restore(snapshot);
+    if (!meta || !Array.isArray(meta.shapes)) {
+      throw new Error('Not a compiler snapshot');
+    }
+    this.encoding = meta.encoding;
+    this.scope = new Map();
+    this.shapes = [];
+    this.shapeTags = new Map();
+    meta.shapes.forEach(keys => this.shapeTag(keys));
+    this.helpers = new Map(meta.helpers);
+    this.accessors = new Map(meta.accessors);
+    // Its shared definitions were in the old book
+    this.optimizer = new Optimizer();
+  }
+
+  // Reduces the net. Host calls park until reduction stops; they are then
+  // run here, their results compiled back into the net, and reduction
+  // resumes, until no calls are left. The limits (see
+  // ParallelEvaluator.evaluate) cover all of it together, and so do the
+  // statistics.
+  async evaluate(limits = {}) {
+    const { maxInteractions = 0, timeoutMs = 0, signal = null } = limits;
+    const net = this.evaluator.net;
+    const deadline = timeoutMs > 0 ? Date.now() + timeoutMs : 0;
+    const since = net.stats.read();
+    let peakNodes = 0;
+    const total = round => {
+      peakNodes = Math.max(peakNodes, round.peakNodes);
+      return { ...net.getStatistics(since), peakNodes };
+    };
+    let interactions = 0;
+    for (;;) {
+      let statistics;
+      try {
+        statistics = await this.evaluator.evaluate({
+          ...limits,
+          maxInteractions: maxInteractions && maxInteractions - interactions,
+          timeoutMs: deadline && deadline - Date.now()
+        });
+      } catch (error) {
+        // Report the limits as given, not what was left of them
+        if (!(error instanceof ResourceLimitError)) throw error;
+        throw new ResourceLimitError(error.limit, limits, total(error.statistics));
+      }
+      if (!net.hostCalls.length) return total(statistics);
+      peakNodes = Math.max(peakNodes, statistics.peakNodes);
+      interactions += net.queue.steps;
+      await this.runHostCalls();
+
+      // Zero would lift the limits, so stop here if they are used up
+      const limit =
+        signal && signal.aborted ? 'signal' :
+        deadline && Date.now() >= deadline ? 'timeoutMs' :
+        maxInteractions && interactions >= maxInteractions ? 'maxInteractions' :
+        null;
+      if (limit && net.queue.pending) {
+        throw new ResourceLimitError(limit, limits, total(net.getStatistics()));
+      }
+    }
+  }
+
+  // Calls the host functions of the parked calls on their decoded
+  // arguments, in the order JS would: the order a walk of the result from
+  // the root meets them in, operands and arguments left to right (see
+  // Readback). Calls whose results were dropped, like those of earlier
+  // statements or of an input with no result, come first, in the order
+  // they were compiled. Calls made outside of any function, whose results
+  // a walk meets where they are used rather than where they were made,
+  // then trade places among themselves to run in program order (see
+  // compileHost). A call whose argument holds the result of another parked
+  // call, like log([log(1)]), waits for a later round, and so do the calls
+  // after it other than those inner ones, so that inner calls are made
+  // first and the rest keep their order.
+  async runHostCalls() {
+    const net = this.evaluator.net;
+    const reached = [];
+    const walk = new Readback(net, { hosts: reached, expand: false });
+    // Indexed once for every readback here: making a call only moves wires
+    // of its own, which none of the others reach
+    const { holders } = walk;
+    const root = net.get(ROOT);
+    if (root[0] !== Tags.SUB) walk.readPos(root);
+    const walkIndex = new Map(reached.map((loc, index) => [loc, index]));
+    const position = ([[, hostLoc]]) => walkIndex.has(hostLoc) ?
+      walkIndex.get(hostLoc) :
+      Number(hostLoc) - Number(net.nextLoc);
+    const programOrder = ([[, hostLoc]]) => net.hostOrder(hostLoc);
+    const walked = net.hostCalls.sort((a, b) => position(a) - position(b));
+    const ordered = walked.filter(programOrder).sort((a, b) => programOrder(a) - programOrder(b));
+    const calls = walked.map(call => programOrder(call) ? ordered.shift() : call);
+
+    // The parked calls each argument reaches, through other calls' too
+    const parked = new Set(calls.map(([[, hostLoc]]) => hostLoc));
+    const inner = new Set();
+    let waiting = false;
+    net.hostCalls = calls.filter(([[, hostLoc], argument]) => {
+      const hosts = [];
+      new Readback(net, { hosts, expand: false, holders }).readPos(argument);
+      const nested = hosts.filter(loc => parked.has(loc));
+      nested.forEach(loc => inner.add(loc));
+      const wait = nested.length > 0 || waiting && !inner.has(hostLoc);
+      waiting = waiting || nested.length > 0;
+      return wait;
+    });
+    const held = new Set(net.hostCalls);
+    for (const call of calls.filter(call => !held.has(call))) {
+      const [[, hostLoc], argument] = call;
+      const { fn, arity } = net.book.host(net.hostOf(hostLoc));
+      const { value } = decode(new Readback(net, { holders }).readPos(argument), this.shapes);
+      const result = await (arity > 1 ? fn(...value) : fn(value));
+      net.completeHostCall(call, this.compileValue(result));
+    }
+    // Results may have brought new shapes
+    this.defineAccessors();
+  }
+
+  // A JS value as a term, encoded as the literal for it would be
+  compileValue(value) {
+    switch (typeof value) {
+      case 'undefined':
+        return [Tags.NUL, 0n];
+      case 'number':
+        return this.compileNumber({ value });
+      case 'boolean':
+        return this.compileBoolean({ value });
+      case 'string':
+        return this.compileString(value);
+      case 'object':
+        if (value === null) return [Tags.NUL, 0n];
+        if (Array.isArray(value)) {
+          return value.reduceRight((list, element) =>
+            this.construct(DataTags.CONS, [this.compileValue(element), list]),
+          this.construct(DataTags.NIL, []));
+        } else {
+          const keys = Object.keys(value).sort();
+          return this.construct(this.shapeTag(keys), keys.map(key => this.compileValue(value[key])));
+        }
+      default:
+        throw new TypeError(`Host functions can't return ${typeof value} values`);
+    }
   }
 }
 
-// InteractionScript runtime
+// InteractionScript runtime. Options: `encoding` ('native' or 'church'),
+// `backend` ('workers' reduces on a pool of `workers` threads, 'sync' on the
+// calling thread; both give the same results and interaction counts,
+// though workers reducing side by side keep more nodes live), `debug`
+// (validate the net after compiling and reducing, and with the sync backend
+// after every interaction, throwing an InvalidNetError on the first problem),
+// `queueCapacity` (redexes each worker's deque holds before it has to grow,
+// which a parallel run can't do; see queue.js) and `heapSize`/`maxHeapSize`
+// (bytes of heap to start with and to grow up to; see heap.js)
 class InteractionScript {
-  constructor() {
-    this.compiler = new Compiler();
+  constructor(options = {}) {
+    this.compiler = new Compiler(options);
+  }
+
+  // Stops the worker pool, if any; evaluating again restarts it
+  close() {
+    this.compiler.evaluator.close();
   }
 
-  // Evaluate source code
-  async evaluate(sourceCode) {
+  // Evaluate source code. `options` may limit the evaluation with
+  // `maxInteractions`, `maxNodes`, `timeoutMs` and an AbortSignal `signal`;
+  // past any of them it rejects with a ResourceLimitError carrying the
+  // statistics so far. `optimize` turns the optimizer (see optimizer.js) on
+  // or off for this run only.
+  async evaluate(sourceCode, { optimize, ...limits } = {}) {
     // Compile the source code to interaction combinators
-    const rootLoc = this.compiler.compile(sourceCode);
+    const rootLoc = this.compiler.compile(sourceCode, { optimize });
     
     // Evaluate the network
-    const stats = await this.compiler.evaluator.evaluate();
+    const stats = await this.compiler.evaluate(limits);
     
     // Convert result back to JavaScript value
     return this.extractResult(rootLoc, stats);
   }
 
-  // Extract JavaScript values from Church encodings
-  extractResult(loc, stats) {
-    const net = this.compiler.evaluator.net;
-    const [tag, target] = net.get(loc);
-    
-    // Try to detect if it's a Church numeral
-    if (this.isChurchNumeral(loc)) {
-      return this.churchToNumber(loc);
-    }
-    
-    // Try to detect if it's a Church boolean
-    if (this.isChurchBoolean(loc)) {
-      return this.churchToBoolean(loc);
-    }
-    
-    return {
-      value: 'function',
-      statistics: stats
-    };
+  // Saves the net as it stands, say after evaluate() rejected with a
+  // ResourceLimitError, as a Buffer (see Compiler.snapshot)
+  snapshot() {
+    return this.compiler.snapshot();
   }
 
-  // Convert Church numeral back to JavaScript number
-  churchToNumber(loc) {
-    // Apply the Church numeral to a counter function
-    let count = 0;
-    const countFunc = () => { count++; };
-    this.applyChurchNumeral(loc, countFunc);
-    return count;
+  // Continues reducing whatever the last evaluation, or the snapshot this
+  // runtime was restored from, left pending; takes the same options as
+  // evaluate()
+  async resume(options = {}) {
+    const stats = await this.compiler.evaluate(options);
+    return this.extractResult(ROOT, stats);
   }
 
-  // Detect if a location contains a Church numeral
-  isChurchNumeral(loc) {
-    const net = this.compiler.evaluator.net;
-    const [tag, target] = net.get(loc);
-    return tag === Tags.LAM && this.hasChurchNumeralShape(loc);
+  // A runtime carrying on from a snapshot(); `options` are as for the
+  // constructor
+  static restore(snapshot, options = {}) {
+    const script = new InteractionScript(options);
+    script.compiler.restore(snapshot);
+    return script;
   }
 
-  // Helper to check Church numeral shape
-  hasChurchNumeralShape(loc) {
-    // Implementation to detect λf.λx.f^n x pattern
-    // This is a simplified check - you'd want more thorough validation
+  // Makes `fn` callable as `name(...)` from scripts evaluated afterwards.
+  // It runs on this thread, gets its arguments as decoded values (like
+  // result values) and may return a value of the same kinds, or a promise.
+  // `options.arity` is how many arguments it takes: 1 by default, passed
+  // as it is; more are passed one by one, as in fn(a, b). Calls run in the
+  // order JS would make them (see Compiler.runHostCalls).
+  defineHost(name, fn, options) {
+    this.compiler.defineHost(name, fn, options);
+    return this;
+  }
+
+  // Read the normalized net back and decode it into a typed JS-level result,
+  // e.g. { kind: 'number', value: 12 } or { kind: 'function', value: 'a => a' }
+  extractResult(loc, stats) {
     const net = this.compiler.evaluator.net;
-    return true; // Simplified for brevity
+    const term = readback(net, loc);
+    return {
+      ...decode(term, this.compiler.shapes),
+      term,
+      statistics: stats,
+      optimization: this.compiler.optimization,
+      warnings: this.compiler.warnings
+    };
   }
 
   // Test program
@@ -312,4 +1994,4 @@ class InteractionScript {
   }
 }
 
-module.exports = { InteractionScript, Compiler };
+module.exports = { InteractionScript, Compiler, CompileError };
@@ -0,0 +1,572 @@
+const { Tags, ROOT } = require('./evaluator.js');
+const { NODE_SIZE } = require('./heap.js');
+const { NegativePorts } = require('./validate.js');
+
+// Compile-time optimizer: rewrites a freshly compiled net (the main one,
+// or a definition's before it goes into the book) into a smaller one that
+// reduces to the same result. Rounds of these run until none applies:
+//
+//   - pre-reduction: the queued redexes whose rules never grow the net
+//     (beta reduction, erasure, annihilation, copying numbers and
+//     references, arithmetic on known numbers) are reduced right away, by
+//     the net's own rules. Interaction nets are confluent, so the order
+//     doesn't matter; DUP-LAM, commutations, switches and host calls are
+//     left to run time.
+//   - inlining: a call of a small definition that can't reach itself
+//     through references is expanded, as APP-REF would at run time, so
+//     that its body reduces along with the rest. An inline that leaves
+//     more nodes than it started with is undone, so the net never grows.
+//   - eta reduction: x => f(x), where f is a definition (and so a
+//     function), becomes f.
+//   - dead bindings: an application, operator, switch or copy whose result
+//     is erased is removed, and its inputs erased instead. Host calls are
+//     kept, and so is anything whose inputs might lead to one, so effects
+//     still happen; code that would fail or loop but whose result is
+//     unused no longer runs.
+//   - sharing: closed functions that occur more than once become one book
+//     definition ($shared$N), referred to where each occurrence was. Only
+//     what is used gets expanded, copying one is free, and readback reads
+//     through them (see Readback.readDefinition).
+//
+// One Optimizer serves a compiler for its book's lifetime, since shared
+// definitions are reused from one net to the next.
+
+// Rules that consume at least as much as they build
+const SafeRules = new Set([
+  'APP-LAM', 'APP-NUL', 'DUP-NUL', 'DUP-NUM', 'DUP-REF', 'ERA-LAM', 'ERA-SUP',
+  'ERA-NUL', 'ERA-NUM', 'ERA-REF', 'OP2-NUM', 'OP1-NUM', 'OP2-NUL', 'OP1-NUL'
+]);
+
+// Nodes whose only output is port 2, and which only compute it
+const Consumers = new Set([Tags.APP, Tags.OP2, Tags.OP1, Tags.SWI]);
+
+const INLINE_NODES = 32;    // largest definition worth copying in
+const MAX_INLINES = 256;    // per net, so chains of small calls stay bounded
+const MAX_SHARED_NODES = 4096;
+const MAX_ROUNDS = 64;
+
+const SHARED_PREFIX = '$shared$';
+
+const size = BigInt(NODE_SIZE);
+const ownerOf = slot => slot - slot % size;
+const ERA = [Tags.ERA, 0n];
+const isEra = ([tag]) => tag === Tags.ERA;
+
+// Whether a book definition is one of the optimizer's shared values
+const isSharedName = name => name.startsWith(SHARED_PREFIX);
+
+class Optimizer {
+  constructor() {
+    // Shared definitions by the canonical form of their net
+    this.shared = new Map();
+    this.report = Optimizer.emptyReport();
+  }
+
+  // What the optimizer did, summed over the nets it ran on: live nodes
+  // before and after, and what each rewrite accounted for
+  static emptyReport() {
+    return {
+      before: 0,
+      after: 0,
+      eliminated: 0,
+      reductions: 0,
+      inlined: 0,
+      etaReduced: 0,
+      deadRemoved: 0,
+      shared: 0
+    };
+  }
+
+  // Starts a new report
+  reset() {
+    this.report = Optimizer.emptyReport();
+  }
+
+  // Optimizes a net nothing is reducing, whose root port holds its value,
+  // adding to the report. Leaves the statistics as they were, as none of
+  // this is reduction.
+  run(net) {
+    const counters = net.stats.read();
+    try {
+      new NetOptimizer(this, net).run();
+    } finally {
+      net.stats.reset(counters);
+    }
+    this.report.eliminated = this.report.before - this.report.after;
+    return this.report;
+  }
+}
+
+// One run over one net. Redexes are taken out of the queue while it runs
+// and put back at the end; places (where a term is held) are port slots or
+// { redex, side } for a side of one of them.
+class NetOptimizer {
+  constructor(optimizer, net) {
+    this.optimizer = optimizer;
+    this.report = optimizer.report;
+    this.net = net;
+    this.redexes = [];
+    this.inlines = 0;
+    this.inlinable = new Map();
+    this.callingHost = new Map();
+    // Calls whose inlining made the net bigger
+    this.rejected = new Set();
+  }
+
+  run() {
+    this.collect();
+    this.report.before += this.index().nodes.size;
+    for (let round = 0; round < MAX_ROUNDS; round++) {
+      this.reduce();
+      const index = this.resolve(this.index());
+      if (!this.etaReduce(index) && !this.removeDead(index) && !this.share(index)) break;
+    }
+    this.reduce();
+    this.report.after += this.resolve(this.index()).nodes.size;
+    for (const [neg, pos] of this.redexes) this.net.pushRedex(neg, pos);
+  }
+
+  // Moves the queued redexes over to this.redexes
+  collect() {
+    const net = this.net;
+    const queued = net.queue.list();
+    if (!queued.length) return;
+    net.queue.clear();
+    for (const [neg, pos] of queued) this.redexes.push([net.unpackTerm(neg), net.unpackTerm(pos)]);
+  }
+
+  read(place) {
+    return typeof place === 'bigint' ? this.net.get(place) : place.redex[place.side];
+  }
+
+  write(place, term) {
+    if (typeof place === 'bigint') this.net.set(place, term);
+    else place.redex[place.side] = term;
+  }
+
+  dropRedex(redex) {
+    this.redexes.splice(this.redexes.indexOf(redex), 1);
+  }
+
+  // Pre-reduction and inlining, until only redexes for run time are left.
+  // Each inline is a trial: if the net has more nodes once the safe
+  // redexes it leads to are reduced, it is undone and that call left to
+  // run time.
+  reduce() {
+    for (;;) {
+      this.reduceSafe();
+      const call = this.redexes.find(redex => this.isInlinable(redex));
+      if (!call) return;
+      this.inline(call);
+    }
+  }
+
+  reduceSafe() {
+    const kept = [];
+    for (let redex; (redex = this.redexes.pop());) {
+      if (this.isSafe(...redex)) {
+        this.net.interact(...redex);
+        this.report.reductions++;
+        this.collect();
+      } else {
+        kept.push(redex);
+      }
+    }
+    this.redexes = kept;
+  }
+
+  isSafe(neg, pos) {
+    const net = this.net;
+    const rule = net.ruleName(neg, pos);
+    if (rule === 'DUP-SUP') return net.labelOf(neg[1]) === net.labelOf(pos[1]);
+    return SafeRules.has(rule);
+  }
+
+  isInlinable(redex) {
+    const [neg, pos] = redex;
+    return neg[0] === Tags.APP && pos[0] === Tags.REF && this.inlines < MAX_INLINES &&
+      !this.rejected.has(redex) && this.canInline(Number(pos[1]));
+  }
+
+  // Expands the definition an APP-REF redex calls, keeping the result only
+  // if it leaves the net no bigger. The redexes' terms are saved along
+  // with the heap, as resolve() writes into them.
+  inline(call) {
+    const net = this.net;
+    const nodes = this.resolve(this.index()).nodes.size;
+    const saved = {
+      heap: net.checkpoint(),
+      redexes: this.redexes.map(redex => [redex, ...redex]),
+      reductions: this.report.reductions
+    };
+    this.dropRedex(call);
+    net.callref(call[0], call[1][1]);
+    this.collect();
+    this.reduceSafe();
+    if (this.resolve(this.index()).nodes.size > nodes) {
+      net.rollback(saved.heap);
+      this.redexes = saved.redexes.map(([redex, neg, pos]) => Object.assign(redex, [neg, pos]));
+      this.report.reductions = saved.reductions;
+      this.rejected.add(call);
+    } else {
+      this.inlines++;
+      this.report.inlined++;
+    }
+  }
+
+  // Whether definition `id` is defined, small, and can't reach itself (or
+  // anything not defined yet, which might) through references
+  canInline(id) {
+    const book = this.net.book;
+    if (!this.inlinable.has(id)) {
+      const reaches = (from, seen) => {
+        if (!book.isDefined(from)) return true;
+        const { nodes, root, redexes } = book.read(from);
+        for (const word of [...nodes, root, ...redexes.flat()]) {
+          const [tag, target] = this.net.unpackTerm(word);
+          if (tag !== Tags.REF) continue;
+          const next = Number(target);
+          if (next === id || (!seen.has(next) && (seen.add(next), reaches(next, seen)))) return true;
+        }
+        return false;
+      };
+      this.inlinable.set(id, book.isDefined(id) &&
+        book.read(id).nodes.length <= INLINE_NODES * NODE_SIZE && !reaches(id, new Set()));
+    }
+    return this.inlinable.get(id);
+  }
+
+  // Whether definition `id` calls a host function, itself or through the
+  // definitions it refers to (or might: one not defined yet counts)
+  callsHost(id) {
+    const book = this.net.book;
+    if (!this.callingHost.has(id)) {
+      const calls = (from, seen) => {
+        if (!book.isDefined(from)) return true;
+        const { nodes, root, redexes } = book.read(from);
+        return [...nodes, root, ...redexes.flat()].some(word => {
+          const [tag, target] = this.net.unpackTerm(word);
+          const next = Number(target);
+          return tag === Tags.HOST ||
+            tag === Tags.REF && !seen.has(next) && (seen.add(next), calls(next, seen));
+        });
+      };
+      this.callingHost.set(id, calls(id, new Set([id])));
+    }
+    return this.callingHost.get(id);
+  }
+
+  // Whether removing the consumer at `loc`, held at `place`, might skip a
+  // host call: whether the nodes wired to its inputs (but not through it)
+  // take in a HOST node, a definition that calls a host, or a value from
+  // outside them that might be a function that does, like a parameter or a
+  // host call's result
+  mayCallHost(loc, place, index) {
+    const net = this.net;
+    if (!net.book.hosts.length) return false;
+    // The term flowing into a node's principal port from where it is held
+    const source = held => typeof held === 'bigint' ? [Tags.VAR, held] : held.redex[1];
+    const seen = new Set([loc]);
+    const terms = [net.get(loc + 1n), source(place)];
+    while (terms.length) {
+      const [tag, target] = terms.pop();
+      if (tag === Tags.HOST) return true;
+      if (tag === Tags.REF && this.callsHost(Number(target))) return true;
+      let node = target;
+      if (tag === Tags.VAR) {
+        node = ownerOf(target);
+        const [ownerTag] = net.get(node);
+        if (ownerTag === Tags.HOST || ownerTag === Tags.LAM && target === node + 1n && !seen.has(node)) {
+          return true;
+        }
+      } else if (!NegativePorts.has(tag)) {
+        continue;
+      }
+      if (node === 0n || seen.has(node)) continue;
+      seen.add(node);
+      terms.push(net.get(node + 1n), net.get(node + 2n));
+      if (index.holders.has(node)) terms.push(source(index.holders.get(node)));
+    }
+    return false;
+  }
+
+  // Walks the net from the root and the redexes, recording the live
+  // nodes, the interacted ones still holding substitutions, where each
+  // node's principal port is held and where the VAR to each port is
+  index() {
+    const net = this.net;
+    const nodes = new Set();
+    const dead = new Set();
+    const holders = new Map();
+    const readers = new Map();
+    const pending = [];
+    const visit = loc => {
+      if (loc === 0n || nodes.has(loc) || dead.has(loc)) return;
+      (NegativePorts.has(net.get(loc)[0]) ? nodes : dead).add(loc);
+      pending.push(loc);
+    };
+    const follow = (place, [tag, target]) => {
+      if (tag === Tags.VAR && target !== 0n) {
+        readers.set(target, place);
+        visit(ownerOf(target));
+      } else if (NegativePorts.has(tag)) {
+        holders.set(target, place);
+        visit(target);
+      }
+    };
+
+    follow(ROOT, net.get(ROOT));
+    for (const redex of this.redexes) {
+      follow({ redex, side: 0 }, redex[0]);
+      follow({ redex, side: 1 }, redex[1]);
+    }
+    while (pending.length) {
+      const loc = pending.pop();
+      for (let slot = loc + 1n; slot < loc + size; slot++) follow(slot, net.get(slot));
+    }
+    return { nodes, dead, holders, readers };
+  }
+
+  // Hands each substitution left by pre-reduction straight to the place
+  // reading it, which frees the interacted nodes
+  resolve(index) {
+    const net = this.net;
+    for (const loc of index.dead) {
+      for (let slot = loc + 1n; slot < loc + size; slot++) {
+        const place = index.readers.get(slot);
+        if (place === undefined) continue;
+        const term = net.claim(slot);
+        this.write(place, term);
+        index.readers.delete(slot);
+        if (term[0] === Tags.VAR) index.readers.set(term[1], place);
+        else if (NegativePorts.has(term[0])) index.holders.set(term[1], place);
+      }
+    }
+    index.dead.clear();
+    return index;
+  }
+
+  // Takes a node off whatever holds its principal port: a redex, or a port
+  // it waits at. Returns the positive term it was connected to.
+  detach(place) {
+    if (typeof place === 'bigint') {
+      this.net.set(place, [Tags.SUB, 0n]);
+      return [Tags.VAR, place];
+    }
+    this.dropRedex(place.redex);
+    return place.redex[1];
+  }
+
+  // Consumes a node and empties its ports
+  discard(loc) {
+    this.net.consume(loc);
+    this.net.claim(loc + 1n);
+    this.net.claim(loc + 2n);
+  }
+
+  // λx.f(x) → f, for a REF f: the lambda's body is the result of an APP
+  // of f whose argument is x, and x is used nowhere else
+  etaReduce(index) {
+    const net = this.net;
+    const touched = new Set();
+    let changed = false;
+    for (const lamLoc of index.nodes) {
+      if (net.get(lamLoc)[0] !== Tags.LAM) continue;
+      const [bodyTag, bodyTarget] = net.get(lamLoc + 2n);
+      if (bodyTag !== Tags.VAR || bodyTarget % size !== 2n) continue;
+      const appLoc = ownerOf(bodyTarget);
+      const call = index.holders.get(appLoc);
+      const place = index.holders.get(lamLoc);
+      if (!call || typeof call === 'bigint' || call.redex[1][0] !== Tags.REF || place === undefined) continue;
+      const [argTag, argTarget] = net.get(appLoc + 1n);
+      if (argTag !== Tags.VAR || argTarget !== lamLoc + 1n) continue;
+      const involved = [lamLoc, appLoc, typeof place === 'bigint' ? ownerOf(place) : null];
+      if (involved.some(loc => touched.has(loc))) continue;
+
+      this.dropRedex(call.redex);
+      this.discard(appLoc);
+      this.discard(lamLoc);
+      this.write(place, call.redex[1]);
+      involved.forEach(loc => touched.add(loc));
+      this.report.etaReduced++;
+      changed = true;
+    }
+    return changed;
+  }
+
+  // Removes nodes whose results are erased, erasing their inputs instead;
+  // a DUP with one copy erased hands its input to the other
+  removeDead(index) {
+    const net = this.net;
+    const touched = new Set();
+    let changed = false;
+    for (const loc of index.nodes) {
+      const [tag] = net.get(loc);
+      const place = index.holders.get(loc);
+      if (place === undefined || touched.has(loc)) continue;
+      let outputs;
+      if (tag === Tags.DUP) {
+        outputs = [net.get(loc + 1n), net.get(loc + 2n)];
+        if (!outputs.some(isEra)) continue;
+      } else if (!Consumers.has(tag) || !isEra(net.get(loc + 2n)) || this.mayCallHost(loc, place, index)) {
+        continue;
+      }
+
+      // Every node whose ports or holder this rewrite may change
+      const involved = [loc, typeof place === 'bigint' ? ownerOf(place) : null];
+      if (typeof place !== 'bigint') involved.push(place.redex[1][1]);
+      for (let slot = loc + 1n; slot < loc + size; slot++) {
+        const [portTag, target] = net.get(slot);
+        if (portTag === Tags.VAR) involved.push(ownerOf(target));
+        else if (NegativePorts.has(portTag)) involved.push(target);
+        else if (portTag === Tags.SUB && index.readers.has(slot)) {
+          const reader = index.readers.get(slot);
+          involved.push(typeof reader === 'bigint' ? ownerOf(reader) : null);
+        }
+      }
+      if (involved.some(node => touched.has(node))) continue;
+
+      const input = this.detach(place);
+      net.consume(loc);
+      if (tag !== Tags.DUP) {
+        const operand = net.claim(loc + 1n);
+        net.claim(loc + 2n);
+        net.link(ERA, operand);
+        net.link(ERA, input);
+      } else if (outputs.every(isEra)) {
+        net.claim(loc + 1n);
+        net.claim(loc + 2n);
+        net.link(ERA, input);
+      } else {
+        const kept = isEra(outputs[0]) ? loc + 2n : loc + 1n;
+        net.claim(isEra(outputs[0]) ? loc + 1n : loc + 2n);
+        net.move(kept, input);
+      }
+      this.collect();
+      involved.forEach(node => touched.add(node));
+      this.report.deadRemoved++;
+      changed = true;
+    }
+    return changed;
+  }
+
+  // Replaces closed functions that occur more than once, or that an
+  // earlier net shared already, with references to one definition.
+  // Lambdas that are another lambda's body are part of a curried function
+  // rather than values of their own, so only the outermost one counts.
+  share(index) {
+    const net = this.net;
+    const groups = new Map();
+    for (const loc of index.nodes) {
+      const place = index.holders.get(loc);
+      if (net.get(loc)[0] !== Tags.LAM || place === undefined) continue;
+      if (typeof place === 'bigint' && place !== ROOT && place % size === 2n &&
+          net.get(ownerOf(place))[0] === Tags.LAM) continue;
+      const subnet = this.closedSubnet(loc, place, index);
+      if (!subnet || subnet.locs.length < 2) continue;
+      if (!groups.has(subnet.key)) groups.set(subnet.key, []);
+      groups.get(subnet.key).push({ place, ...subnet });
+    }
+
+    // Largest first: an occurrence inside a shared one goes with it
+    const freed = new Set();
+    let changed = false;
+    const sorted = [...groups].sort(([, a], [, b]) => b[0].locs.length - a[0].locs.length);
+    for (const [key, occurrences] of sorted) {
+      const live = occurrences.filter(({ place, locs }) =>
+        !locs.some(loc => freed.has(loc)) &&
+        !(typeof place === 'bigint' && freed.has(ownerOf(place))));
+      let id = this.optimizer.shared.get(key);
+      if (id === undefined) {
+        if (live.length < 2) continue;
+        const book = net.book;
+        id = book.declare(`${SHARED_PREFIX}${this.optimizer.shared.size}`);
+        book.define(id, live[0].template);
+        this.optimizer.shared.set(key, id);
+      }
+      for (const { place, locs } of live) {
+        this.write(place, [Tags.REF, BigInt(id)]);
+        locs.forEach(loc => {
+          this.discard(loc);
+          freed.add(loc);
+        });
+        this.report.shared++;
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  // The nodes behind the function at `root`, if nothing else in the net
+  // is wired to them: { locs, key, template }, where `key` is a canonical
+  // form of the subnet (nodes numbered and labels renamed in the order
+  // they are met) and `template` is it as a book definition
+  closedSubnet(root, rootPlace, index) {
+    const net = this.net;
+    const number = new Map([[root, 0]]);
+    const locs = [root];
+    const add = loc => {
+      if (loc === null || number.has(loc)) return;
+      number.set(loc, locs.length);
+      locs.push(loc);
+    };
+    const inside = place => typeof place === 'bigint' && place !== ROOT ? ownerOf(place) : null;
+
+    for (let i = 0; i < locs.length; i++) {
+      const loc = locs[i];
+      const [tag] = net.get(loc);
+      if (locs.length > MAX_SHARED_NODES || !index.nodes.has(loc) || tag === Tags.HOST) return null;
+      if (loc !== root) {
+        const holder = inside(index.holders.get(loc));
+        if (holder === null) return null;
+        add(holder);
+      }
+      const negative = NegativePorts.get(tag);
+      for (let port = 1n; port < size; port++) {
+        const [portTag, target] = net.get(loc + port);
+        if (negative[port - 1n]) {
+          if (portTag === Tags.SUB) {
+            const reader = inside(index.readers.get(loc + port));
+            if (reader === null) return null;
+            add(reader);
+          } else if (NegativePorts.has(portTag)) {
+            add(target);
+          } else if (portTag !== Tags.ERA) {
+            return null;
+          }
+        } else if (portTag === Tags.VAR) {
+          add(ownerOf(target));
+        } else if (NegativePorts.has(portTag)) {
+          add(target);
+        }
+      }
+    }
+    if (inside(rootPlace) !== null && number.has(ownerOf(rootPlace))) return null;
+
+    // Relocated to template locations, as Net.template() would
+    const labels = new Map();
+    const relocate = slot => BigInt(number.get(ownerOf(slot)) * NODE_SIZE) + slot % size;
+    const nodes = [];
+    for (const loc of locs) {
+      const [tag, info] = net.get(loc);
+      if (tag === Tags.DUP || tag === Tags.SUP) {
+        if (!labels.has(info)) labels.set(info, BigInt(labels.size + 1));
+        nodes.push(net.packTerm([tag, labels.get(info)]));
+      } else {
+        nodes.push(net.packTerm(tag === Tags.LAM || tag === Tags.APP ? [tag, relocate(info)] : [tag, info]));
+      }
+      for (let port = 1n; port < size; port++) {
+        const [portTag, target] = net.get(loc + port);
+        const moved = portTag === Tags.VAR || NegativePorts.has(portTag);
+        nodes.push(net.packTerm(moved ? [portTag, relocate(target)] : [portTag, target]));
+      }
+    }
+    return {
+      locs,
+      key: nodes.join(','),
+      template: { nodes, labels: labels.size, root: net.packTerm([Tags.LAM, 0n]), redexes: [] }
+    };
+  }
+}
+
+module.exports = { Optimizer, isSharedName };
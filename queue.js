@@ -0,0 +1,294 @@
+// Shared redex queue: one Chase-Lev deque per worker, living in shared memory
+// so that every thread reducing a Net sees the same pending interactions.
+//
+// The owner of a deque pushes and pops at the bottom; idle workers steal from
+// the top of the others. A global `pending` counter tracks redexes that have
+// been pushed but not yet fully interacted, which is what lets workers agree
+// that reduction is over.
+//
+// The entries live in a growable SharedArrayBuffer. Growing it moves entries
+// around, so only the thread that created the queue may do so, and only
+// while no worker is running: that covers compiling, and every reduction on
+// a single thread. A worker whose deque fills up during a parallel run
+// spills the extra redexes into a private list instead, which only it pops
+// and which it hands back to the main thread if the run stops early.
+
+const { growableBuffer } = require('./heap.js');
+
+// Layout of the Int32 control array
+const Ctrl = {
+  PENDING: 0,   // redexes pushed but not yet finished
+  HALT: 1,      // nonzero (a Halt reason) once workers should stop early
+  STEPS: 2,     // interactions performed so far
+  MAX_STEPS: 3, // interaction budget, 0 for none
+  DEQUES: 4     // start of the per-deque [top, bottom] pairs
+};
+
+// Why a queue was halted
+const Halt = {
+  FAILED: 1,    // a worker threw
+  LIMIT: 2,     // the interaction budget ran out
+  MEMORY: 3,    // the heap outgrew its node budget (see Heap.limit)
+  TIMEOUT: 4,   // the time budget ran out
+  ABORTED: 5,   // the caller cancelled the evaluation
+  HEAP: 6       // the heap reached its ceiling (see Heap.fits)
+};
+
+class RedexQueue {
+  constructor({
+    deques = 1,
+    capacity = 1 << 16,      // entries per deque to start with
+    maxCapacity = 1 << 22,   // ceiling on entries per deque
+    buffers = null
+  } = {}) {
+    if (buffers) {
+      this.control = buffers.control;
+      this.entries = buffers.entries;
+      this.controlView = new Int32Array(this.control);
+      this.deques = this.controlView.length - Ctrl.DEQUES >> 1;
+    } else {
+      if (capacity > maxCapacity) {
+        throw new Error(`Initial queue capacity ${capacity} exceeds ceiling ${maxCapacity}`);
+      }
+      this.deques = deques;
+      this.control = new SharedArrayBuffer(4 * (Ctrl.DEQUES + 2 * deques));
+      // Each entry is a pair of packed terms: [neg, pos]
+      this.entries = growableBuffer(8 * 2 * capacity * deques, 8 * 2 * maxCapacity * deques);
+      this.controlView = new Int32Array(this.control);
+    }
+    // Only the creating thread may grow the entries (see grow())
+    this.growable = !buffers;
+    // Length-tracking view: follows the buffer as it grows
+    this.entriesView = new BigInt64Array(this.entries);
+    // Redexes pushed while this thread's deque was full and couldn't grow,
+    // as packed [neg, pos] pairs; counted as pending like queued ones
+    this.spilled = [];
+  }
+
+  // Entries per deque
+  get capacity() {
+    return this.entriesView.length / (2 * this.deques);
+  }
+
+  // Buffers to hand to workers so they can attach to the same queue
+  get buffers() {
+    return { control: this.control, entries: this.entries };
+  }
+
+  get pending() {
+    return Atomics.load(this.controlView, Ctrl.PENDING);
+  }
+
+  get halted() {
+    return Atomics.load(this.controlView, Ctrl.HALT) !== 0;
+  }
+
+  get haltReason() {
+    return Atomics.load(this.controlView, Ctrl.HALT);
+  }
+
+  get steps() {
+    return Atomics.load(this.controlView, Ctrl.STEPS);
+  }
+
+  // Keeps the first reason given if several workers halt at once
+  halt(reason = Halt.FAILED) {
+    Atomics.compareExchange(this.controlView, Ctrl.HALT, 0, reason);
+  }
+
+  resume() {
+    Atomics.store(this.controlView, Ctrl.HALT, 0);
+  }
+
+  // Sets the interaction budget shared by all workers and restarts the count
+  limit(maxSteps = 0) {
+    Atomics.store(this.controlView, Ctrl.STEPS, 0);
+    Atomics.store(this.controlView, Ctrl.MAX_STEPS, maxSteps);
+  }
+
+  // Counts one interaction against the budget, returning its index among
+  // all interactions since limit(), or -1 once the budget is spent
+  step() {
+    const max = Atomics.load(this.controlView, Ctrl.MAX_STEPS);
+    const steps = Atomics.add(this.controlView, Ctrl.STEPS, 1);
+    return max === 0 || steps < max ? steps : -1;
+  }
+
+  topIndex(id) {
+    return Ctrl.DEQUES + 2 * id;
+  }
+
+  bottomIndex(id) {
+    return Ctrl.DEQUES + 2 * id + 1;
+  }
+
+  entryIndex(id, n) {
+    const capacity = this.capacity;
+    return 2 * (id * capacity + n % capacity);
+  }
+
+  // Pushes a redex onto the bottom of deque `id`. Only its owner may push.
+  push(id, neg, pos) {
+    const ctrl = this.controlView;
+    const b = Atomics.load(ctrl, this.bottomIndex(id));
+    const t = Atomics.load(ctrl, this.topIndex(id));
+    if (b - t >= this.capacity) {
+      if (!this.growable) {
+        Atomics.add(ctrl, Ctrl.PENDING, 1);
+        this.spilled.push([neg, pos]);
+        return;
+      }
+      this.grow(id);
+    }
+    const i = this.entryIndex(id, b);
+    Atomics.store(this.entriesView, i, neg);
+    Atomics.store(this.entriesView, i + 1, pos);
+    // Count the redex before it becomes visible to thieves
+    Atomics.add(ctrl, Ctrl.PENDING, 1);
+    Atomics.store(ctrl, this.bottomIndex(id), b + 1);
+  }
+
+  // Pops a redex from the bottom of deque `id`. Only its owner may pop.
+  pop(id) {
+    const ctrl = this.controlView;
+    const b = Atomics.load(ctrl, this.bottomIndex(id)) - 1;
+    Atomics.store(ctrl, this.bottomIndex(id), b);
+    const t = Atomics.load(ctrl, this.topIndex(id));
+
+    if (t > b) {
+      Atomics.store(ctrl, this.bottomIndex(id), b + 1);
+      return this.spilled.length ? this.spilled.pop() : null;
+    }
+
+    const redex = this.read(id, b);
+    if (t === b) {
+      // Last entry: race against thieves for it
+      if (Atomics.compareExchange(ctrl, this.topIndex(id), t, t + 1) !== t) {
+        Atomics.store(ctrl, this.bottomIndex(id), b + 1);
+        return this.spilled.length ? this.spilled.pop() : null;
+      }
+      Atomics.store(ctrl, this.bottomIndex(id), b + 1);
+    }
+    return redex;
+  }
+
+  // Takes a redex from the top of some other deque, scanning from `thief + 1`
+  steal(thief) {
+    const ctrl = this.controlView;
+    for (let k = 1; k <= this.deques; k++) {
+      const victim = (thief + k) % this.deques;
+      const t = Atomics.load(ctrl, this.topIndex(victim));
+      const b = Atomics.load(ctrl, this.bottomIndex(victim));
+      if (t >= b) continue;
+
+      const redex = this.read(victim, t);
+      if (Atomics.compareExchange(ctrl, this.topIndex(victim), t, t + 1) === t) {
+        return redex;
+      }
+    }
+    return null;
+  }
+
+  read(id, n) {
+    const i = this.entryIndex(id, n);
+    return [
+      Atomics.load(this.entriesView, i),
+      Atomics.load(this.entriesView, i + 1)
+    ];
+  }
+
+  // Doubles the capacity of every deque after deque `id` filled up, moving
+  // the queued entries to their new places; only valid while no worker is
+  // running
+  grow(id) {
+    const capacity = this.capacity;
+    const maxCapacity = this.entries.maxByteLength / (8 * 2 * this.deques);
+    if (capacity >= maxCapacity) {
+      throw new Error(`Redex deque ${id} overflow (capacity ${capacity})`);
+    }
+    const queued = [];
+    for (let deque = 0; deque < this.deques; deque++) {
+      const t = this.controlView[this.topIndex(deque)];
+      const b = this.controlView[this.bottomIndex(deque)];
+      for (let n = t; n < b; n++) queued.push([deque, n, ...this.read(deque, n)]);
+    }
+    this.entries.grow(8 * 2 * Math.min(2 * capacity, maxCapacity) * this.deques);
+    for (const [deque, n, neg, pos] of queued) {
+      const i = this.entryIndex(deque, n);
+      this.entriesView[i] = neg;
+      this.entriesView[i + 1] = pos;
+    }
+  }
+
+  // Takes over redexes another thread spilled (see push), which are already
+  // counted as pending; only valid while no worker is running
+  adopt(redexes) {
+    for (const [neg, pos] of redexes) {
+      this.push(0, neg, pos);
+      Atomics.sub(this.controlView, Ctrl.PENDING, 1);
+    }
+  }
+
+  // Marks a popped or stolen redex as fully interacted
+  done() {
+    if (Atomics.sub(this.controlView, Ctrl.PENDING, 1) === 1) {
+      Atomics.notify(this.controlView, Ctrl.PENDING);
+    }
+  }
+
+  // Blocks briefly while other workers may still produce work
+  idle(timeoutMs = 1) {
+    const pending = Atomics.load(this.controlView, Ctrl.PENDING);
+    if (pending !== 0) {
+      Atomics.wait(this.controlView, Ctrl.PENDING, pending, timeoutMs);
+    }
+  }
+
+  // Number of redexes currently sitting in deques (not thread-exact)
+  size() {
+    let total = 0;
+    for (let id = 0; id < this.deques; id++) {
+      total += Math.max(0,
+        Atomics.load(this.controlView, this.bottomIndex(id)) -
+        Atomics.load(this.controlView, this.topIndex(id)));
+    }
+    return total;
+  }
+
+  // Every queued redex as packed [neg, pos] pairs, deque by deque from top
+  // to bottom; only valid while no worker is running
+  list() {
+    const redexes = [];
+    for (let id = 0; id < this.deques; id++) {
+      const t = this.controlView[this.topIndex(id)];
+      const b = this.controlView[this.bottomIndex(id)];
+      for (let n = t; n < b; n++) redexes.push(this.read(id, n));
+    }
+    return redexes;
+  }
+
+  // Resets every deque; only valid while no worker is running
+  clear() {
+    this.controlView.fill(0);
+  }
+
+  // Rewinds deque indices so long runs don't overflow the Int32 counters;
+  // only valid while no worker is running
+  compact() {
+    for (let id = 0; id < this.deques; id++) {
+      const t = this.controlView[this.topIndex(id)];
+      const b = this.controlView[this.bottomIndex(id)];
+      const live = [];
+      for (let n = t; n < b; n++) live.push(this.read(id, n));
+      this.controlView[this.topIndex(id)] = 0;
+      this.controlView[this.bottomIndex(id)] = live.length;
+      live.forEach(([neg, pos], n) => {
+        const i = this.entryIndex(id, n);
+        this.entriesView[i] = neg;
+        this.entriesView[i + 1] = pos;
+      });
+    }
+  }
+}
+
+module.exports = { RedexQueue, Ctrl, Halt };
@@ -0,0 +1,520 @@
+const { Net, Tags, ROOT, isNegative, unpackNum, SwiKind, Ops, DataTags } = require('./evaluator.js');
+const { Header, NODE_SIZE } = require('./heap.js');
+
+// Readback: walks a (normalized) net from the root port and rebuilds the
+// lambda term it encodes, then recognizes the usual encodings in that term.
+//
+// Terms are plain objects:
+//   { type: 'lam', name, body }      { type: 'app', fn, arg }
+//   { type: 'var', name }            { type: 'sup', label, left, right }
+//   { type: 'era' }                 { type: 'num', value }
+//   { type: 'op', op, left, right }  { type: 'ref', name }
+//   { type: 'switch', test, branches, kind }
+//   { type: 'host', name, arg }
+//
+// where a switch's kind is 'truthy', 'number' or 'defined' (see SwiKind).
+
+// Interactions a definition gets to reach its normal form in, when read
+const DEFINITION_BUDGET = 1000000;
+
+class Readback {
+  // `definitions`, `expanding` and `named` are shared with the readbacks of
+  // the definitions met along the way (see readDefinition). Without
+  // `expand`, references read as their names. `hosts`, if given, collects
+  // the locations of the HOST nodes met, in the order they are read.
+  // `holders` can be another readback's, as long as no wire has moved
+  // since it was made.
+  constructor(net, {
+    definitions = new Map(), expanding = new Set(), named = { count: 0 }, expand = true, hosts = null,
+    holders = null
+  } = {}) {
+    this.net = net;
+    this.expand = expand;
+    this.hosts = hosts;
+    // Variable names by lambda location, numbered across all of them
+    this.names = new Map();
+    this.named = named;
+    this.holders = holders || this.indexHolders();
+    // Terms of the definitions read so far, and the ones being read, by id
+    this.definitions = definitions;
+    this.expanding = expanding;
+  }
+
+  // Maps every negative node to the port holding it, so that we can walk
+  // from an APP or DUP back to whatever flows into its principal port
+  indexHolders() {
+    const net = this.net;
+    const holders = new Map();
+    for (let loc = 0; loc < net.nextLoc; loc += NODE_SIZE) {
+      const [headerTag] = net.get(loc);
+      if (headerTag === Header.FREE) continue;
+      for (let port = 1; port < NODE_SIZE; port++) {
+        const slot = BigInt(loc + port);
+        const [tag, target] = net.get(slot);
+        if (isNegative(tag) && tag !== Tags.SUB && tag !== Tags.ERA) {
+          holders.set(target, slot);
+        }
+      }
+    }
+    return holders;
+  }
+
+  nameOf(lamLoc) {
+    if (!this.names.has(lamLoc)) {
+      const n = this.named.count++;
+      const letter = String.fromCharCode(97 + n % 26);
+      this.names.set(lamLoc, n < 26 ? letter : `${letter}${Math.floor(n / 26)}`);
+    }
+    return this.names.get(lamLoc);
+  }
+
+  // Reads the positive term stored in a port. `dups` lists the DUP ports
+  // we passed through, so a SUP with the same label picks the right side.
+  //
+  // Terms can be far deeper than the call stack, so the walk keeps its own
+  // stack of tasks: each reads one port and hands the term to `put`, which
+  // fills a field of the term above it. Fields are read in order, depth
+  // first, as a recursive walk would. The ports on the current path (with
+  // the DUP ports passed, since a DUP is read once per side) are kept to
+  // catch cycles, which a broken net may have; so is a cycle through DUPs,
+  // which passes more of them than the net has nodes.
+  readPos(term, dups = []) {
+    let result = null;
+    const tasks = [{ pos: term, dups, put: value => { result = value; } }];
+    const path = new Set();
+    const limit = this.net.nextLoc / NODE_SIZE;
+    while (tasks.length) {
+      const task = tasks.pop();
+      if (task.leave !== undefined) {
+        path.delete(task.leave);
+        continue;
+      }
+      const [tag, target] = task.pos || [null, task.wire];
+      const key = `${task.pos ? tag : 'w'}:${target}:${task.dups.map(([l, p]) => `${l}.${p}`)}`;
+      if (path.has(key) || task.dups.length > limit) {
+        throw new Error('Readback found a cycle in the net');
+      }
+      path.add(key);
+      tasks.push({ leave: key });
+      const children = task.pos ?
+        this.readPosStep(task.pos, task.dups, task.put) :
+        this.readWireStep(task.wire, task.dups, task.put);
+      // Last pushed is read first
+      for (let i = children.length - 1; i >= 0; i--) tasks.push(children[i]);
+    }
+    return result;
+  }
+
+  // One step of readPos: puts the term for `term`, or part of it, and
+  // returns the tasks that read the rest
+  readPosStep(term, dups, put) {
+    const net = this.net;
+    const [tag, target] = term;
+    switch (tag) {
+      case Tags.VAR: {
+        const [farTag] = net.get(target);
+        // A substitution that nobody has picked up yet: read through it
+        if (!isNegative(farTag)) {
+          return [{ pos: net.get(target), dups, put }];
+        }
+        return [{ wire: target, dups, put }];
+      }
+      case Tags.LAM: {
+        const lam = { type: 'lam', name: this.nameOf(target), body: null };
+        put(lam);
+        return [{ pos: net.get(target + 2n), dups, put: body => { lam.body = body; } }];
+      }
+      case Tags.SUP: {
+        const [, label] = net.get(target);
+        const i = dups.map(([l]) => l).lastIndexOf(label);
+        if (i >= 0) {
+          const rest = dups.slice(0, i).concat(dups.slice(i + 1));
+          const port = target + BigInt(dups[i][1]);
+          return [{ pos: net.get(port), dups: rest, put }];
+        }
+        const sup = { type: 'sup', label, left: null, right: null };
+        put(sup);
+        return [
+          { pos: net.get(target + 1n), dups, put: left => { sup.left = left; } },
+          { pos: net.get(target + 2n), dups, put: right => { sup.right = right; } }
+        ];
+      }
+      case Tags.NUL:
+        put({ type: 'era' });
+        return [];
+      case Tags.NUM:
+        put({ type: 'num', value: unpackNum(target) });
+        return [];
+      case Tags.REF:
+        // A definition nothing has looked into yet
+        put(this.expand ?
+          this.readDefinition(Number(target)) :
+          { type: 'ref', name: net.book.nameOf(Number(target)) });
+        return [];
+      default:
+        throw new Error(`Cannot read back ${net.getTagName(tag)} term`);
+    }
+  }
+
+  // One step of reading the value that flows into a negative port, which
+  // depends on the node that owns the port
+  readWireStep(slot, dups, put) {
+    const net = this.net;
+    const loc = slot - slot % BigInt(NODE_SIZE);
+    const port = Number(slot - loc);
+    const [tag, label] = net.get(loc);
+
+    if (loc === 0n) {
+      throw new Error('Readback reached the root port (cyclic net?)');
+    }
+    // A node with a `first` field read from its principal port, and a
+    // `second` one from its first aux port
+    const pair = (term, first, second, held = dups) => {
+      put(term);
+      return [
+        this.holderTask(loc, held, value => { term[first] = value; }),
+        { pos: net.get(loc + 1n), dups, put: value => { term[second] = value; } }
+      ];
+    };
+    switch (tag) {
+      case Tags.LAM:
+        put({ type: 'var', name: this.nameOf(loc) });
+        return [];
+      case Tags.APP:
+        return pair({ type: 'app', fn: null, arg: null }, 'fn', 'arg');
+      case Tags.DUP:
+        return [this.holderTask(loc, dups.concat([[label, port]]), put)];
+      case Tags.OP2:
+        // Stuck on its first operand
+        return pair({ type: 'op', op: Ops[Number(label)], left: null, right: null }, 'left', 'right');
+      case Tags.OP1: {
+        // First operand known, stuck on the second
+        const [holder, operand] = pair(
+          { type: 'op', op: Ops[Number(label)], left: null, right: null }, 'right', 'left');
+        return [operand, holder];
+      }
+      case Tags.SWI:
+        // Stuck on its condition
+        return pair({
+          type: 'switch',
+          kind: Object.keys(SwiKind).find(key => SwiKind[key] === net.swiKind(loc)).toLowerCase(),
+          test: null,
+          branches: null
+        }, 'test', 'branches');
+      case Tags.HOST: {
+        // A call still to be made, maybe parked with its argument
+        const parked = net.hostCalls.find(([[, hostLoc]]) => hostLoc === loc);
+        const host = { type: 'host', name: net.book.hostName(net.hostOf(loc)), arg: null };
+        if (this.hosts) this.hosts.push(loc);
+        put(host);
+        const putArg = arg => { host.arg = arg; };
+        return [parked ? { pos: parked[1], dups, put: putArg } : this.holderTask(loc, dups, putArg)];
+      }
+      default:
+        throw new Error(`Cannot read back port ${slot} of ${net.getTagName(tag)} node`);
+    }
+  }
+
+  // Reads the value behind definition `id` from a copy of it in a scratch
+  // net, reduced first. A definition met again while it is being read (a
+  // recursive one, say) reads as its name, and so does one that doesn't
+  // settle within DEFINITION_BUDGET interactions or calls the host.
+  readDefinition(id) {
+    if (this.definitions.has(id)) return this.definitions.get(id);
+    const ref = { type: 'ref', name: this.net.book.nameOf(id) };
+    if (this.expanding.has(id)) return ref;
+    const scratch = new Net({ heapSize: 64 * 1024, queueCapacity: 16, book: this.net.book });
+    scratch.move(ROOT, scratch.expand(id));
+    scratch.queue.limit(DEFINITION_BUDGET);
+    scratch.evaluate();
+    let term = ref;
+    if (!scratch.queue.halted && !scratch.hostCalls.length) {
+      this.expanding.add(id);
+      try {
+        const { definitions, expanding, named } = this;
+        term = new Readback(scratch, { definitions, expanding, named }).readPos(scratch.get(ROOT));
+      } finally {
+        this.expanding.delete(id);
+      }
+    }
+    this.definitions.set(id, term);
+    return term;
+  }
+
+  // The task reading what flows into the principal port of the negative
+  // node at `loc`
+  holderTask(loc, dups, put) {
+    const holder = this.holders.get(loc);
+    if (holder === undefined) {
+      throw new Error(`Node ${loc} is not connected to anything`);
+    }
+    return { wire: holder, dups, put };
+  }
+}
+
+// Reconstructs the lambda term at a root port
+function readback(net, root = ROOT) {
+  return new Readback(net).readPos(net.get(root));
+}
+
+// Prints a term as a JS arrow expression
+function prettyPrint(term) {
+  switch (term.type) {
+    case 'lam':
+      return `${term.name} => ${prettyPrint(term.body)}`;
+    case 'app': {
+      const fn = prettyPrint(term.fn);
+      return term.fn.type === 'lam' || term.fn.type === 'sup' ?
+        `(${fn})(${prettyPrint(term.arg)})` :
+        `${fn}(${prettyPrint(term.arg)})`;
+    }
+    case 'var':
+      return term.name;
+    case 'sup':
+      return `&${term.label}{${prettyPrint(term.left)}, ${prettyPrint(term.right)}}`;
+    case 'era':
+      return 'undefined';
+    case 'num':
+      return String(term.value);
+    case 'ref':
+      return term.name;
+    case 'switch': {
+      const branches = prettyPrint(term.branches);
+      const test = prettyPrint(term.test);
+      return `${term.branches.type === 'lam' ? `(${branches})` : branches}` +
+        `(${term.kind === 'number' ? `typeof ${test} === 'number'` :
+          term.kind === 'defined' ? `${test} !== undefined` : `Boolean(${test})`})`;
+    }
+    case 'host':
+      return `${term.name}(${prettyPrint(term.arg)})`;
+    case 'op': {
+      const operand = t => t.type === 'op' || t.type === 'lam' ?
+        `(${prettyPrint(t)})` : prettyPrint(t);
+      return `${operand(term.left)} ${term.op} ${operand(term.right)}`;
+    }
+    default:
+      throw new Error(`Unknown term type: ${term.type}`);
+  }
+}
+
+// Whether `name` occurs free in `term`; a loop, as terms can be deep
+function freeIn(name, term) {
+  const stack = [term];
+  while (stack.length) {
+    const t = stack.pop();
+    switch (t.type) {
+      case 'lam':
+        if (t.name !== name) stack.push(t.body);
+        break;
+      case 'app':
+        stack.push(t.fn, t.arg);
+        break;
+      case 'var':
+        if (t.name === name) return true;
+        break;
+      case 'sup':
+      case 'op':
+        stack.push(t.left, t.right);
+        break;
+      case 'switch':
+        stack.push(t.test, t.branches);
+        break;
+      case 'host':
+        stack.push(t.arg);
+        break;
+    }
+  }
+  return false;
+}
+
+// λf.λx.f(f(...x)) → n
+function churchNumeral(term) {
+  if (term.type !== 'lam' || term.body.type !== 'lam') return null;
+  const f = term.name;
+  const x = term.body.name;
+  let count = 0;
+  let body = term.body.body;
+  while (body.type === 'app' && body.fn.type === 'var' && body.fn.name === f) {
+    count++;
+    body = body.arg;
+  }
+  return body.type === 'var' && body.name === x && f !== x ? count : null;
+}
+
+// λa.λb.a → true (λa.λb.b reads as the numeral 0)
+function churchBoolean(term) {
+  if (term.type !== 'lam' || term.body.type !== 'lam') return null;
+  const body = term.body.body;
+  if (body.type === 'var' && body.name === term.name && term.name !== term.body.name) {
+    return true;
+  }
+  return null;
+}
+
+// λs.s a b → [a, b]
+function churchPair(term) {
+  if (term.type !== 'lam') return null;
+  const s = term.name;
+  const body = term.body;
+  if (body.type === 'app' && body.fn.type === 'app' &&
+      body.fn.fn.type === 'var' && body.fn.fn.name === s &&
+      !freeIn(s, body.fn.arg) && !freeIn(s, body.arg)) {
+    return [body.fn.arg, body.arg];
+  }
+  return null;
+}
+
+// λc.λn.c x1 (c x2 (... n)) → [x1, x2, ...]
+function churchList(term) {
+  if (term.type !== 'lam' || term.body.type !== 'lam') return null;
+  const c = term.name;
+  const n = term.body.name;
+  const items = [];
+  let body = term.body.body;
+  while (body.type === 'app' && body.fn.type === 'app' &&
+         body.fn.fn.type === 'var' && body.fn.fn.name === c) {
+    const item = body.fn.arg;
+    if (freeIn(c, item) || freeIn(n, item)) return null;
+    items.push(item);
+    body = body.arg;
+  }
+  return items.length && body.type === 'var' && body.name === n ? items : null;
+}
+
+// λk.k #tag a b ... → { tag, fields: [a, b, ...] }
+function scottData(term) {
+  if (term.type !== 'lam') return null;
+  const k = term.name;
+  const args = [];
+  let body = term.body;
+  while (body.type === 'app') {
+    args.unshift(body.arg);
+    body = body.fn;
+  }
+  if (body.type !== 'var' || body.name !== k || !args.length || args[0].type !== 'num' ||
+      args.some(arg => freeIn(k, arg))) {
+    return null;
+  }
+  return { tag: args[0].value, fields: args.slice(1) };
+}
+
+// A function inside decoded data, which would otherwise pass for the string
+// of its source: prints as that source, unquoted
+class FunctionValue {
+  constructor(source) {
+    this.source = source;
+  }
+
+  toString() {
+    return this.source;
+  }
+
+  toJSON() {
+    return { function: this.source };
+  }
+}
+
+// A field of data as a plain JS value
+function plainField(term, shapes) {
+  const { kind, value } = decode(term, shapes);
+  return kind === 'function' ? new FunctionValue(value) : value;
+}
+
+// Arrays and objects as plain JS values, given the key sets of the shapes
+function scottValue(term, shapes) {
+  const data = scottData(term);
+  if (!data) return null;
+  const { tag, fields } = data;
+  if (tag === DataTags.NIL && !fields.length) {
+    return { kind: 'array', value: [] };
+  }
+  if (tag === DataTags.CONS && fields.length === 2) {
+    // Along the spine in a loop, as lists can be long
+    const items = [fields[0]];
+    let rest = scottData(fields[1]);
+    while (rest && rest.tag === DataTags.CONS && rest.fields.length === 2) {
+      items.push(rest.fields[0]);
+      rest = scottData(rest.fields[1]);
+    }
+    return rest && rest.tag === DataTags.NIL && !rest.fields.length ?
+      { kind: 'array', value: items.map(item => plainField(item, shapes)) } :
+      null;
+  }
+  if (tag === DataTags.STRING && fields.length === 1) {
+    const units = scottValue(fields[0], shapes);
+    return units && units.kind === 'array' && units.value.every(unit => typeof unit === 'number') ?
+      { kind: 'string', value: String.fromCharCode(...units.value) } :
+      null;
+  }
+  const keys = shapes[tag - DataTags.FIRST_SHAPE];
+  if (keys && keys.length === fields.length) {
+    const entries = keys.map((key, i) => [key, plainField(fields[i], shapes)]);
+    return { kind: 'object', value: Object.fromEntries(entries) };
+  }
+  return null;
+}
+
+// Turns a term into a typed JS-level result. `shapes` are the key sets of
+// the object shapes the program was compiled with (see DataTags).
+function decode(term, shapes = []) {
+  if (term.type === 'num') {
+    return { kind: typeof term.value, value: term.value };
+  }
+  const data = scottValue(term, shapes);
+  if (data) {
+    return data;
+  }
+  const number = churchNumeral(term);
+  if (number !== null) {
+    return { kind: 'number', value: number };
+  }
+  if (churchBoolean(term) !== null) {
+    return { kind: 'boolean', value: true };
+  }
+  const list = churchList(term);
+  if (list) {
+    return { kind: 'list', value: list.map(decode) };
+  }
+  const pair = churchPair(term);
+  if (pair) {
+    return { kind: 'pair', value: pair.map(decode) };
+  }
+  if (term.type === 'era') {
+    return { kind: 'undefined', value: undefined };
+  }
+  return { kind: 'function', value: prettyPrint(term) };
+}
+
+// Renders a decoded result the way it would print in JS
+function formatValue({ kind, value }) {
+  switch (kind) {
+    case 'list':
+    case 'pair':
+      return `[${value.map(formatValue).join(', ')}]`;
+    case 'array':
+    case 'object':
+      return formatPlain(value);
+    default:
+      return String(value);
+  }
+}
+
+// Plain arrays and objects (as decoded) the way they would print in JS
+function formatPlain(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatPlain).join(', ')}]`;
+  }
+  if (value instanceof FunctionValue) {
+    return value.source;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .map(([key, field]) => `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}: ${formatPlain(field)}`);
+    return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+module.exports = {
+  Readback, readback, prettyPrint, decode, formatValue, formatPlain, FunctionValue, DataTags
+};
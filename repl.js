@@ -0,0 +1,170 @@
+const fs = require('fs');
+const readline = require('readline');
+const { Compiler, CompileError } = require('./language.js');
+const { ResourceLimitError } = require('./evaluator.js');
+const { readback, decode, formatValue } = require('./readback.js');
+
+const PROMPT = 'ruhandl> ';
+const CONTINUE = '...      ';
+
+const help = `Enter declarations and expressions; names declared at the top level stay
+defined for later inputs. Incomplete input continues on the next line.
+
+  :stats        statistics of the last evaluation and of the session
+  :net          print the current net in text form
+  :dot [file]   print the current net as Graphviz DOT, or write it to file
+  :load file    evaluate a source file as if it were typed in
+  :reset        start over with an empty net and no definitions
+  :help         show this help
+  :quit         leave (so does end of input)`;
+
+// Interactive session over a single Compiler and Net. Every input is
+// compiled into the same net and reduced right away, so definitions (and
+// the work already done on them) carry over from one input to the next.
+class Session {
+  // `options` go to the Compiler, except for the limits on each input's
+  // evaluation (see ParallelEvaluator.evaluate)
+  constructor({ maxInteractions, maxNodes, timeoutMs, ...options } = {}) {
+    this.options = options;
+    this.limits = { maxInteractions, maxNodes, timeoutMs };
+    this.reset();
+  }
+
+  reset() {
+    this.close();
+    this.compiler = new Compiler(this.options);
+    this.lastStatistics = null;
+  }
+
+  close() {
+    if (this.compiler) this.compiler.evaluator.close();
+  }
+
+  get net() {
+    return this.compiler.evaluator.net;
+  }
+
+  // Compiles and reduces one input. Resolves to the decoded result, or to
+  // null if the input only declared names. Past a limit, the rest of the
+  // input's reduction is given up, so that later inputs don't carry on with
+  // it; names it was computing stay unfinished.
+  async run(source) {
+    const root = this.compiler.compileInput(source);
+    try {
+      this.lastStatistics = await this.compiler.evaluate(this.limits);
+    } catch (error) {
+      if (!(error instanceof ResourceLimitError)) throw error;
+      this.lastStatistics = error.statistics;
+      this.net.abandon();
+      throw error;
+    }
+    return root === null ? null : decode(readback(this.net, root), this.compiler.shapes);
+  }
+
+  // Runs a `:command`, returning the text to print
+  async command(line) {
+    const [name, ...args] = line.slice(1).trim().split(/\s+/);
+    switch (name) {
+      case 'stats':
+        return [
+          'Last evaluation:',
+          formatStatistics(this.lastStatistics || {}),
+          'Session:',
+          formatStatistics(this.net.getStatistics())
+        ].join('\n');
+      case 'net':
+        return this.net.toText().trimEnd();
+      case 'dot': {
+        const dot = this.net.visualize();
+        if (!args[0]) return dot.trimEnd();
+        fs.writeFileSync(args[0], dot);
+        return `Wrote ${args[0]}`;
+      }
+      case 'load': {
+        if (!args[0]) throw new Error('Usage: :load file.js');
+        const result = await this.run(fs.readFileSync(args[0], 'utf8'));
+        return result === null ? `Loaded ${args[0]}` : formatValue(result);
+      }
+      case 'reset':
+        this.reset();
+        return 'Session reset';
+      case 'help':
+        return help;
+      default:
+        throw new Error(`Unknown command :${name} (try :help)`);
+    }
+  }
+}
+
+// One figure per line; rule counts indented below, workers one per line
+function formatStatistics(stats, indent = '  ') {
+  const figure = value => Number.isInteger(value) ? String(value) : value.toFixed(2);
+  return Object.entries(stats).map(([key, value]) => {
+    if (Array.isArray(value)) {
+      const items = value.map((item, i) => `${indent}  ${i}: ` +
+        Object.entries(item).map(([name, field]) => `${name} ${figure(field)}`).join(', '));
+      return [`${indent}${key}:`, ...items].join('\n');
+    }
+    if (value && typeof value === 'object') {
+      return `${indent}${key}:\n${formatStatistics(value, `${indent}  `)}`;
+    }
+    return `${indent}${key}: ${figure(value)}`;
+  }).join('\n');
+}
+
+// acorn reports input that merely stops early as an error at its very end
+function isIncomplete(error, source) {
+  const cause = error.cause;
+  return cause instanceof SyntaxError && (
+    cause.pos >= source.trimEnd().length ||
+    /^Unterminated (comment|template)/.test(cause.message)
+  );
+}
+
+// Runs a REPL on the given streams until input ends or `:quit`. Lines are
+// taken one at a time, so piped input is reduced in order.
+async function startRepl(options = {}, { input = process.stdin, output = process.stdout } = {}) {
+  const session = new Session(options);
+  const rl = readline.createInterface({
+    input,
+    output,
+    terminal: output.isTTY,
+    historySize: 1000
+  });
+  const print = text => output.write(`${text}\n`);
+  let buffer = '';
+  rl.setPrompt(PROMPT);
+  rl.prompt();
+
+  for await (const line of rl) {
+    const source = buffer + line + '\n';
+    buffer = '';
+    const trimmed = source.trim();
+    if (trimmed === ':quit' || trimmed === '.exit') break;
+    try {
+      if (trimmed.startsWith(':')) {
+        print(await session.command(trimmed));
+      } else if (trimmed) {
+        const result = await session.run(source);
+        for (const warning of session.compiler.warnings) {
+          print(warning.render(source));
+        }
+        if (result !== null) print(formatValue(result));
+      }
+    } catch (error) {
+      if (isIncomplete(error, source)) {
+        buffer = source;
+      } else if (error instanceof CompileError) {
+        print(error.format());
+      } else {
+        print(`Error: ${error.message}`);
+      }
+    }
+    rl.setPrompt(buffer ? CONTINUE : PROMPT);
+    rl.prompt();
+  }
+  rl.close();
+  session.close();
+}
+
+module.exports = { Session, startRepl, formatStatistics };
@@ -0,0 +1,263 @@
+const { Net } = require('./evaluator.js');
+const { HeapCtrl } = require('./heap.js');
+
+// Binary snapshots of a net between evaluations (see Net.snapshot), so that
+// a long reduction stopped by a limit can be saved and resumed later, on
+// either backend, and a compiled program cached. All numbers are little
+// endian:
+//
+//   magic "RUHNSNAP", u32 version
+//   allocator: u32 free lists, u32 next loc, u32 next label, i32 heads...
+//   heap:      u32 runs, then per run of nonzero words below next loc:
+//              u32 start, u32 length, i64 words...
+//   redexes:   u32 count, [i64 neg, i64 pos]... (queued, then parked
+//              host calls under their own count)
+//   stats:     u32 count, u64 counters... (a row of Statistics.totals())
+//   book:      u32 definitions, per definition str name, u8 defined and,
+//              if defined, u32 labels, i64 root, u32 node words, i64
+//              words..., u32 redexes, [i64 neg, i64 pos]...; then u32
+//              hosts, str name...
+//   meta:      str JSON (empty for none)
+//
+// where str is a u32 byte length followed by UTF-8. Host functions are
+// saved by name only: define them again before resuming a net that calls
+// them.
+
+const MAGIC = 'RUHNSNAP';
+const VERSION = 2;
+
+class SnapshotWriter {
+  constructor() {
+    this.buffer = Buffer.alloc(64 * 1024);
+    this.length = 0;
+  }
+
+  reserve(bytes) {
+    if (this.length + bytes <= this.buffer.length) return;
+    const buffer = Buffer.alloc(Math.max(this.length + bytes, 2 * this.buffer.length));
+    this.buffer.copy(buffer, 0, 0, this.length);
+    this.buffer = buffer;
+  }
+
+  u8(value) {
+    this.reserve(1);
+    this.length = this.buffer.writeUInt8(value, this.length);
+  }
+
+  u32(value) {
+    this.reserve(4);
+    this.length = this.buffer.writeUInt32LE(value, this.length);
+  }
+
+  i32(value) {
+    this.reserve(4);
+    this.length = this.buffer.writeInt32LE(value, this.length);
+  }
+
+  i64(value) {
+    this.reserve(8);
+    this.length = this.buffer.writeBigInt64LE(value, this.length);
+  }
+
+  words(words) {
+    this.reserve(8 * words.length);
+    for (const word of words) this.length = this.buffer.writeBigInt64LE(word, this.length);
+  }
+
+  str(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    this.u32(bytes.length);
+    this.reserve(bytes.length);
+    this.length += bytes.copy(this.buffer, this.length);
+  }
+
+  get result() {
+    return this.buffer.subarray(0, this.length);
+  }
+}
+
+class SnapshotReader {
+  constructor(buffer) {
+    this.buffer = Buffer.isBuffer(buffer) ? buffer :
+      ArrayBuffer.isView(buffer) ? Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength) :
+      Buffer.from(buffer);
+    this.offset = 0;
+  }
+
+  // Every read goes through here, so a cut-off file fails cleanly
+  take(bytes) {
+    if (this.offset + bytes > this.buffer.length) {
+      throw new Error('Truncated snapshot');
+    }
+    const at = this.offset;
+    this.offset += bytes;
+    return at;
+  }
+
+  u8() { return this.buffer.readUInt8(this.take(1)); }
+  u32() { return this.buffer.readUInt32LE(this.take(4)); }
+  i32() { return this.buffer.readInt32LE(this.take(4)); }
+  i64() { return this.buffer.readBigInt64LE(this.take(8)); }
+
+  words(count) {
+    const at = this.take(8 * count);
+    const words = new BigInt64Array(count);
+    for (let i = 0; i < count; i++) words[i] = this.buffer.readBigInt64LE(at + 8 * i);
+    return words;
+  }
+
+  str() {
+    const length = this.u32();
+    const at = this.take(length);
+    return this.buffer.toString('utf8', at, at + length);
+  }
+}
+
+// The image of a net no worker is reducing, with `meta` (anything JSON can
+// hold) stored alongside
+function writeSnapshot(net, meta = null) {
+  const out = new SnapshotWriter();
+  out.reserve(MAGIC.length);
+  out.length += out.buffer.write(MAGIC, 0, 'latin1');
+  out.u32(VERSION);
+
+  const heap = net.heap;
+  const heads = heap.controlView.slice(HeapCtrl.FREE_HEADS);
+  out.u32(heads.length);
+  out.u32(heap.nextLoc);
+  out.u32(heap.nextLabel);
+  heads.forEach(head => out.i32(head));
+
+  const view = net.termsView;
+  const end = heap.nextLoc;
+  const runs = [];
+  for (let i = 0; i < end; i++) {
+    if (view[i] === 0n) continue;
+    const start = i;
+    while (i < end && view[i] !== 0n) i++;
+    runs.push([start, i]);
+  }
+  out.u32(runs.length);
+  for (const [start, stop] of runs) {
+    out.u32(start);
+    out.u32(stop - start);
+    out.words(view.subarray(start, stop));
+  }
+
+  const redexes = net.queue.list();
+  out.u32(redexes.length);
+  redexes.forEach(redex => out.words(redex));
+  out.u32(net.hostCalls.length);
+  net.hostCalls.forEach(call => out.words(call.map(term => net.packTerm(term))));
+
+  const totals = net.stats.totals();
+  out.u32(totals.length);
+  out.words(totals.map(count => BigInt.asIntN(64, count)));
+
+  const book = net.book;
+  out.u32(book.size);
+  for (let id = 0; id < book.size; id++) {
+    out.str(book.nameOf(id));
+    out.u8(book.isDefined(id) ? 1 : 0);
+    if (!book.isDefined(id)) continue;
+    const { nodes, labels, root, redexes } = book.read(id);
+    out.u32(labels);
+    out.i64(root);
+    out.u32(nodes.length);
+    out.words(nodes);
+    out.u32(redexes.length);
+    redexes.forEach(redex => out.words(redex));
+  }
+  out.u32(book.hosts.length);
+  book.hosts.forEach(({ name }) => out.str(name));
+
+  out.str(meta === null ? '' : JSON.stringify(meta));
+  return out.result;
+}
+
+// Rebuilds a net from writeSnapshot()'s image, returning { net, meta }.
+// `options` go to the Net constructor; `maxWorkers` defaults to the number
+// of workers the net was saved with, and free lists of workers beyond it
+// are handed to the others.
+function readSnapshot(buffer, options = {}) {
+  const input = new SnapshotReader(buffer);
+  if (input.buffer.length < MAGIC.length ||
+      input.buffer.toString('latin1', 0, MAGIC.length) !== MAGIC) {
+    throw new Error('Not a net snapshot');
+  }
+  input.take(MAGIC.length);
+  const version = input.u32();
+  if (version !== VERSION) {
+    throw new Error(`Unsupported snapshot version ${version} (expected ${VERSION})`);
+  }
+
+  const lists = input.u32();
+  const nextLoc = input.u32();
+  const nextLabel = input.u32();
+  const heads = Array.from({ length: lists }, () => input.i32());
+  const net = new Net({ maxWorkers: lists, ...options });
+  const heap = net.heap;
+  heap.ensure(nextLoc);
+  heap.controlView[HeapCtrl.NEXT_LOC] = nextLoc;
+  heap.controlView[HeapCtrl.NEXT_LABEL] = nextLabel;
+
+  for (let runs = input.u32(); runs > 0; runs--) {
+    const start = input.u32();
+    const length = input.u32();
+    if (start + length > nextLoc) throw new Error('Corrupt snapshot: heap word past the end');
+    net.termsView.set(input.words(length), start);
+  }
+
+  // Restored after the heap, since merging lists walks them
+  const deques = net.queue.deques;
+  heads.forEach((head, id) => {
+    if (head === 0) return;
+    const index = HeapCtrl.FREE_HEADS + id % deques;
+    if (id < deques || heap.controlView[index] === 0) {
+      heap.controlView[index] = head;
+      return;
+    }
+    let tail = BigInt(heap.controlView[index]);
+    for (let next; (next = net.get(tail)[1]) !== 0n;) tail = next;
+    net.set(tail, [net.get(tail)[0], BigInt(head)]);
+  });
+  heap.recount();
+
+  const redexCount = input.u32();
+  for (let i = 0; i < redexCount; i++) {
+    const [neg, pos] = input.words(2);
+    net.queue.push(i % deques, neg, pos);
+  }
+  for (let calls = input.u32(); calls > 0; calls--) {
+    net.hostCalls.push(Array.from(input.words(2), word => net.unpackTerm(word)));
+  }
+
+  net.stats.restore(Array.from(input.words(input.u32()), count => BigInt.asUintN(64, count)));
+
+  const book = net.book;
+  for (let count = input.u32(); count > 0; count--) {
+    const id = book.declare(input.str());
+    if (!input.u8()) continue;
+    const labels = input.u32();
+    const root = input.i64();
+    const nodes = Array.from(input.words(input.u32()));
+    const redexes = [];
+    for (let redex = input.u32(); redex > 0; redex--) redexes.push(Array.from(input.words(2)));
+    book.define(id, { nodes, labels, root, redexes });
+  }
+  for (let count = input.u32(); count > 0; count--) {
+    const name = input.str();
+    book.hosts.push({
+      name,
+      arity: 1,
+      fn: () => {
+        throw new Error(`Host function ${name} must be defined again after restoring a snapshot`);
+      }
+    });
+  }
+
+  const meta = input.str();
+  return { net, meta: meta ? JSON.parse(meta) : null };
+}
+
+module.exports = { writeSnapshot, readSnapshot };
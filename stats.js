@@ -0,0 +1,135 @@
+// Reduction statistics for Net, kept in shared memory so that every thread
+// reducing a net counts into the same place. Each worker owns a row of
+// 64-bit counters and only ever adds to its own, atomically, so the main
+// thread can read consistent totals without waiting on anyone. The main
+// thread counts as worker 0, which is also where the allocations made by
+// compiling go. Counters accumulate over the net's whole life; diff two
+// readings (see read()) to get the figures for one evaluation.
+//
+// A row holds the counters below, then one counter per interaction rule,
+// indexed by the tags of the redex: RULES + negTag * TAG_COUNT + posTag.
+
+const Counter = {
+  BETA_REDUCTIONS: 0,
+  DUPLICATIONS: 1,
+  ERASURES: 2,
+  ANNIHILATIONS: 3,
+  COMMUTATIONS: 4,
+  OPERATIONS: 5,
+  EXPANSIONS: 6,
+  HOST_CALLS: 7,
+  ALLOCATIONS: 8,  // nodes handed out, recycled ones included
+  FREES: 9,        // nodes put back on a free list
+  STEALS: 10,      // redexes taken from another worker's deque
+  BUSY_NS: 11,     // time spent in Net.evaluate
+  WALL_NS: 12      // time evaluations took, counted by the main thread
+};
+
+// Names of the interaction counters, as statistics report them
+const CounterNames = [
+  'betaReductions', 'duplications', 'erasures', 'annihilations', 'commutations',
+  'operations', 'expansions', 'hostCalls'
+];
+
+const TAG_COUNT = 16;
+const RULES = 13;
+const ROW_SIZE = RULES + TAG_COUNT * TAG_COUNT;
+
+class Statistics {
+  constructor({ workers = 1, buffer = null } = {}) {
+    this.buffer = buffer || new SharedArrayBuffer(8 * ROW_SIZE * workers);
+    this.view = new BigUint64Array(this.buffer);
+    this.workers = this.view.length / ROW_SIZE;
+  }
+
+  add(workerId, counter, amount = 1n) {
+    Atomics.add(this.view, workerId * ROW_SIZE + counter, amount);
+  }
+
+  // Counts an interaction between terms of these tags
+  countRule(workerId, negTag, posTag) {
+    Atomics.add(this.view, workerId * ROW_SIZE + RULES + Number(negTag) * TAG_COUNT + Number(posTag), 1n);
+  }
+
+  // A copy of every counter as it stands
+  read() {
+    return Array.from(this.view, (_, i) => Atomics.load(this.view, i));
+  }
+
+  // Each counter summed over the workers, as one row
+  totals() {
+    const reading = this.read();
+    const row = reading.slice(0, ROW_SIZE);
+    for (let i = ROW_SIZE; i < reading.length; i++) row[i % ROW_SIZE] += reading[i];
+    return row;
+  }
+
+  // Puts every counter back to an earlier read()
+  reset(reading) {
+    reading.forEach((count, i) => Atomics.store(this.view, i, count));
+  }
+
+  // Starts over from a row of totals(), credited to worker 0
+  restore(row) {
+    this.view.fill(0n);
+    row.slice(0, ROW_SIZE).forEach((count, i) => {
+      this.view[i] = count;
+    });
+  }
+
+  // Structured figures from a reading (the current one by default), or
+  // for the work between `since` and it. `tagName` names rules' tags.
+  summary(tagName, reading = this.read(), since = null) {
+    const value = i => Number(since ? reading[i] - since[i] : reading[i]);
+    const total = counter => {
+      let sum = 0;
+      for (let id = 0; id < this.workers; id++) sum += value(id * ROW_SIZE + counter);
+      return sum;
+    };
+
+    const summary = {};
+    CounterNames.forEach((name, counter) => {
+      summary[name] = total(counter);
+    });
+    const rules = {};
+    let interactions = 0;
+    for (let neg = 0; neg < TAG_COUNT; neg++) {
+      for (let pos = 0; pos < TAG_COUNT; pos++) {
+        const count = total(RULES + neg * TAG_COUNT + pos);
+        if (!count) continue;
+        rules[`${tagName(neg)}-${tagName(pos)}`] = count;
+        interactions += count;
+      }
+    }
+
+    const workers = [];
+    for (let id = 0; id < this.workers; id++) {
+      let done = 0;
+      for (let rule = RULES; rule < ROW_SIZE; rule++) done += value(id * ROW_SIZE + rule);
+      workers.push({
+        interactions: done,
+        allocations: value(id * ROW_SIZE + Counter.ALLOCATIONS),
+        steals: value(id * ROW_SIZE + Counter.STEALS),
+        busyMs: value(id * ROW_SIZE + Counter.BUSY_NS) / 1e6
+      });
+    }
+    const wallMs = total(Counter.WALL_NS) / 1e6;
+    const busiest = Math.max(...workers.map(worker => worker.interactions));
+
+    return {
+      ...summary,
+      interactions,
+      allocations: total(Counter.ALLOCATIONS),
+      frees: total(Counter.FREES),
+      wallMs,
+      interactionsPerSecond: wallMs > 0 ? Math.round(interactions / wallMs * 1000) : 0,
+      // Average over busiest worker's share of the interactions: 1 when
+      // they are spread evenly, 1 / workers when one worker did them all
+      loadBalance: busiest > 0 ? interactions / this.workers / busiest : 1,
+      rules,
+      workers
+    };
+  }
+}
+
+module.exports = { Statistics, Counter, CounterNames, ROW_SIZE };
@@ -0,0 +1,398 @@
+const { Net, Tags, ROOT, isNegative, packNum, unpackNum, NumKind, SwiKind, Ops } = require('./evaluator.js');
+
+// Textual format for nets, in the spirit of HVM's:
+//
+//   @root = (a {1 a b})      the term held by the root port
+//   & (#2 b) ~ (c c)         a pending redex: negative tree ~ positive tree
+//   @id = (a a)              a book definition, followed by its own redexes
+//
+// A tree is written from its principal port. Which node a bracket denotes
+// follows from the polarity of the position it appears in:
+//
+//   positive         negative
+//   (var body) LAM   (arg ret) APP
+//   {L a b}    SUP   {L a b}   DUP      L is the numeric label
+//   *          NUL   *         ERA
+//   #12 #1.5 #true   NUM
+//   @id              REF
+//                    <+ b ret>  OP2     waiting for its first operand
+//                    <#3 + ret> OP1     first operand 3, waiting for the second
+//                    ?(br ret)  SWI     applies br to the condition's truthiness
+//                    ?#(br ret) SWI     applies br to whether it is a number
+//                    ?=(br ret) SWI     applies br to whether it is defined
+//                    !log(ret)  HOST    calls the host function log on its operand
+//
+// A name stands for a wire between two aux ports and appears exactly twice,
+// once in a positive and once in a negative position, within one section
+// (the root or a definition, with the redexes after it). Labels in a
+// definition are its own, counted from 1. `//` starts a comment. Host
+// calls parked for the main thread print as pending redexes.
+
+// What follows the ? of a switch, by kind
+const SwitchMarks = { [SwiKind.TRUTHY]: '', [SwiKind.NUMBER]: '#', [SwiKind.DEFINED]: '=' };
+
+const NAME = /^@[A-Za-z_$][\w$.]*/;
+const HOST_NAME = /^![A-Za-z_$][\w$]*/;
+
+class NetPrinter {
+  constructor(net, book = net.book) {
+    this.net = net;
+    this.book = book;
+    this.names = new Map();
+  }
+
+  // A definition's name, qualified with its id if it has been redefined
+  refName(id) {
+    const name = this.book.nameOf(id);
+    return this.book.lookup(name) === id ? name : `${name}.${id}`;
+  }
+
+  nameOf(slot) {
+    if (!this.names.has(slot)) {
+      const n = this.names.size;
+      const letter = String.fromCharCode(97 + n % 26);
+      this.names.set(slot, n < 26 ? letter : `${letter}${Math.floor(n / 26)}`);
+    }
+    return this.names.get(slot);
+  }
+
+  print() {
+    const net = this.net;
+    const lines = [];
+    const root = net.get(ROOT);
+    if (root[0] !== Tags.SUB) {
+      lines.push(`@root = ${this.pos(root)}`);
+    }
+    for (const [neg, pos] of net.queue.list()) {
+      lines.push(`& ${this.neg(net.unpackTerm(neg))} ~ ${this.pos(net.unpackTerm(pos))}`);
+    }
+    for (const [neg, pos] of net.hostCalls) {
+      lines.push(`& ${this.neg(neg)} ~ ${this.pos(pos)}`);
+    }
+    for (let id = 0; id < this.book.size; id++) {
+      if (this.book.isDefined(id)) lines.push(...this.definition(id));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  // Prints a definition by expanding it into a net of its own
+  definition(id) {
+    const net = new Net({ heapSize: 64 * 1024, book: this.book });
+    const root = net.expand(id);
+    const printer = new NetPrinter(net, this.book);
+    const lines = [`@${this.refName(id)} = ${printer.pos(root)}`];
+    for (const [neg, pos] of net.queue.list()) {
+      lines.push(`& ${printer.neg(net.unpackTerm(neg))} ~ ${printer.pos(net.unpackTerm(pos))}`);
+    }
+    return lines;
+  }
+
+  // Prints the positive tree `term`
+  pos(term) {
+    const net = this.net;
+    const [tag, target] = term;
+    switch (tag) {
+      case Tags.VAR: {
+        const far = net.get(target);
+        if (far[0] === Tags.SUB) return this.nameOf(target);
+        if (!isNegative(far[0])) return this.pos(far); // pending substitution
+        throw new Error(`Port ${target} is wired to a negative term on both ends`);
+      }
+      case Tags.NUL:
+        return '*';
+      case Tags.NUM:
+        return printNum(target);
+      case Tags.REF:
+        return `@${this.refName(Number(target))}`;
+      case Tags.LAM:
+        return `(${this.port(target + 1n)} ${this.port(target + 2n)})`;
+      case Tags.SUP:
+        return `{${net.labelOf(target)} ${this.port(target + 1n)} ${this.port(target + 2n)}}`;
+      default:
+        throw new Error(`Cannot print ${net.getTagName(tag)} in a positive position`);
+    }
+  }
+
+  // Prints the negative tree `term`; `slot` is where it is stored, if anywhere
+  neg(term, slot) {
+    const net = this.net;
+    const [tag, target] = term;
+    switch (tag) {
+      case Tags.SUB:
+        return this.nameOf(slot);
+      case Tags.ERA:
+        return '*';
+      case Tags.APP:
+        return `(${this.port(target + 1n)} ${this.port(target + 2n)})`;
+      case Tags.DUP:
+        return `{${net.labelOf(target)} ${this.port(target + 1n)} ${this.port(target + 2n)}}`;
+      case Tags.OP2:
+        return `<${net.opOf(target)} ${this.port(target + 1n)} ${this.port(target + 2n)}>`;
+      case Tags.OP1:
+        return `<${this.port(target + 1n)} ${net.opOf(target)} ${this.port(target + 2n)}>`;
+      case Tags.SWI:
+        return `?${SwitchMarks[net.swiKind(target)]}` +
+          `(${this.port(target + 1n)} ${this.port(target + 2n)})`;
+      case Tags.HOST:
+        return `!${this.book.hostName(net.hostOf(target))}(${this.port(target + 2n)})`;
+      default:
+        throw new Error(`Cannot print ${net.getTagName(tag)} in a negative position`);
+    }
+  }
+
+  // Prints the tree plugged into an aux port, whose polarity follows its owner
+  port(slot) {
+    const term = this.net.get(slot);
+    return isNegative(term[0]) ? this.neg(term, slot) : this.pos(term);
+  }
+}
+
+function printNum(target) {
+  const value = unpackNum(target);
+  if (target >> 32n === NumKind.F32 && Number.isInteger(value)) {
+    return `#${value}.0`;
+  }
+  return `#${value}`;
+}
+
+// Builds nets from text. Nodes are allocated in the order they appear;
+// definitions are built in nets of their own and stored in the book.
+class NetParser {
+  constructor(net, text) {
+    this.net = net;
+    this.text = text;
+    this.index = 0;
+    // name → { neg: slot, pos: [slots waiting for the VAR] }
+    this.wires = new Map();
+    // definition name → book id
+    this.refs = new Map();
+    this.book = net.book;
+  }
+
+  error(message) {
+    const before = this.text.slice(0, this.index).split('\n');
+    const line = before.length;
+    const column = before[before.length - 1].length + 1;
+    return new Error(`Net text ${line}:${column}: ${message}`);
+  }
+
+  skip() {
+    for (;;) {
+      const rest = this.text.slice(this.index);
+      const match = /^(\s+|\/\/[^\n]*)/.exec(rest);
+      if (!match) return;
+      this.index += match[0].length;
+    }
+  }
+
+  peek() {
+    this.skip();
+    return this.text[this.index];
+  }
+
+  expect(token) {
+    this.skip();
+    if (!this.text.startsWith(token, this.index)) {
+      throw this.error(`expected '${token}'`);
+    }
+    this.index += token.length;
+  }
+
+  match(regex, what) {
+    this.skip();
+    const found = regex.exec(this.text.slice(this.index));
+    if (!found) throw this.error(`expected ${what}`);
+    this.index += found[0].length;
+    return found[0];
+  }
+
+  parse() {
+    const main = this.net;
+    const book = main.book;
+    // Definitions can be referred to before (or inside) their own section
+    const headers = this.text.replace(/\/\/[^\n]*/g, '').matchAll(/@([A-Za-z_$][\w$.]*)\s*=/g);
+    for (const [, name] of headers) {
+      if (name !== 'root' && !this.refs.has(name)) this.refs.set(name, book.declare(name));
+    }
+
+    const defined = new Set();
+    let definition = null;
+    const endSection = () => {
+      this.checkWires();
+      if (definition !== null) {
+        book.define(definition, this.net.template(this.net.get(ROOT)));
+      }
+      this.net = main;
+      this.wires = new Map();
+      definition = null;
+    };
+    while (this.peek() !== undefined) {
+      if (this.peek() === '@') {
+        endSection();
+        const name = this.match(NAME, 'a definition name').slice(1);
+        if (defined.has(name)) throw this.error(`@${name} is defined twice`);
+        defined.add(name);
+        this.expect('=');
+        if (name !== 'root') {
+          definition = this.refs.get(name);
+          this.net = new Net({ heapSize: 64 * 1024 });
+        }
+        this.net.set(ROOT, this.tree(false, ROOT));
+      } else if (this.peek() === '&') {
+        this.expect('&');
+        const neg = this.tree(true, null);
+        this.expect('~');
+        const pos = this.tree(false, null);
+        this.net.pushRedex(neg, pos);
+      } else {
+        throw this.error("expected '@root', '@name' or '&'");
+      }
+    }
+    endSection();
+    return main;
+  }
+
+  checkWires() {
+    for (const [name, wire] of this.wires) {
+      if (wire.neg === undefined || !wire.pos.length) {
+        throw this.error(`variable '${name}' must appear once in each polarity`);
+      }
+    }
+  }
+
+  // Parses a tree in a negative or positive position and returns its term.
+  // `slot` is the port the term will be stored in (null for redex sides).
+  tree(negative, slot) {
+    const net = this.net;
+    const c = this.peek();
+    if (c === '*') {
+      this.expect('*');
+      return negative ? [Tags.ERA, 0n] : [Tags.NUL, 0n];
+    }
+    if (c === '#') {
+      if (negative) throw this.error('numbers are positive');
+      return this.number();
+    }
+    if (c === '@') {
+      if (negative) throw this.error('references are positive');
+      const name = this.match(NAME, 'a definition name').slice(1);
+      if (!this.refs.has(name)) throw this.error(`undefined reference @${name}`);
+      return [Tags.REF, BigInt(this.refs.get(name))];
+    }
+    if (c === '(') {
+      this.expect('(');
+      const loc = net.alloc();
+      const tag = negative ? Tags.APP : Tags.LAM;
+      net.set(loc, [tag, loc]);
+      // LAM: negative var, positive body; APP: positive arg, negative ret
+      this.child(loc + 1n, !negative);
+      this.child(loc + 2n, negative);
+      this.expect(')');
+      return [tag, loc];
+    }
+    if (c === '{') {
+      this.expect('{');
+      const label = BigInt(this.match(/^\d+/, 'a label'));
+      net.heap.reserveLabel(Number(label));
+      const loc = net.alloc();
+      const tag = negative ? Tags.DUP : Tags.SUP;
+      net.set(loc, [tag, label]);
+      this.child(loc + 1n, negative);
+      this.child(loc + 2n, negative);
+      this.expect('}');
+      return [tag, loc];
+    }
+    if (c === '?') {
+      if (!negative) throw this.error('switches are negative');
+      this.expect('?');
+      const mark = this.peek();
+      const kind = mark === '#' ? SwiKind.NUMBER : mark === '=' ? SwiKind.DEFINED : SwiKind.TRUTHY;
+      if (kind !== SwiKind.TRUTHY) this.expect(mark);
+      this.expect('(');
+      const loc = net.alloc();
+      net.set(loc, [Tags.SWI, kind]);
+      this.child(loc + 1n, false);
+      this.child(loc + 2n, true);
+      this.expect(')');
+      return [Tags.SWI, loc];
+    }
+    if (c === '!') {
+      if (!negative) throw this.error('host calls are negative');
+      const name = this.match(HOST_NAME, 'a host function name').slice(1);
+      const id = this.book.hostId(name);
+      if (id === undefined) throw this.error(`unknown host function !${name}`);
+      this.expect('(');
+      const loc = net.alloc();
+      net.set(loc, [Tags.HOST, BigInt(id)]);
+      net.set(loc + 1n, [Tags.NUL, 0n]);
+      this.child(loc + 2n, true);
+      this.expect(')');
+      return [Tags.HOST, loc];
+    }
+    if (c === '<') {
+      if (!negative) throw this.error('operators are negative');
+      this.expect('<');
+      const loc = net.alloc();
+      let tag = Tags.OP2;
+      let op;
+      if (this.peek() === '#') {
+        tag = Tags.OP1;
+        net.set(loc + 1n, this.number());
+        op = this.operator();
+      } else {
+        op = this.operator();
+        this.child(loc + 1n, false);
+      }
+      net.set(loc, [tag, BigInt(Ops.indexOf(op))]);
+      this.child(loc + 2n, true);
+      this.expect('>');
+      return [tag, loc];
+    }
+    if (c !== undefined && /[A-Za-z_]/.test(c)) {
+      return this.variable(this.match(/^[A-Za-z_][A-Za-z0-9_]*/, 'a name'), negative, slot);
+    }
+    throw this.error(c === undefined ? 'unexpected end of input' : `unexpected '${c}'`);
+  }
+
+  child(slot, negative) {
+    this.net.set(slot, this.tree(negative, slot));
+  }
+
+  operator() {
+    const op = this.match(/^(===|!==|<<|>>|<=|>=|[-+*/%<>&|^])/, 'an operator');
+    return op;
+  }
+
+  number() {
+    const raw = this.match(/^#(true|false|-?Infinity|NaN|-?\d+(\.\d+)?(e[-+]?\d+)?)/, 'a number');
+    const body = raw.slice(1);
+    if (body === 'true' || body === 'false') return packNum(body === 'true');
+    // Keep floats floats even when they look integral
+    const float = /[.e]|Infinity|NaN/.test(body);
+    return packNum(Number(body), float ? NumKind.F32 : undefined);
+  }
+
+  variable(name, negative, slot) {
+    if (slot === null) {
+      throw this.error(`variable '${name}' cannot be a redex side`);
+    }
+    if (!this.wires.has(name)) {
+      this.wires.set(name, { neg: undefined, pos: [] });
+    }
+    const wire = this.wires.get(name);
+    if (negative) {
+      if (wire.neg !== undefined) throw this.error(`variable '${name}' used twice negatively`);
+      wire.neg = slot;
+      for (const posSlot of wire.pos) {
+        this.net.set(posSlot, [Tags.VAR, slot]);
+      }
+      return [Tags.SUB, 0n];
+    }
+    if (wire.pos.length) throw this.error(`variable '${name}' used twice positively`);
+    wire.pos.push(slot);
+    // Filled in once the negative end is known
+    return wire.neg !== undefined ? [Tags.VAR, wire.neg] : [Tags.SUB, 0n];
+  }
+}
+
+module.exports = { NetPrinter, NetParser };
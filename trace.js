@@ -0,0 +1,259 @@
+const fs = require('fs');
+const { Net, Tags, unpackNum } = require('./evaluator.js');
+const { HeapCtrl } = require('./heap.js');
+
+// Reduction traces. A trace is the net as it was before reduction plus one
+// event per interaction (see Net.trace), stored as JSON lines:
+//
+//   {"format":"ruhandl-trace","version":1,"net":{...}}
+//   {"step":0,"worker":0,"rule":"APP-LAM","neg":[5,"12"],"pos":[4,"3"],...}
+//
+// Terms are [tag, target] with the target as a decimal string, since JSON
+// has no 64-bit integers. Replaying re-runs the recorded interactions in
+// step order on a copy of the original net, handing out the same node
+// locations, so every intermediate net can be inspected again. Results of
+// host calls are put in outside of any interaction, so a trace of a
+// program calling the host only replays up to its first call.
+
+const FORMAT = 'ruhandl-trace';
+const VERSION = 1;
+
+const hex = word => BigInt.asUintN(64, word).toString(16);
+const unhex = text => BigInt.asIntN(64, BigInt(`0x${text}`));
+
+// A book's definitions, templates and all (undefined ones as null)
+function captureBook(book) {
+  const definitions = [];
+  for (let id = 0; id < book.size; id++) {
+    if (!book.isDefined(id)) {
+      definitions.push({ name: book.nameOf(id), template: null });
+      continue;
+    }
+    const { nodes, labels, root, redexes } = book.read(id);
+    definitions.push({
+      name: book.nameOf(id),
+      template: {
+        nodes: Array.from(nodes, hex),
+        labels,
+        root: hex(root),
+        redexes: redexes.map(redex => redex.map(hex))
+      }
+    });
+  }
+  return definitions;
+}
+
+function restoreBook(book, definitions) {
+  for (const { name, template } of definitions) {
+    const id = book.declare(name);
+    if (!template) continue;
+    book.define(id, {
+      nodes: template.nodes.map(unhex),
+      labels: template.labels,
+      root: unhex(template.root),
+      redexes: template.redexes.map(redex => redex.map(unhex))
+    });
+  }
+}
+
+// Heap words, allocator state, pending redexes and book of a net that is
+// not being reduced
+function captureNet(net) {
+  const words = [];
+  for (let i = 0; i < net.nextLoc; i++) {
+    const word = net.termsView[i];
+    if (word !== 0n) words.push([i, hex(word)]);
+  }
+  return {
+    workers: net.queue.deques,
+    nextLoc: net.nextLoc,
+    nextLabel: net.heap.nextLabel,
+    freeHeads: Array.from(net.heap.controlView.slice(HeapCtrl.FREE_HEADS)),
+    words,
+    redexes: net.queue.list().map(([neg, pos]) => [hex(neg), hex(pos)]),
+    book: captureBook(net.book)
+  };
+}
+
+function restoreNet(image) {
+  const net = new Net({ maxWorkers: image.workers });
+  const heap = net.heap;
+  heap.ensure(image.nextLoc);
+  heap.controlView[HeapCtrl.NEXT_LOC] = image.nextLoc;
+  // Traces from before definitions existed carry no labels or book
+  heap.controlView[HeapCtrl.NEXT_LABEL] = image.nextLabel || 1;
+  restoreBook(net.book, image.book || []);
+  image.freeHeads.forEach((head, id) => {
+    heap.controlView[HeapCtrl.FREE_HEADS + id] = head;
+  });
+  for (const [i, word] of image.words) {
+    net.termsView[i] = unhex(word);
+  }
+  heap.recount();
+  for (const [neg, pos] of image.redexes) {
+    net.queue.push(0, unhex(neg), unhex(pos));
+  }
+  return net;
+}
+
+const encodeTerm = ([tag, target]) => [Number(tag), target.toString()];
+const decodeTerm = ([tag, target]) => [BigInt(tag), BigInt(target)];
+
+function encodeEvent(event) {
+  return {
+    step: event.step,
+    worker: event.worker,
+    rule: event.rule,
+    neg: encodeTerm(event.neg),
+    pos: encodeTerm(event.pos),
+    allocated: event.allocated.map(String),
+    freed: event.freed.map(String)
+  };
+}
+
+function decodeEvent(data) {
+  return {
+    step: data.step,
+    worker: data.worker,
+    rule: data.rule,
+    neg: decodeTerm(data.neg),
+    pos: decodeTerm(data.pos),
+    allocated: data.allocated.map(BigInt),
+    freed: data.freed.map(BigInt)
+  };
+}
+
+// Records a net's reduction. Create it before reducing, then pass `record`
+// to Net.trace() or to ParallelEvaluator.evaluate({ trace }).
+class TraceRecorder {
+  constructor(net) {
+    this.image = captureNet(net);
+    this.events = [];
+    this.record = event => this.events.push(event);
+  }
+
+  toString() {
+    // Workers report in batches, so restore step order
+    const events = [...this.events].sort((a, b) => a.step - b.step);
+    const header = { format: FORMAT, version: VERSION, net: this.image };
+    return [header, ...events.map(encodeEvent)]
+      .map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  save(file) {
+    fs.writeFileSync(file, this.toString());
+  }
+}
+
+// Parses a recorded trace into { image, events }
+function parseTrace(text) {
+  const lines = text.split('\n').filter(line => line.trim());
+  let header = {};
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (error) {
+    // Reported below
+  }
+  if (!header || header.format !== FORMAT) {
+    throw new Error('Not a trace file');
+  }
+  if (header.version !== VERSION) {
+    throw new Error(`Unsupported trace version ${header.version} (expected ${VERSION})`);
+  }
+  return {
+    image: header.net,
+    events: lines.slice(1).map(line => decodeEvent(JSON.parse(line)))
+  };
+}
+
+function loadTrace(file) {
+  return parseTrace(fs.readFileSync(file, 'utf8'));
+}
+
+// Steps through a recorded trace on a rebuilt copy of its net. Traces
+// recorded with one worker replay exactly; with several, interactions that
+// overlapped in time may not replay in step order, which step() reports as
+// a divergence.
+class TraceReplay {
+  constructor({ image, events }) {
+    this.net = restoreNet(image);
+    this.events = events;
+    this.position = 0;
+    this.pending = [];
+  }
+
+  get done() {
+    return this.position >= this.events.length;
+  }
+
+  // Replays the next recorded interaction and returns its event, or null
+  // at the end of the trace
+  step() {
+    const event = this.events[this.position];
+    if (!event) return null;
+    const net = this.net;
+
+    // Collect what the previous interactions pushed, then pick the redex
+    // the recorded run reduced at this step
+    for (let id = 0; id < net.queue.deques; id++) {
+      for (let redex; (redex = net.queue.pop(id));) this.pending.push(redex);
+    }
+    const neg = net.packTerm(event.neg);
+    const pos = net.packTerm(event.pos);
+    const index = this.pending.findIndex(([n, p]) => n === neg && p === pos);
+    if (index < 0) {
+      throw new Error(
+        `Replay diverged at step ${event.step}: redex ${event.rule} is not pending`
+      );
+    }
+    this.pending.splice(index, 1);
+
+    net.workerId = event.worker;
+    net.replayAllocs = [...event.allocated];
+    try {
+      net.interact(event.neg, event.pos);
+    } finally {
+      net.replayAllocs = null;
+      net.workerId = 0;
+      net.queue.done();
+    }
+    // Put the rest back so the net can be printed or read back as usual
+    // (still counted as pending, so the push must not count them again)
+    for (const [n, p] of this.pending) {
+      net.queue.done();
+      net.queue.push(0, n, p);
+    }
+    this.pending = [];
+    this.position++;
+    return event;
+  }
+
+  // Replays until `predicate(event)` holds or one of the net's breakpoints
+  // is hit; returns that event, or null at the end of the trace
+  runUntil(predicate = () => false) {
+    for (;;) {
+      const event = this.step();
+      if (!event) return null;
+      const breakpoint = this.net.breakpoints.find(bp => this.net.hits(bp, event));
+      if (breakpoint) return { ...event, breakpoint };
+      if (predicate(event)) return event;
+    }
+  }
+}
+
+// One line per event, e.g. "#3 w0 APP-LAM APP@15 ~ LAM@3 +[18] -[15]"
+function formatEvent(event, net) {
+  const term = ([tag, target]) => {
+    if (tag === Tags.NUM) return `#${unpackNum(target)}`;
+    if (tag === Tags.REF) return `@${net.book.nameOf(Number(target))}`;
+    return `${net.getTagName(tag)}@${target}`;
+  };
+  const list = locs => `[${locs.join(' ')}]`;
+  return `#${event.step} w${event.worker} ${event.rule} ${term(event.neg)} ~ ${term(event.pos)}` +
+    ` +${list(event.allocated)} -${list(event.freed)}`;
+}
+
+module.exports = {
+  TraceRecorder, TraceReplay, parseTrace, loadTrace, captureNet, restoreNet,
+  encodeEvent, formatEvent
+};
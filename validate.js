@@ -0,0 +1,280 @@
+const { Tags, ROOT, isNegative, SwiKind, Ops } = require('./evaluator.js');
+const { Header, HeapCtrl, NODE_SIZE } = require('./heap.js');
+
+// Net invariants, checked by Net.validate(). Between interactions, and with
+// no worker reducing it, a net satisfies:
+//
+//   - every node header is DEAD, FREE or a node tag with getPortCount()
+//     aux ports, and the FREE nodes are exactly those on the free lists
+//   - every live node's principal port is held exactly once: by a port, by
+//     the root or by a pending redex (parked host calls included)
+//   - a positive port holds a positive term; a negative port holds SUB, a
+//     negative tree or a pending substitution (a positive term)
+//   - node terms point at live nodes of their tag, REFs at definitions
+//     (while compiling, at declared ones)
+//   - a VAR points at a negative port, and a negative port holding SUB or
+//     a substitution has exactly one VAR pointing at it (the root, which
+//     nothing reads through a VAR, has none); one holding a tree has none
+//   - an interacted (DEAD) node counts the ports it has left, which hold
+//     substitutions still to be read
+//   - every node is connected to the root or to a redex: anything else
+//     can never be reduced or read back, so it has leaked
+//
+// Problems are reported as { loc, message }, `loc` being the offending
+// node or port.
+
+// Which aux ports of each node are negative
+const NegativePorts = new Map([
+  [Tags.LAM, [true, false]],
+  [Tags.APP, [false, true]],
+  [Tags.SUP, [false, false]],
+  [Tags.DUP, [true, true]],
+  [Tags.OP2, [false, true]],
+  [Tags.OP1, [false, true]],
+  [Tags.SWI, [false, true]],
+  [Tags.HOST, [false, true]]
+]);
+
+const size = BigInt(NODE_SIZE);
+const ownerOf = slot => slot - slot % size;
+
+function validateNet(net, { compiling = false } = {}) {
+  const problems = [];
+  const report = (loc, message) => problems.push({ loc: Number(loc), message });
+  const end = BigInt(net.nextLoc);
+
+  // Nodes by state
+  const live = new Map(); // loc → tag
+  const dead = new Map(); // loc → ports left
+  const free = new Set();
+  for (let loc = size; loc < end; loc += size) {
+    const [tag, info] = net.get(loc);
+    if (tag === Header.FREE) {
+      free.add(loc);
+    } else if (tag === Header.DEAD) {
+      dead.set(loc, info);
+    } else if (NegativePorts.has(tag) && net.getPortCount(tag) === size - 1n) {
+      live.set(loc, tag);
+      checkHeader(net, loc, tag, info, report);
+    } else {
+      report(loc, `node ${loc}: header ${net.getTagName(tag)} is not a node with ${NODE_SIZE - 1} ports`);
+    }
+  }
+  checkFreeLists(net, free, report);
+
+  const name = loc => live.has(loc) ? `${net.getTagName(live.get(loc))}@${loc}` :
+    dead.has(loc) ? `DEAD@${loc}` : `node ${loc}`;
+  const where = place => typeof place === 'string' ? place :
+    place === ROOT ? 'root' : `${name(ownerOf(place))} port ${place % size}`;
+
+  // Every place holding a term: ports (by slot), the root and redex sides
+  const places = [[ROOT, net.get(ROOT), 'negative']];
+  for (const [loc, tag] of live) {
+    NegativePorts.get(tag).forEach((negative, i) => {
+      const slot = loc + 1n + BigInt(i);
+      places.push([slot, net.get(slot), negative ? 'negative' : 'positive']);
+    });
+  }
+  for (const [loc, left] of dead) {
+    let held = 0n;
+    for (let slot = loc + 1n; slot < loc + size; slot++) {
+      const term = net.get(slot);
+      if (isEmpty(term)) continue;
+      held++;
+      places.push([slot, term, 'substitution']);
+    }
+    if (held !== left) report(loc, `${name(loc)}: counts ${left} ports left, holds ${held}`);
+  }
+  const redexes = [
+    ...net.queue.list().map(redex => redex.map(term => net.unpackTerm(term))),
+    ...net.hostCalls
+  ];
+  redexes.forEach(([neg, pos], i) => {
+    places.push([`redex ${i}`, neg, 'active negative'], [`redex ${i}`, pos, 'active positive']);
+  });
+
+  const holders = new Map(); // node loc → places holding its principal port
+  const vars = new Map();    // slot → places holding a VAR to it
+  const add = (map, key, place) => map.set(key, [...(map.get(key) || []), place]);
+  for (const [place, term, kind] of places) {
+    const [tag, target] = term;
+    if (isEmpty(term)) {
+      report(place, `${where(place)} is empty`);
+      continue;
+    }
+    if (net.getTagName(tag) === 'UNKNOWN') {
+      report(place, `${where(place)}: unknown tag ${tag}`);
+      continue;
+    }
+    if (!polarityFits(term, kind)) {
+      report(place, `${where(place)}: ${net.getTagName(tag)} in a ${kind} position`);
+    }
+    if (NegativePorts.has(tag)) {
+      if (live.get(target) !== tag) {
+        report(place, `${where(place)}: ${net.getTagName(tag)} points at ${name(target)}`);
+      } else {
+        add(holders, target, place);
+      }
+    } else if (tag === Tags.REF) {
+      const id = Number(target);
+      if (id >= net.book.size) {
+        report(place, `${where(place)}: reference to undeclared definition ${target}`);
+      } else if (!compiling && !net.book.isDefined(id)) {
+        report(place, `${where(place)}: reference to undefined definition ${net.book.nameOf(id)}`);
+      }
+    } else if (tag === Tags.VAR) {
+      add(vars, target, place);
+    }
+  }
+
+  // Wires: each VAR meets a negative port, each waiting port one VAR
+  const negatives = new Map(places
+    .filter(([place, , kind]) => kind === 'negative' || kind === 'substitution')
+    .map(([place, term]) => [place, term]));
+  for (const [slot, sources] of vars) {
+    if (!negatives.has(slot)) {
+      report(slot, `${sources.map(where).join(', ')}: VAR to ${slot}, which is not a negative port`);
+    }
+  }
+  for (const [slot, term] of negatives) {
+    if (isEmpty(term)) continue;
+    const sources = vars.get(slot) || [];
+    let expected = 1;
+    if (isNegative(term[0]) && term[0] !== Tags.SUB) {
+      expected = 0;
+    } else if (slot === ROOT) {
+      // An empty root may or may not have been handed out yet
+      expected = term[0] === Tags.SUB ? Math.min(sources.length, 1) : 0;
+    }
+    if (sources.length !== expected) {
+      const found = sources.length ? ` (at ${sources.map(where).join(', ')})` : '';
+      report(slot, `${where(slot)}: ${net.getTagName(term[0])} has ${sources.length} VARs${found}, ` +
+        `expected ${expected}`);
+    }
+  }
+  for (const loc of live.keys()) {
+    const held = holders.get(loc) || [];
+    if (held.length !== 1) {
+      const found = held.length ? ` (at ${held.map(where).join(', ')})` : '';
+      report(loc, `${name(loc)}: principal port held ${held.length} times${found}`);
+    }
+  }
+
+  // Leaks: walk the wires both ways from the root and the redexes
+  const seen = new Set();
+  const pending = [];
+  const visit = place => {
+    if (typeof place !== 'bigint' || place === ROOT) return;
+    const loc = ownerOf(place);
+    if (!seen.has(loc) && (live.has(loc) || dead.has(loc))) {
+      seen.add(loc);
+      pending.push(loc);
+    }
+  };
+  const follow = ([tag, target]) => {
+    if (NegativePorts.has(tag)) visit(target + 1n);
+    else if (tag === Tags.VAR) visit(target);
+  };
+  follow(net.get(ROOT));
+  (vars.get(ROOT) || []).forEach(visit);
+  redexes.forEach(redex => redex.forEach(follow));
+  while (pending.length) {
+    const loc = pending.pop();
+    (holders.get(loc) || []).forEach(visit);
+    for (let slot = loc + 1n; slot < loc + size; slot++) {
+      follow(net.get(slot));
+      (vars.get(slot) || []).forEach(visit);
+    }
+  }
+  for (const loc of [...live.keys(), ...dead.keys()]) {
+    if (!seen.has(loc)) report(loc, `${name(loc)}: unreachable from the root and the redexes`);
+  }
+
+  return problems.sort((a, b) => a.loc - b.loc);
+}
+
+// A zero word: a port nothing was ever stored in, or one already claimed
+function isEmpty([tag, target]) {
+  return tag === Tags.VAR && target === 0n;
+}
+
+function polarityFits([tag], kind) {
+  switch (kind) {
+    case 'positive':
+    case 'substitution':
+      return !isNegative(tag);
+    case 'active negative':
+      return isNegative(tag) && tag !== Tags.SUB;
+    case 'active positive':
+      return !isNegative(tag) && tag !== Tags.VAR;
+    default:
+      return true;
+  }
+}
+
+// What a header stores besides its tag
+function checkHeader(net, loc, tag, info, report) {
+  const node = `${net.getTagName(tag)}@${loc}`;
+  switch (tag) {
+    case Tags.LAM:
+    case Tags.APP:
+      if (info !== loc) report(loc, `${node}: header points at ${info}`);
+      break;
+    case Tags.SUP:
+    case Tags.DUP:
+      if (info < 1n || info >= BigInt(net.heap.nextLabel)) {
+        report(loc, `${node}: label ${info} was never handed out`);
+      }
+      break;
+    case Tags.OP2:
+    case Tags.OP1:
+      if (Ops[Number(info)] === undefined) report(loc, `${node}: unknown operator ${info}`);
+      break;
+    case Tags.SWI:
+      if (!Object.values(SwiKind).includes(info)) report(loc, `${node}: unknown switch kind ${info}`);
+      break;
+    case Tags.HOST:
+      if (net.book.hosts.length && !net.book.hosts[net.hostOf(loc)]) {
+        report(loc, `${node}: unknown host function ${net.hostOf(loc)}`);
+      }
+      break;
+  }
+}
+
+// Every FREE node sits on exactly one worker's free list
+function checkFreeLists(net, free, report) {
+  const control = net.heap.controlView;
+  const listed = new Set();
+  for (let id = 0; HeapCtrl.FREE_HEADS + id < control.length; id++) {
+    for (let loc = BigInt(control[HeapCtrl.FREE_HEADS + id]); loc !== 0n;) {
+      if (!free.has(loc)) {
+        report(loc, `free list ${id}: node ${loc} is not free`);
+        break;
+      }
+      if (listed.has(loc)) {
+        report(loc, `free list ${id}: node ${loc} is listed twice`);
+        break;
+      }
+      listed.add(loc);
+      loc = net.get(loc)[1];
+    }
+  }
+  for (const loc of free) {
+    if (!listed.has(loc)) report(loc, `node ${loc}: free but on no free list`);
+  }
+}
+
+// Thrown by Net.assertValid(), with every problem validate() found
+class InvalidNetError extends Error {
+  constructor(problems, when) {
+    const shown = problems.slice(0, 20).map(({ message }) => `  ${message}`);
+    if (problems.length > shown.length) {
+      shown.push(`  ... and ${problems.length - shown.length} more`);
+    }
+    super(`Invalid net ${when}:\n${shown.join('\n')}`);
+    this.name = 'InvalidNetError';
+    this.problems = problems;
+  }
+}
+
+module.exports = { validateNet, InvalidNetError, NegativePorts };
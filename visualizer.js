@@ -0,0 +1,237 @@
+const { Tags } = require('./evaluator.js');
+const { TraceReplay } = require('./trace.js');
+
+// Offline HTML viewer for reductions: one self-contained file (no network
+// access needed) that draws the net as a graph and scrubs through its
+// reduction step by step, highlighting the redex about to be reduced and
+// showing the statistics at each step.
+
+// One colour per tag, spread around the hue circle in Tags order
+const colors = Object.fromEntries(
+  Object.keys(Tags).map((name, i, names) =>
+    [name, `hsl(${Math.round(360 * i / names.length)}, 65%, 72%)`])
+);
+colors.ROOT = '#999';
+
+// Frames are { graph, statistics, event }: the net before a step (see
+// Net.graph()), statistics so far, and the interaction that comes next
+// (null on the last frame). `step` performs one interaction and returns its
+// event, or null when there is nothing left to do.
+function recordFrames(net, step, { maxSteps = 500 } = {}) {
+  const frames = [];
+  for (;;) {
+    const frame = { graph: net.graph(), statistics: net.getStatistics(), event: null };
+    frames.push(frame);
+    if (frames.length > maxSteps) {
+      return { frames, truncated: true };
+    }
+    const event = step();
+    if (!event) return { frames, truncated: false };
+    frame.event = {
+      step: event.step,
+      worker: event.worker,
+      rule: event.rule,
+      key: `${net.packTerm(event.neg)}:${net.packTerm(event.pos)}`
+    };
+  }
+}
+
+// Reduces `net` on this thread, one frame per interaction
+function framesFromNet(net, options) {
+  return recordFrames(net, () => net.step(), options);
+}
+
+// Replays a recorded trace (see trace.js), one frame per interaction
+function framesFromTrace(trace, options) {
+  const replay = new TraceReplay(trace);
+  return recordFrames(replay.net, () => replay.step(), options);
+}
+
+// JSON that is safe inside a <script> element
+const scriptJson = value => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const escapeHtml = text => text.replace(/[&<>"]/g, c =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+function renderHtml({ frames, truncated }, { title = 'ruhandl reduction' } = {}) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; font: 13px sans-serif; display: flex; height: 100vh; }
+  #main { flex: 1; display: flex; flex-direction: column; }
+  #controls { padding: 8px; border-bottom: 1px solid #ddd; display: flex; gap: 8px; align-items: center; }
+  #scrub { flex: 1; }
+  #graph { flex: 1; }
+  #side { width: 240px; padding: 8px; border-left: 1px solid #ddd; overflow: auto; }
+  #side table { border-collapse: collapse; width: 100%; }
+  #side td { padding: 2px 4px; border-bottom: 1px solid #eee; }
+  #side td:last-child { text-align: right; }
+  .legend span { display: inline-block; padding: 1px 6px; margin: 2px; border-radius: 3px; }
+  text { pointer-events: none; }
+</style>
+</head>
+<body>
+<div id="main">
+  <div id="controls">
+    <button id="prev">&#9664;</button>
+    <button id="play">Play</button>
+    <button id="next">&#9654;</button>
+    <input id="scrub" type="range" min="0" value="0">
+    <span id="position"></span>
+  </div>
+  <svg id="graph"></svg>
+</div>
+<div id="side">
+  <h3>${escapeHtml(title)}</h3>
+  <p id="event"></p>
+  <table id="statistics"></table>
+  <p id="truncated"></p>
+  <div class="legend" id="legend"></div>
+</div>
+<script>
+const frames = ${scriptJson(frames)};
+const truncated = ${truncated};
+const colors = ${scriptJson(colors)};
+const svg = document.getElementById('graph');
+const scrub = document.getElementById('scrub');
+const positions = new Map();
+let current = 0;
+let timer = null;
+
+scrub.max = frames.length - 1;
+document.getElementById('legend').innerHTML = Object.entries(colors)
+  .map(([tag, color]) => '<span style="background:' + color + '">' + tag + '</span>').join('');
+if (truncated) {
+  document.getElementById('truncated').textContent = 'Only the first ' + (frames.length - 1) + ' steps were recorded.';
+}
+
+// Force-directed layout, continued from the positions of the frame shown
+// before so that nodes stay where they were while the net changes
+function layout(graph) {
+  const nodes = graph.nodes;
+  const index = new Map(nodes.map((node, i) => [node.id, i]));
+  const links = graph.edges.map(edge => [edge.from, edge.to])
+    .concat(graph.redexes.map(redex => [redex.neg, redex.pos]))
+    .map(([a, b]) => [index.get(a), index.get(b)])
+    .filter(([a, b]) => a !== undefined && b !== undefined);
+  const points = nodes.map(node => positions.get(node.id));
+  // New nodes start next to a neighbour that already has a place
+  nodes.forEach((node, i) => {
+    if (points[i]) return;
+    const link = links.find(([a, b]) => (a === i && points[b]) || (b === i && points[a]));
+    const near = link ? points[link[0] === i ? link[1] : link[0]] : { x: 0, y: 0 };
+    points[i] = { x: near.x + Math.random() * 40 - 20, y: near.y + Math.random() * 40 - 20 };
+  });
+  for (let iteration = 0; iteration < 80; iteration++) {
+    const force = points.map(() => ({ x: 0, y: 0 }));
+    for (let i = 0; i < points.length; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        const dx = points[i].x - points[j].x;
+        const dy = points[i].y - points[j].y;
+        const d2 = Math.max(dx * dx + dy * dy, 1);
+        const push = 2000 / d2;
+        force[i].x += dx * push; force[i].y += dy * push;
+        force[j].x -= dx * push; force[j].y -= dy * push;
+      }
+    }
+    for (const [a, b] of links) {
+      const dx = points[b].x - points[a].x;
+      const dy = points[b].y - points[a].y;
+      const d = Math.sqrt(dx * dx + dy * dy) || 1;
+      const pull = (d - 60) / d * 0.1;
+      force[a].x += dx * pull; force[a].y += dy * pull;
+      force[b].x -= dx * pull; force[b].y -= dy * pull;
+    }
+    points.forEach((point, i) => {
+      point.x += Math.max(-20, Math.min(20, force[i].x - point.x * 0.01));
+      point.y += Math.max(-20, Math.min(20, force[i].y - point.y * 0.01));
+    });
+  }
+  nodes.forEach((node, i) => positions.set(node.id, points[i]));
+  return points;
+}
+
+function draw(graph, active) {
+  const points = layout(graph);
+  const at = new Map(graph.nodes.map((node, i) => [node.id, points[i]]));
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const pad = 40;
+  const minX = Math.min(...xs) - pad;
+  const minY = Math.min(...ys) - pad;
+  svg.setAttribute('viewBox', [minX, minY,
+    Math.max(...xs) + pad - minX, Math.max(...ys) + pad - minY].join(' '));
+
+  const parts = ['<defs><marker id="arrow" viewBox="0 0 10 10" refX="22" refY="5" ' +
+    'markerWidth="6" markerHeight="6" orient="auto"><path d="M0,0L10,5L0,10z" fill="#666"/></marker></defs>'];
+  const line = (a, b, style) => {
+    const p = at.get(a);
+    const q = at.get(b);
+    return '<line x1="' + p.x + '" y1="' + p.y + '" x2="' + q.x + '" y2="' + q.y + '" ' + style + '/>';
+  };
+  for (const edge of graph.edges) {
+    parts.push(line(edge.from, edge.to, 'stroke="#666" marker-end="url(#arrow)"' +
+      (edge.wire ? ' stroke-dasharray="4 3"' : '')));
+  }
+  for (const redex of graph.redexes) {
+    const hot = active && redex.key === active.key;
+    parts.push(line(redex.neg, redex.pos,
+      'stroke="' + (hot ? '#e4002b' : '#333') + '" stroke-width="' + (hot ? 5 : 3) + '"'));
+  }
+  const hotNodes = new Set();
+  for (const redex of graph.redexes) {
+    if (active && redex.key === active.key) { hotNodes.add(redex.neg); hotNodes.add(redex.pos); }
+  }
+  for (const node of graph.nodes) {
+    const p = at.get(node.id);
+    const stroke = hotNodes.has(node.id) ? 'stroke="#e4002b" stroke-width="3"' : 'stroke="#555"';
+    parts.push('<circle cx="' + p.x + '" cy="' + p.y + '" r="14" fill="' +
+      (colors[node.tag] || '#fff') + '" ' + stroke + '><title>' + node.id + '</title></circle>');
+    parts.push('<text x="' + p.x + '" y="' + (p.y + 4) + '" text-anchor="middle" font-size="9">' +
+      node.label.replace(/&/g, '&amp;').replace(/</g, '&lt;') + '</text>');
+  }
+  svg.innerHTML = parts.join('');
+}
+
+function show(i) {
+  current = Math.max(0, Math.min(frames.length - 1, i));
+  const frame = frames[current];
+  scrub.value = current;
+  document.getElementById('position').textContent = 'step ' + current + ' / ' + (frames.length - 1);
+  document.getElementById('event').textContent = frame.event ?
+    'Next: ' + frame.event.rule + ' (worker ' + frame.event.worker + ')' : 'Normal form';
+  document.getElementById('statistics').innerHTML = Object.entries(frame.statistics)
+    .filter(([key, value]) => typeof value === 'number')
+    .map(([key, value]) => '<tr><td>' + key + '</td><td>' + value + '</td></tr>').join('');
+  draw(frame.graph, frame.event);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+  document.getElementById('play').textContent = 'Play';
+}
+
+document.getElementById('prev').onclick = () => { stop(); show(current - 1); };
+document.getElementById('next').onclick = () => { stop(); show(current + 1); };
+document.getElementById('play').onclick = () => {
+  if (timer) return stop();
+  document.getElementById('play').textContent = 'Pause';
+  timer = setInterval(() => current < frames.length - 1 ? show(current + 1) : stop(), 400);
+};
+scrub.oninput = () => { stop(); show(Number(scrub.value)); };
+document.onkeydown = event => {
+  if (event.key === 'ArrowLeft') { stop(); show(current - 1); }
+  if (event.key === 'ArrowRight') { stop(); show(current + 1); }
+};
+show(0);
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { recordFrames, framesFromNet, framesFromTrace, renderHtml };
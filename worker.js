@@ -0,0 +1,47 @@
+const { parentPort, workerData } = require('worker_threads');
+const { Net } = require('./evaluator.js');
+
+// A worker of ParallelEvaluator's pool: attaches to the shared net once,
+// then helps drain its queue whenever the main thread asks, reporting back
+// the host calls it parked and any error.
+const net = new Net({
+  shared: workerData.shared,
+  workerId: workerData.workerId
+});
+
+parentPort.on('message', ({ trace }) => {
+  let events = [];
+  const flush = () => {
+    if (events.length) parentPort.postMessage({ type: 'trace', events });
+    events = [];
+  };
+  net.trace(trace ? event => {
+    events.push(event);
+    if (events.length >= 256) flush();
+  } : null);
+
+  let error = null;
+  try {
+    net.evaluate();
+  } catch (caught) {
+    net.queue.halt();
+    error = caught;
+  } finally {
+    flush();
+  }
+
+  // Redexes the run stopped before reaching, that the others can't see
+  if (net.queue.spilled.length) {
+    parentPort.postMessage({ type: 'spilled', redexes: net.queue.spilled });
+    net.queue.spilled = [];
+  }
+  if (net.hostCalls.length) {
+    parentPort.postMessage({
+      type: 'hostCalls',
+      calls: net.hostCalls.map(call => call.map(term => net.packTerm(term)))
+    });
+    net.hostCalls = [];
+  }
+  // Statistics are counted straight into shared memory
+  parentPort.postMessage({ type: 'done', error });
+});